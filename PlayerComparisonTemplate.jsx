@@ -1,5 +1,7 @@
 import React from 'react';
 import { RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar, Legend, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { categoryWinner, fantasyScore, normalizeStats, scoreWinner } from './src/comparison.js';
+import { SCORING_PRESETS } from './src/scoring.js';
 
 /**
  * NBA Fantasy Player Comparison Component
@@ -29,35 +31,11 @@ import { RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar, Legend,
  */
 
 export default function PlayerComparison({ player1, player2, season = "2023-24" }) {
-  // Normalize stats to 0-100 scale for radar chart
-  const normalizeStats = (p1, p2) => {
-    const stats = ['ppg', 'rpg', 'apg', 'spg', 'bpg', 'three_pm'];
-    return stats.map(stat => {
-      const max = Math.max(p1[stat], p2[stat]) * 1.2; // Add 20% padding
-      return {
-        category: stat.toUpperCase().replace('_', ' '),
-        [p1.name]: (p1[stat] / max) * 100,
-        [p2.name]: (p2[stat] / max) * 100,
-        p1Raw: p1[stat],
-        p2Raw: p2[stat]
-      };
-    });
-  };
-
-  // Calculate fantasy value score (simple weighted average)
-  const calculateFantasyScore = (player) => {
-    return (
-      player.ppg * 1.0 +
-      player.rpg * 1.2 +
-      player.apg * 1.5 +
-      player.spg * 3.0 +
-      player.bpg * 3.0 +
-      player.three_pm * 1.0 -
-      player.tov * 1.0
-    ).toFixed(1);
-  };
+  // Fantasy value score under the default weights (see src/scoring.js)
+  const calculateFantasyScore = (player) => fantasyScore(player, SCORING_PRESETS.default.weights);
 
-  const radarData = normalizeStats(player1, player2);
+  // Radar scaling, category winners and tie rules come from src/comparison.js
+  const radarData = normalizeStats([player1, player2]);
 
   // Head-to-head comparison data for bar chart
   const h2hData = [
@@ -69,16 +47,15 @@ export default function PlayerComparison({ player1, player2, season = "2023-24"
     { stat: '3PM', [player1.name]: player1.three_pm, [player2.name]: player2.three_pm },
   ];
 
-  const p1Score = calculateFantasyScore(player1);
-  const p2Score = calculateFantasyScore(player2);
+  const p1Score = calculateFantasyScore(player1).toFixed(1);
+  const p2Score = calculateFantasyScore(player2).toFixed(1);
+  // Index of the overall winner, or null when the scores are level
+  const overall = scoreWinner([calculateFantasyScore(player1), calculateFantasyScore(player2)]);
 
   // Determine category winners
   const compareCategory = (stat) => {
-    const p1Val = player1[stat];
-    const p2Val = player2[stat];
-    // Turnovers are bad, so invert
-    if (stat === 'tov') return p1Val < p2Val ? 'p1' : p2Val < p1Val ? 'p2' : 'tie';
-    return p1Val > p2Val ? 'p1' : p2Val > p1Val ? 'p2' : 'tie';
+    const winner = categoryWinner(stat, [player1, player2]);
+    return winner === null ? 'tie' : winner === 0 ? 'p1' : 'p2';
   };
 
   const StatCard = ({ label, p1Val, p2Val, stat, suffix = "" }) => {
@@ -137,8 +114,8 @@ export default function PlayerComparison({ player1, player2, season = "2023-24"
             <PolarGrid />
             <PolarAngleAxis dataKey="category" />
             <PolarRadiusAxis angle={90} domain={[0, 100]} />
-            <Radar name={player1.name} dataKey={player1.name} stroke="#3b82f6" fill="#3b82f6" fillOpacity={0.5} />
-            <Radar name={player2.name} dataKey={player2.name} stroke="#9333ea" fill="#9333ea" fillOpacity={0.5} />
+            <Radar name={player1.name} dataKey="p0" stroke="#3b82f6" fill="#3b82f6" fillOpacity={0.5} />
+            <Radar name={player2.name} dataKey="p1" stroke="#9333ea" fill="#9333ea" fillOpacity={0.5} />
             <Legend />
             <Tooltip content={({ payload }) => {
               if (!payload || payload.length === 0) return null;
@@ -146,8 +123,8 @@ export default function PlayerComparison({ player1, player2, season = "2023-24"
               return (
                 <div className="bg-white p-3 border border-gray-200 rounded shadow-lg">
                   <div className="font-semibold mb-1">{data.category}</div>
-                  <div className="text-blue-600">{player1.name}: {data.p1Raw}</div>
-                  <div className="text-purple-600">{player2.name}: {data.p2Raw}</div>
+                  <div className="text-blue-600">{player1.name}: {data.p0Raw}</div>
+                  <div className="text-purple-600">{player2.name}: {data.p1Raw}</div>
                 </div>
               );
             }} />
@@ -189,13 +166,14 @@ export default function PlayerComparison({ player1, player2, season = "2023-24"
 
       {/* Winner Banner */}
       <div className={`rounded-xl p-6 text-white text-center ${
-        parseFloat(p1Score) > parseFloat(p2Score) ? 'bg-gradient-to-r from-blue-500 to-blue-600' : 'bg-gradient-to-r from-purple-500 to-purple-600'
+        overall === null ? 'bg-gradient-to-r from-gray-500 to-gray-600'
+          : overall === 0 ? 'bg-gradient-to-r from-blue-500 to-blue-600' : 'bg-gradient-to-r from-purple-500 to-purple-600'
       }`}>
         <div className="text-2xl font-bold mb-2">
-          {parseFloat(p1Score) > parseFloat(p2Score) ? player1.name : player2.name} Wins!
+          {overall === null ? 'Dead Even!' : (overall === 0 ? player1.name : player2.name) + ' Wins!'}
         </div>
         <div className="text-sm opacity-90">
-          Better overall fantasy value based on weighted scoring
+          {overall === null ? 'Equal' : 'Better'} overall fantasy value based on weighted scoring
         </div>
       </div>
     </div>
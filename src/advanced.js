@@ -0,0 +1,120 @@
+/**
+ * Advanced metrics
+ *
+ * Derived efficiency and role numbers computed from the optional shooting,
+ * minutes and team-total fields. A metric is only produced when every input
+ * it needs is present; made shots fall back to percentage × attempts when
+ * FGM/FTM are not given.
+ */
+
+// Team minutes in a regulation game (5 players × 48)
+const REGULATION_TEAM_MINUTES = 240;
+
+export const ADVANCED_METRICS = [
+  {
+    key: 'ts_pct',
+    label: 'TS%',
+    suffix: '%',
+    description: 'True shooting: points per shooting possession',
+    needs: ['fga', 'fta'],
+    compute: (p) => {
+      const attempts = 2 * (p.fga + 0.44 * p.fta);
+      return attempts > 0 ? (p.ppg / attempts) * 100 : null;
+    },
+  },
+  {
+    key: 'efg_pct',
+    label: 'eFG%',
+    suffix: '%',
+    description: 'Effective FG%: threes count 1.5× a two',
+    needs: ['fga'],
+    compute: (p) => (p.fga > 0 ? ((made(p, 'fgm') + 0.5 * p.three_pm) / p.fga) * 100 : null),
+  },
+  {
+    key: 'three_pct',
+    label: '3P%',
+    suffix: '%',
+    description: 'Three-point percentage',
+    needs: ['three_pa'],
+    compute: (p) => (p.three_pa > 0 ? (p.three_pm / p.three_pa) * 100 : null),
+  },
+  {
+    key: 'ast_to',
+    label: 'AST/TO',
+    description: 'Assists per turnover',
+    needs: [],
+    compute: (p) => (p.tov > 0 ? p.apg / p.tov : null),
+  },
+  {
+    key: 'usg_pct',
+    label: 'USG%',
+    suffix: '%',
+    description: 'Share of team plays used while on court',
+    needs: ['fga', 'fta', 'mpg', 'team_fga', 'team_fta', 'team_tov'],
+    compute: (p) => {
+      const teamMinutes = p.team_mp ?? REGULATION_TEAM_MINUTES;
+      const teamPlays = p.team_fga + 0.44 * p.team_fta + p.team_tov;
+      if (!(p.mpg > 0) || !(teamPlays > 0)) return null;
+      const plays = p.fga + 0.44 * p.fta + p.tov;
+      return (100 * plays * (teamMinutes / 5)) / (p.mpg * teamPlays);
+    },
+  },
+  {
+    key: 'game_score',
+    label: 'Game Score',
+    description: "Hollinger's Game Score per game (a box-score PER stand-in)",
+    needs: ['fga', 'fta', 'orb', 'pf'],
+    compute: (p) => (
+      p.ppg
+      + 0.4 * made(p, 'fgm')
+      - 0.7 * p.fga
+      - 0.4 * (p.fta - made(p, 'ftm'))
+      + 0.7 * p.orb
+      + 0.3 * (p.rpg - p.orb)
+      + p.spg
+      + 0.7 * p.apg
+      + 0.7 * p.bpg
+      - 0.4 * p.pf
+      - p.tov
+    ),
+  },
+];
+
+// Makes per game, derived from the percentage when not given directly
+function made(p, field) {
+  if (typeof p[field] === 'number') return p[field];
+  return field === 'fgm' ? (p.fg_pct / 100) * p.fga : (p.ft_pct / 100) * p.fta;
+}
+
+/**
+ * Every metric this player has inputs for, rounded to one decimal
+ * (two for AST/TO). Metrics without inputs are absent from the result.
+ */
+export function computeAdvanced(player) {
+  const result = {};
+  for (const metric of ADVANCED_METRICS) {
+    if (!metric.needs.every((field) => typeof player[field] === 'number')) continue;
+    const value = metric.compute(player);
+    if (value === null || !Number.isFinite(value)) continue;
+    const scale = metric.key === 'ast_to' ? 100 : 10;
+    result[metric.key] = Math.round(value * scale) / scale;
+  }
+  return result;
+}
+
+/**
+ * Rows for the artifact's Advanced panel: one per metric that at least one
+ * player has, with `values` aligned to `players` (null where missing).
+ */
+export function advancedTable(players) {
+  const computed = players.map(computeAdvanced);
+  return ADVANCED_METRICS
+    .filter((metric) => computed.some((c) => metric.key in c))
+    .map(({ key, label, suffix = '', description }) => ({
+      key,
+      label,
+      suffix,
+      description,
+      values: computed.map((c) => c[key] ?? null),
+    }));
+}
@@ -0,0 +1,153 @@
+/**
+ * Shared artifact code
+ *
+ * Source for the palette, helpers and components that more than one artifact
+ * uses, interpolated into each artifact's source, and the labels and value
+ * unit the artifact builders embed.
+ */
+
+import { CATEGORY_FORMATS } from './categories.js';
+import { COMPARISON_ENGINE_SOURCE } from './comparison.js';
+import { describeWeights } from './scoring.js';
+
+// Palette, categories, helpers and components used by both the comparison
+// and pickup artifacts
+export const SHARED_ARTIFACT_CODE = `
+// ── Comparison engine (inlined from comparison.js) ───────────────────────────
+${COMPARISON_ENGINE_SOURCE}
+
+// One color set per player slot, in input order
+const PALETTE = [
+  { main: '#3b82f6', dark: '#2563eb', sub: '#bfdbfe' },
+  { main: '#9333ea', dark: '#7c3aed', sub: '#e9d5ff' },
+  { main: '#10b981', dark: '#059669', sub: '#a7f3d0' },
+  { main: '#f97316', dark: '#ea580c', sub: '#fed7aa' },
+  { main: '#ef4444', dark: '#dc2626', sub: '#fecaca' },
+  { main: '#14b8a6', dark: '#0d9488', sub: '#99f6e4' },
+];
+
+const CATEGORIES = [
+  { stat: 'ppg',      label: 'Points' },
+  { stat: 'rpg',      label: 'Rebounds' },
+  { stat: 'apg',      label: 'Assists' },
+  { stat: 'spg',      label: 'Steals' },
+  { stat: 'bpg',      label: 'Blocks' },
+  { stat: 'three_pm', label: '3-Pointers' },
+  { stat: 'fg_pct',   label: 'FG%', suffix: '%' },
+  { stat: 'ft_pct',   label: 'FT%', suffix: '%' },
+  { stat: 'tov',      label: 'Turnovers' },
+];
+
+function formatZ(z) {
+  return (z >= 0 ? '+' : '') + z.toFixed(2);
+}
+
+// \`slots\` gives each player's palette slot when they are shown out of
+// input order; a punted category is greyed out and names no leader
+function StatCard({ players, zscores, label, stat, suffix = '', slots = players.map((_, i) => i), punted = false }) {
+  const winners = compareCategory(stat, players);
+  const allTied = winners.length === players.length;
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 8, padding: 16, opacity: punted ? 0.5 : 1 }}>
+      <div style={{ fontSize: 12, fontWeight: 500, color: '#6b7280', marginBottom: 8 }}>
+        {label}{punted && ' · punted'}
+      </div>
+      {players.map((p, i) => {
+        const leads = !punted && !allTied && winners.includes(i);
+        return (
+          <div key={i} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+            <div style={{ fontSize: 13, color: '#6b7280' }}>{p.name}</div>
+            <div style={{ fontSize: 20, fontWeight: 700, color: leads ? PALETTE[slots[i]].dark : '#374151' }}>
+              {typeof p[stat] === 'number' ? p[stat] + suffix : '—'}
+              {zscores && zscores[i][stat] !== undefined && (
+                <span style={{ fontSize: 11, fontWeight: 500, color: '#9ca3af', marginLeft: 6 }}>
+                  z {formatZ(zscores[i][stat])}
+                </span>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Category shape of each player over \`stats\`, scaled to the best in each
+// category; \`slots\` as for StatCard
+function CategoryRadar({ players, title = 'Category Comparison', stats = RADAR_STATS, slots = players.map((_, i) => i) }) {
+  const radarData = normalizeStats(players, stats);
+  const RadarTooltip = ({ payload }) => {
+    if (!payload || !payload.length) return null;
+    const d = payload[0].payload;
+    return (
+      <div style={{ background: '#fff', border: '1px solid #e5e7eb', borderRadius: 8, padding: 12 }}>
+        <div style={{ fontWeight: 600, marginBottom: 4 }}>{d.category}</div>
+        {players.map((p, i) => (
+          <div key={i} style={{ color: PALETTE[slots[i]].dark }}>{p.name}: {d['p' + i + 'Raw']}</div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 16 }}>
+        {title}
+      </h2>
+      <ResponsiveContainer width="100%" height={380}>
+        <RadarChart data={radarData}>
+          <PolarGrid />
+          <PolarAngleAxis dataKey="category" />
+          <PolarRadiusAxis angle={90} domain={[0, 100]} tick={false} />
+          {players.map((p, i) => (
+            <Radar key={i} name={p.name} dataKey={'p' + i}
+              stroke={PALETTE[slots[i]].main} fill={PALETTE[slots[i]].main}
+              fillOpacity={players.length > 2 ? 0.25 : 0.45} />
+          ))}
+          <Legend />
+          <Tooltip content={<RadarTooltip />} />
+        </RadarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+`.trim();
+
+// Used by the comparison and rankings artifacts
+export const TOGGLE_CODE = `
+// Segmented button group; hidden when there is nothing to choose between
+function Toggle({ options, labels, value, onChange }) {
+  if (options.length < 2) return null;
+  return (
+    <div style={{ display: 'flex', gap: 4, background: '#f3f4f6', borderRadius: 8, padding: 4 }}>
+      {options.map((o) => (
+        <button key={o} onClick={() => onChange(o)} style={{
+          border: 'none', borderRadius: 6, padding: '6px 12px', fontSize: 13, cursor: 'pointer',
+          background: o === value ? '#fff' : 'transparent',
+          color: o === value ? '#111827' : '#6b7280',
+          fontWeight: o === value ? 600 : 400,
+          boxShadow: o === value ? '0 1px 2px rgba(0,0,0,0.1)' : 'none',
+        }}>
+          {labels[o]}
+        </button>
+      ))}
+    </div>
+  );
+}
+`.trim();
+
+// Category names as the trade and matchup artifacts show them
+export const CATEGORY_LABELS = {
+  ppg: 'Points', rpg: 'Rebounds', apg: 'Assists', spg: 'Steals', bpg: 'Blocks',
+  three_pm: '3-Pointers', fg_pct: 'FG%', ft_pct: 'FT%', tov: 'Turnovers',
+};
+
+/**
+ * What trade and ranking values are measured in: a z-score total against
+ * the baseline in category formats, otherwise fantasy points per game.
+ */
+export function valueUnit(format, scoring, baselineLabel) {
+  return format in CATEGORY_FORMATS
+    ? `${format.replace('cat', '-cat')} z-score total vs ${baselineLabel}`
+    : `${scoring.label} fantasy points per game (${describeWeights(scoring.weights)})`;
+}
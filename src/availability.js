@@ -0,0 +1,107 @@
+/**
+ * Availability model
+ *
+ * Per-game value says how good a player is on the floor; availability says
+ * how often they get there. For each player:
+ *   rate      – share of the team's games played so far (gp ÷ season games)
+ *   missed    – remaining games lost to injury: one for day-to-day, the
+ *               games until `return_date` for out (all of them without one)
+ *   ros_games – remaining games the player is expected to play:
+ *               (remaining − missed) × rate
+ *   factor    – expected share of remaining games played; with no games
+ *               remaining, or no count of them, rate × a status discount
+ * The risk-adjusted score fills missed games at replacement level, so it
+ * stays meaningful for negative z-score totals. Without a remaining-games
+ * count, missed and ros_games are null rather than 0.
+ */
+
+export const INJURY_STATUSES = ['healthy', 'day_to_day', 'out'];
+
+// What the leaderboard ranks by
+export const RANKINGS = ['per_game', 'availability', 'positional'];
+
+export const INJURY_LABELS = {
+  healthy:    'Healthy',
+  day_to_day: 'Day-to-Day',
+  out:        'Out',
+};
+
+// Regular-season games per calendar day (82 games over roughly 174 days)
+const GAMES_PER_DAY = 82 / 174;
+// Games a day-to-day player is expected to miss
+export const DAY_TO_DAY_MISSED = 1;
+// Status discount when no remaining games are given
+const STATUS_SHARE = { healthy: 1, day_to_day: 0.9, out: 0 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Availability outlook for one player. `seasonGames` is games played by
+ * each team so far, `gamesRemaining` the player's team's games left (null
+ * when unknown), `asOf` the date (YYYY-MM-DD) to count games until a return
+ * date from.
+ */
+export function availabilityOutlook(player, { seasonGames, gamesRemaining, asOf }) {
+  const status = player.injury_status ?? 'healthy';
+  const rate = seasonGames > 0 ? Math.min(1, player.gp / seasonGames) : 1;
+  const outlook = { status, return_date: player.return_date ?? null, rate: round(rate, 3) };
+  if (gamesRemaining === null) {
+    return {
+      ...outlook,
+      games_remaining: null,
+      missed: null,
+      ros_games: null,
+      factor: round(rate * STATUS_SHARE[status], 3),
+    };
+  }
+
+  let missed = 0;
+  if (status === 'day_to_day') {
+    missed = DAY_TO_DAY_MISSED;
+  } else if (status === 'out') {
+    missed = player.return_date
+      ? Math.ceil(Math.max(0, (Date.parse(player.return_date) - Date.parse(asOf)) / DAY_MS) * GAMES_PER_DAY)
+      : gamesRemaining;
+  }
+  missed = Math.min(missed, gamesRemaining);
+
+  const rosGames = (gamesRemaining - missed) * rate;
+  const factor = gamesRemaining > 0 ? rosGames / gamesRemaining : rate * STATUS_SHARE[status];
+
+  return {
+    ...outlook,
+    games_remaining: gamesRemaining,
+    missed,
+    ros_games: round(rosGames, 1),
+    factor: round(factor, 3),
+  };
+}
+
+/**
+ * Of a week's `games`, how many the player is expected to play: none while
+ * out, and DAY_TO_DAY_MISSED fewer when day-to-day.
+ */
+export function expectedGames(player, games) {
+  if (player.injury_status === 'out') return 0;
+  if (player.injury_status === 'day_to_day') return Math.max(0, games - DAY_TO_DAY_MISSED);
+  return games;
+}
+
+/**
+ * Of the scheduled `dates` (in order), those the player is expected to
+ * play, by the same rule as expectedGames: a day-to-day player misses the
+ * first DAY_TO_DAY_MISSED, and a player who is out plays from their
+ * return_date, or not at all without one.
+ */
+export function expectedDates(player, dates) {
+  if (player.injury_status === 'out') {
+    return player.return_date ? dates.filter((d) => d >= player.return_date) : [];
+  }
+  if (player.injury_status === 'day_to_day') return dates.slice(DAY_TO_DAY_MISSED);
+  return dates;
+}
+
+function round(n, places) {
+  const scale = 10 ** places;
+  return Math.round(n * scale) / scale;
+}
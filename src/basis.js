@@ -0,0 +1,77 @@
+/**
+ * Stat bases
+ *
+ * Counting stats arrive per game. Other bases rescale them:
+ *   per_36  – per 36 minutes on court (needs mpg)
+ *   per_100 – per 100 possessions on court (needs mpg and team pace)
+ *   totals  – season totals (per game × games played)
+ * Percentages and games played are never rescaled. A basis whose inputs are
+ * missing scales to 0 rather than dividing by zero. basisFactor and
+ * applyBasis are self-contained, so the comparison artifact inlines their
+ * source (BASIS_SOURCE).
+ */
+
+export const BASES = ['per_game', 'per_36', 'per_100', 'totals'];
+
+export const BASIS_LABELS = {
+  per_game: 'Per Game',
+  per_36:   'Per 36 Minutes',
+  per_100:  'Per 100 Possessions',
+  totals:   'Season Totals',
+};
+
+// Extra player fields each basis depends on
+export const BASIS_FIELDS = {
+  per_game: [],
+  per_36:   ['mpg'],
+  per_100:  ['mpg', 'pace'],
+  totals:   [],
+};
+
+// Per-game fields that scale with the basis
+export const SCALED_STATS = [
+  'ppg', 'rpg', 'apg', 'spg', 'bpg', 'three_pm', 'tov', 'fgm', 'fga', 'ftm', 'fta',
+  'three_pa', 'orb', 'pf',
+];
+
+/**
+ * Multiplier from per-game values to the basis. Possessions on court per
+ * game are estimated as pace × mpg ÷ 48.
+ */
+export function basisFactor(player, basis) {
+  switch (basis) {
+    case 'per_36':  return player.mpg > 0 ? 36 / player.mpg : 0;
+    case 'per_100': return player.mpg > 0 && player.pace > 0 ? 100 / ((player.pace * player.mpg) / 48) : 0;
+    case 'totals':  return player.gp;
+    default:        return 1;
+  }
+}
+
+/** Bases every player has the inputs for, in BASES order. */
+export function availableBases(players) {
+  return BASES.filter((basis) => BASIS_FIELDS[basis].every(
+    (field) => players.every((p) => typeof p[field] === 'number' && p[field] > 0),
+  ));
+}
+
+/**
+ * A per-game line on the basis: counting stats rescaled (one decimal, whole
+ * numbers for totals) and the double-double total scaled with them.
+ */
+export function applyBasis(player, basis) {
+  const factor = basisFactor(player, basis);
+  if (factor === 1) return player;
+  const round = (v) => (basis === 'totals' ? Math.round(v) : Math.round(v * 10) / 10);
+  const scaled = { ...player };
+  for (const stat of SCALED_STATS) {
+    if (typeof player[stat] === 'number') scaled[stat] = round(player[stat] * factor);
+  }
+  if (typeof player.dd === 'number') scaled.dd = player.dd * factor;
+  return scaled;
+}
+
+// Source of the rescaling above, for inlining into artifacts
+export const BASIS_SOURCE = [
+  `const SCALED_STATS = ${JSON.stringify(SCALED_STATS)};`,
+  ...[basisFactor, applyBasis].map(String),
+].join('\n\n');
@@ -0,0 +1,84 @@
+/**
+ * Multi-season career views
+ *
+ * A player given as an array of season lines can be compared by:
+ *   peak   – their single most valuable season
+ *   best_n – games-weighted average of their N most valuable seasons
+ *   career – games-weighted average of every season
+ *   age    – the season they played at a given age
+ * "Valuable" is whatever value function the caller passes (fantasy score
+ * or category z-score total), so peaks follow the league format.
+ */
+
+import { PLAYER_PROPERTIES } from './schema.js';
+
+export const CAREER_VIEWS = ['peak', 'best_n', 'career', 'age'];
+export const DEFAULT_BEST_N = 3;
+
+// Percentages averaged over attempts when every season has them
+const PERCENT_ATTEMPTS = { fg_pct: 'fga', ft_pct: 'fta' };
+// Season-level numbers averaged plainly rather than weighted by games
+const UNWEIGHTED = new Set(['gp', 'dd', 'age']);
+
+/**
+ * Games-weighted average of several season lines. Percentages are weighted
+ * by attempts when available. A field missing from any season is dropped.
+ */
+export function averageSeasons(lines) {
+  const totalGames = lines.reduce((sum, l) => sum + l.gp, 0);
+  const avg = {};
+  for (const [field, { type }] of Object.entries(PLAYER_PROPERTIES)) {
+    if (type !== 'number' || field === 'age') continue;
+    if (!lines.every((l) => typeof l[field] === 'number')) continue;
+
+    const attempts = PERCENT_ATTEMPTS[field];
+    let value;
+    if (attempts && lines.every((l) => typeof l[attempts] === 'number')) {
+      const weight = (l) => l[attempts] * l.gp;
+      const total = lines.reduce((sum, l) => sum + weight(l), 0);
+      value = total > 0 ? lines.reduce((sum, l) => sum + l[field] * weight(l), 0) / total : 0;
+    } else if (UNWEIGHTED.has(field) || totalGames === 0) {
+      value = lines.reduce((sum, l) => sum + l[field], 0) / lines.length;
+    } else {
+      value = lines.reduce((sum, l) => sum + l[field] * l.gp, 0) / totalGames;
+    }
+    avg[field] = UNWEIGHTED.has(field) ? Math.round(value) : Math.round(value * 10) / 10;
+  }
+  return avg;
+}
+
+/**
+ * Every career view for one player. `lines` are season stat lines with a
+ * `season` label (and optionally `age`); `value(line)` ranks them.
+ * Returns `{ seasons, peak, best_n, career, ages }` where each view is a
+ * stat line carrying a `season_label` describing what it covers, and
+ * `ages` maps age → that season's line.
+ */
+export function careerViews(lines, value, bestN = DEFAULT_BEST_N) {
+  const seasons = [...lines]
+    .sort((a, b) => String(a.season).localeCompare(String(b.season)))
+    .map((l) => ({ ...l, season_label: l.age != null ? `${l.season} (age ${l.age})` : l.season }));
+  const ranked = [...seasons].sort((a, b) => value(b) - value(a));
+  const best = ranked.slice(0, Math.min(bestN, ranked.length));
+  const bestSeasons = seasons.filter((l) => best.includes(l));
+  const span = `${seasons[0].season}–${seasons[seasons.length - 1].season}`;
+
+  const ages = {};
+  for (const line of seasons) {
+    if (line.age != null) ages[line.age] = line;
+  }
+
+  return {
+    seasons,
+    peak: { ...ranked[0], season_label: `Peak: ${ranked[0].season_label}` },
+    best_n: {
+      ...averageSeasons(best),
+      season_label: `Best ${best.length}: ${bestSeasons.map((l) => l.season).join(', ')}`,
+    },
+    career: {
+      ...averageSeasons(seasons),
+      season_label: `Career ${span} (${seasons.length} seasons)`,
+    },
+    ages,
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Head-to-head category valuation (8-cat / 9-cat)
+ *
+ * Each category is converted to a z-score against a player-pool baseline.
+ * FG% and FT% are valued by volume-weighted impact rather than raw
+ * percentage: a 60% shooter on 4 attempts moves a fantasy team's FG% far less
+ * than a 55% shooter on 20 attempts. Impact is makes above league average,
+ * per game: attempts × (player% − league%).
+ */
+
+// ─── Formats ──────────────────────────────────────────────────────────────────
+
+export const CATEGORY_FORMATS = {
+  '9cat': ['ppg', 'rpg', 'apg', 'spg', 'bpg', 'three_pm', 'fg_pct', 'ft_pct', 'tov'],
+  '8cat': ['ppg', 'rpg', 'apg', 'spg', 'bpg', 'three_pm', 'fg_pct', 'ft_pct'],
+};
+
+export const FORMATS = ['points', ...Object.keys(CATEGORY_FORMATS)];
+
+// Percentage categories and the attempts field that weights them
+const VOLUME_FIELDS = { fg_pct: 'fga', ft_pct: 'fta' };
+
+// Categories where a lower number wins
+const LOWER_IS_BETTER = new Set(['tov']);
+
+export const MIN_POOL_SIZE = 10;
+
+// ─── Bundled baseline ─────────────────────────────────────────────────────────
+
+/**
+ * Per-game means and standard deviations for a typical 12-team draft pool
+ * (roughly the top 156 players of a recent season). Used when the caller
+ * does not supply a pool of their own.
+ */
+export const BUNDLED_BASELINE = {
+  label: 'Bundled top-156 pool',
+  league: { fg_pct: 47.5, ft_pct: 78.5 },
+  stats: {
+    ppg:      { mean: 16.5, sd: 6.0 },
+    rpg:      { mean: 6.0,  sd: 2.7 },
+    apg:      { mean: 3.9,  sd: 2.2 },
+    spg:      { mean: 1.0,  sd: 0.35 },
+    bpg:      { mean: 0.6,  sd: 0.45 },
+    three_pm: { mean: 1.7,  sd: 0.9 },
+    fg_pct:   { mean: 0,    sd: 0.6 },
+    ft_pct:   { mean: 0,    sd: 0.35 },
+    tov:      { mean: 2.0,  sd: 0.9 },
+  },
+};
+
+// ─── Valuation ────────────────────────────────────────────────────────────────
+
+/**
+ * The number a category is z-scored on: the raw per-game stat for counting
+ * categories, makes above league average for percentage categories.
+ */
+export function categoryImpact(player, stat, league) {
+  const volumeField = VOLUME_FIELDS[stat];
+  if (!volumeField) return player[stat];
+  return (player[volumeField] * (player[stat] - league[stat])) / 100;
+}
+
+/**
+ * Builds a baseline (league percentages plus per-category mean/sd) from a
+ * caller-supplied player pool. Every pool player needs the 9-cat stats and
+ * attempt volumes.
+ */
+export function buildBaseline(pool) {
+  if (!Array.isArray(pool) || pool.length < MIN_POOL_SIZE) {
+    throw new Error(`baseline pool needs at least ${MIN_POOL_SIZE} players`);
+  }
+  pool.forEach((player, i) => {
+    const missing = missingCategoryStats(player, '9cat');
+    if (missing.length) {
+      throw new Error(`baseline[${i}] is missing category stats: ${missing.join(', ')}`);
+    }
+  });
+
+  const league = {};
+  for (const [stat, volumeField] of Object.entries(VOLUME_FIELDS)) {
+    const attempts = pool.reduce((sum, p) => sum + p[volumeField], 0);
+    const weighted = pool.reduce((sum, p) => sum + p[volumeField] * p[stat], 0);
+    league[stat] = attempts > 0 ? weighted / attempts : 0;
+  }
+
+  const stats = {};
+  for (const stat of CATEGORY_FORMATS['9cat']) {
+    const values = pool.map((p) => categoryImpact(p, stat, league));
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+    stats[stat] = { mean, sd: Math.sqrt(variance) };
+  }
+
+  return { label: `Supplied pool (${pool.length} players)`, league, stats };
+}
+
+/**
+ * Per-category z-scores for one player plus their sum. Turnovers are
+ * negated so a positive z is always good. A category with no spread in the
+ * baseline scores 0.
+ */
+export function zScores(player, format, baseline) {
+  const result = {};
+  let total = 0;
+  for (const stat of CATEGORY_FORMATS[format]) {
+    const { mean, sd } = baseline.stats[stat];
+    let z = sd > 0 ? (categoryImpact(player, stat, baseline.league) - mean) / sd : 0;
+    if (LOWER_IS_BETTER.has(stat)) z = -z;
+    result[stat] = z;
+    total += z;
+  }
+  result.total = total;
+  return result;
+}
+
+/** Category inputs the player lacks for the given format. */
+export function missingCategoryStats(player, format) {
+  const needed = [...CATEGORY_FORMATS[format]];
+  for (const stat of CATEGORY_FORMATS[format]) {
+    if (VOLUME_FIELDS[stat]) needed.push(VOLUME_FIELDS[stat]);
+  }
+  return needed.filter((stat) => typeof player[stat] !== 'number');
+}
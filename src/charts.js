@@ -0,0 +1,175 @@
+/**
+ * Static comparison charts
+ *
+ * Lays out the dashboard's radar and per-game bar charts as plain shapes
+ * (rects, polygons, lines and text) in a fixed-size scene, so the same
+ * picture can be written as SVG (sceneToSvg) or rasterized to PNG (png.js)
+ * without a browser. Coordinates are pixels from the top left; text sits
+ * on its baseline.
+ */
+
+import { normalizeStats } from './comparison.js';
+
+// Same player colors as the artifact's PALETTE, in player order
+export const PLAYER_COLORS = ['#3b82f6', '#9333ea', '#10b981', '#f97316', '#ef4444', '#14b8a6'];
+
+const WIDTH = 960;
+const HEIGHT = 540;
+const GRID = '#e5e7eb';
+const INK = '#111827';
+const MUTED = '#6b7280';
+
+const BAR_STATS = [
+  ['PTS', 'ppg'], ['REB', 'rpg'], ['AST', 'apg'],
+  ['STL', 'spg'], ['BLK', 'bpg'], ['3PM', 'three_pm'],
+];
+
+// ─── Scene ────────────────────────────────────────────────────────────────────
+
+/**
+ * The chart scene for `players` (2–6 lines, already on the basis shown):
+ * a title, a legend, the radar chart on the left and the grouped bar chart
+ * on the right. Returns `{ width, height, background, shapes }`.
+ */
+export function comparisonScene(players, { title, subtitle }) {
+  const shapes = [
+    { type: 'text', x: 24, y: 40, text: title, size: 22, weight: 'bold', fill: INK },
+    { type: 'text', x: 24, y: 64, text: subtitle, size: 13, fill: MUTED },
+  ];
+  // Legend, wrapping onto a second row when the names run long
+  let x = 24;
+  let y = 82;
+  players.forEach((p, i) => {
+    const width = 18 + textWidth(p.name, 13);
+    if (x > 24 && x + width > WIDTH - 24) {
+      x = 24;
+      y += 20;
+    }
+    shapes.push(
+      { type: 'rect', x, y, width: 12, height: 12, fill: PLAYER_COLORS[i] },
+      { type: 'text', x: x + 18, y: y + 11, text: p.name, size: 13, fill: INK },
+    );
+    x += width + 24;
+  });
+  shapes.push(...radarShapes(players, { cx: 240, cy: 320, radius: 150 }));
+  shapes.push(...barShapes(players, { left: 540, top: 130, right: 936, bottom: 480 }));
+  return { width: WIDTH, height: HEIGHT, background: '#ffffff', shapes };
+}
+
+/** Rough width of a line of text at `size`, for laying out around it. */
+export function textWidth(text, size) {
+  return text.length * size * 0.6;
+}
+
+function radarShapes(players, { cx, cy, radius }) {
+  const rows = normalizeStats(players);
+  const point = (k, r) => {
+    const angle = -Math.PI / 2 + (2 * Math.PI * k) / rows.length;
+    return [cx + r * Math.cos(angle), cy + r * Math.sin(angle)];
+  };
+  const shapes = [];
+  for (const level of [0.25, 0.5, 0.75, 1]) {
+    shapes.push({ type: 'polygon', points: rows.map((_, k) => point(k, radius * level)), stroke: GRID, strokeWidth: 1 });
+  }
+  rows.forEach((row, k) => {
+    const [ex, ey] = point(k, radius);
+    const [lx, ly] = point(k, radius + 20);
+    shapes.push(
+      { type: 'line', x1: cx, y1: cy, x2: ex, y2: ey, stroke: GRID, strokeWidth: 1 },
+      {
+        type: 'text', x: lx, y: ly + 4, text: row.category, size: 12, fill: MUTED,
+        anchor: Math.abs(lx - cx) < 1 ? 'middle' : lx < cx ? 'end' : 'start',
+      },
+    );
+  });
+  const opacity = players.length > 2 ? 0.25 : 0.4;
+  players.forEach((_, i) => {
+    shapes.push({
+      type: 'polygon',
+      points: rows.map((row, k) => point(k, (radius * row['p' + i]) / 100)),
+      fill: PLAYER_COLORS[i],
+      fillOpacity: opacity,
+      stroke: PLAYER_COLORS[i],
+      strokeWidth: 2,
+    });
+  });
+  return shapes;
+}
+
+function barShapes(players, { left, top, right, bottom }) {
+  const max = Math.max(...BAR_STATS.flatMap(([, stat]) => players.map((p) => p[stat] ?? 0)));
+  const { step, ticks } = niceScale(max);
+  const scaleMax = step * ticks;
+  const axisLeft = left + 40;
+  const y = (v) => bottom - ((bottom - top) * v) / scaleMax;
+  const shapes = [];
+  for (let t = 0; t <= ticks; t += 1) {
+    const value = Math.round(t * step * 100) / 100;
+    shapes.push(
+      { type: 'line', x1: axisLeft, y1: y(value), x2: right, y2: y(value), stroke: GRID, strokeWidth: 1 },
+      { type: 'text', x: axisLeft - 8, y: y(value) + 4, text: String(value), size: 11, fill: MUTED, anchor: 'end' },
+    );
+  }
+  const group = (right - axisLeft) / BAR_STATS.length;
+  const bar = (group * 0.7) / players.length;
+  BAR_STATS.forEach(([label, stat], g) => {
+    const start = axisLeft + g * group + group * 0.15;
+    players.forEach((p, i) => {
+      const value = p[stat] ?? 0;
+      shapes.push({
+        type: 'rect', x: start + i * bar, y: y(value), width: Math.max(bar - 2, 1), height: bottom - y(value),
+        fill: PLAYER_COLORS[i],
+      });
+    });
+    shapes.push({ type: 'text', x: axisLeft + (g + 0.5) * group, y: bottom + 20, text: label, size: 12, fill: MUTED, anchor: 'middle' });
+  });
+  shapes.push({ type: 'line', x1: axisLeft, y1: bottom, x2: right, y2: bottom, stroke: MUTED, strokeWidth: 1 });
+  return shapes;
+}
+
+// About five gridlines at a round step (1, 2, 2.5 or 5 × a power of ten)
+function niceScale(max) {
+  if (!(max > 0)) return { step: 1, ticks: 5 };
+  const raw = max / 5;
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * power).find((s) => s >= raw);
+  return { step, ticks: Math.ceil(max / step) };
+}
+
+// ─── SVG ──────────────────────────────────────────────────────────────────────
+
+/** The scene as a standalone SVG document. */
+export function sceneToSvg({ width, height, background, shapes }) {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+      `viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+    `<rect width="${width}" height="${height}" fill="${background}"/>`,
+    ...shapes.map(svgShape),
+    '</svg>',
+  ].join('\n');
+}
+
+function svgShape(shape) {
+  const n = (v) => Math.round(v * 10) / 10;
+  switch (shape.type) {
+    case 'rect':
+      return `<rect x="${n(shape.x)}" y="${n(shape.y)}" width="${n(shape.width)}" height="${n(shape.height)}" fill="${shape.fill}"/>`;
+    case 'line':
+      return `<line x1="${n(shape.x1)}" y1="${n(shape.y1)}" x2="${n(shape.x2)}" y2="${n(shape.y2)}" ` +
+        `stroke="${shape.stroke}" stroke-width="${shape.strokeWidth}"/>`;
+    case 'polygon':
+      return `<polygon points="${shape.points.map(([x, y]) => `${n(x)},${n(y)}`).join(' ')}" ` +
+        `fill="${shape.fill ?? 'none'}"${shape.fillOpacity !== undefined ? ` fill-opacity="${shape.fillOpacity}"` : ''}` +
+        `${shape.stroke ? ` stroke="${shape.stroke}" stroke-width="${shape.strokeWidth}"` : ''}/>`;
+    case 'text':
+      return `<text x="${n(shape.x)}" y="${n(shape.y)}" font-size="${shape.size}" fill="${shape.fill}"` +
+        `${shape.anchor && shape.anchor !== 'start' ? ` text-anchor="${shape.anchor}"` : ''}` +
+        `${shape.weight ? ` font-weight="${shape.weight}"` : ''}>${escapeXml(shape.text)}</text>`;
+    default:
+      throw new Error(`Unknown shape type: ${shape.type}`);
+  }
+}
+
+export function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
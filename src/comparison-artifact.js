@@ -0,0 +1,898 @@
+/**
+ * Comparison artifact
+ *
+ * The interactive dashboard compare_nba_players returns: radar and bar
+ * charts, stat breakdown, fantasy scores, a ranked leaderboard and the
+ * advanced, trend, career, availability, projection and What If panels.
+ */
+
+import { advancedTable } from './advanced.js';
+import { SHARED_ARTIFACT_CODE, TOGGLE_CODE } from './artifact-shared.js';
+import { INJURY_LABELS, RANKINGS } from './availability.js';
+import { BASIS_LABELS, BASIS_SOURCE, availableBases } from './basis.js';
+import { SPLIT_SOURCE, splitLine } from './gamelog.js';
+import { SCORING_SOURCE } from './scoring.js';
+
+/**
+ * Builds a self-contained React component string (Claude artifact) that
+ * renders the full comparison dashboard for the supplied players (2–6).
+ * The player data, resolved scoring profile and (in category formats) the
+ * per-category z-scores are embedded as JSON literals so the artifact has
+ * zero external data dependencies, as are the advanced metrics, which are
+ * computed here from per-game inputs. `basis` is the stat basis shown first;
+ * the artifact can switch between every basis the players have inputs for.
+ * `trends` (from game logs) carries recent-form splits and per-game lines
+ * for the trend chart, or is null. `careers` carries every career view and
+ * season line for players given `seasons`, or is null. `availability` holds
+ * each player's availability outlook and the ranking shown first. `week`
+ * holds the projection window and each player's game dates in it, or is null.
+ * `projections` (with use_projections) holds each player's actual and
+ * projected lines and the sources blended, or is null; the players then
+ * carry their projected lines. `scarcity` holds the positional replacement
+ * levels and the one each player is measured against, or is null when
+ * there is no player pool. A What If panel edits the scoring weights,
+ * punts or hides categories and swaps two players' sides in the artifact,
+ * recomputing scores, records and winners as it goes.
+ */
+export function buildComparisonArtifact(players, {
+  season, scoring, format, valuation, basis, trends, careers, availability, week, projections, scarcity,
+}) {
+  const careerLines = careers ? careers.lines.filter(Boolean).flatMap((c) => c.seasons) : [];
+  // A split keeps only the minutes its own log has, so it can rule out a basis
+  const splitLines = trends
+    ? trends.splits.flatMap((s, i) => (s ? Object.values(s).filter(Boolean).map((line) => splitLine(players[i], line)) : []))
+    : [];
+  return `
+import { useState } from 'react';
+import {
+  RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar,
+  Legend, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip,
+  LineChart, Line, ResponsiveContainer,
+} from 'recharts';
+
+// ── Embedded player data (injected by MCP server) ────────────────────────────
+const perGamePlayers = ${JSON.stringify(players.map(({ game_log, seasons, ...p }) => p))};
+const season  = ${JSON.stringify(season)};
+const scoring = ${JSON.stringify(scoring)};
+const format  = ${JSON.stringify(format)};
+const valuation = ${JSON.stringify(valuation)};
+const initialBasis = ${JSON.stringify(basis)};
+const bases = ${JSON.stringify(availableBases([...players, ...careerLines, ...splitLines]))};
+const BASIS_LABELS = ${JSON.stringify(BASIS_LABELS)};
+const advanced = ${JSON.stringify(advancedTable(players))};
+const trends = ${JSON.stringify(trends)};
+const careers = ${JSON.stringify(careers)};
+const availability = ${JSON.stringify(availability)};
+const week = ${JSON.stringify(week)};
+const projections = ${JSON.stringify(projections)};
+const scarcity = ${JSON.stringify(scarcity)};
+const INJURY_LABELS = ${JSON.stringify(INJURY_LABELS)};
+const RANKINGS = ${JSON.stringify(RANKINGS.filter((r) => scarcity || r !== 'positional'))};
+const RANKING_LABELS = {
+  per_game:     'Per-Game Value',
+  availability: 'Availability-Adjusted',
+  positional:   'Over Replacement',
+};
+
+// Games averaged into each point of the trend chart
+const ROLLING_WINDOW = 5;
+
+${SHARED_ARTIFACT_CODE}
+
+// Categories in play for the chosen format (8-cat drops turnovers)
+const ACTIVE_CATEGORIES = format === '8cat'
+  ? CATEGORIES.filter((c) => c.stat !== 'tov')
+  : CATEGORIES;
+
+// ── Stat bases (inlined from basis.js) ────────────────────────────────────────
+${BASIS_SOURCE}
+
+// ── Game-log splits (inlined from gamelog.js) ─────────────────────────────────
+${SPLIT_SOURCE}
+
+// ── Scoring labels (inlined from scoring.js) ──────────────────────────────────
+${SCORING_SOURCE}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function calculateFantasyScore(p, weights) {
+  return fantasyScore(p, weights).toFixed(1);
+}
+
+const ACTIVE_STATS = ACTIVE_CATEGORIES.map((c) => c.stat);
+
+// Z-score total over the categories in play, in category order
+function zTotal(z, stats) {
+  return stats.reduce((sum, stat) => sum + z[stat], 0);
+}
+
+function formatRecord([wins, losses, ties]) {
+  return ties ? \`\${wins}–\${losses}–\${ties}\` : \`\${wins}–\${losses}\`;
+}
+
+// Season value over games played so far, value over the expected remaining
+// games, and per-game value with missed games filled at replacement level
+function availabilityValues(perGame, gp, outlook, replacementValue) {
+  return {
+    total: perGame * gp,
+    ros: outlook.ros_games === null ? null : perGame * outlook.ros_games,
+    riskAdjusted: outlook.factor * perGame + (1 - outlook.factor) * replacementValue,
+  };
+}
+
+function formatValue(v) {
+  return valuation ? formatZ(v) : v.toFixed(1);
+}
+
+// ── Sub-components ────────────────────────────────────────────────────────────
+
+function PlayerCard({ player, score, outlook, overReplacement, index }) {
+  const { main, dark, sub } = PALETTE[index];
+  return (
+    <div style={{
+      background: \`linear-gradient(135deg, \${main}, \${dark})\`,
+      borderRadius: 12, padding: 24, color: '#fff', flex: '1 1 200px',
+    }}>
+      <div style={{ fontSize: 24, fontWeight: 700, marginBottom: 4 }}>{player.name}</div>
+      <div style={{ color: sub, fontSize: 14 }}>
+        {player.team || '—'} · {player.position || '—'}
+      </div>
+      {(player.season_label || player.season) && (
+        <div style={{ marginTop: 4, fontSize: 13, fontWeight: 600 }}>
+          {player.season_label || player.season}
+        </div>
+      )}
+      <div style={{ marginTop: 12, fontSize: 13, opacity: 0.85 }}>
+        {player.gp} games played ({Math.round(outlook.rate * 100)}%)
+      </div>
+      {outlook.status !== 'healthy' && (
+        <div style={{
+          display: 'inline-block', marginTop: 6, padding: '2px 8px', borderRadius: 4,
+          background: 'rgba(0,0,0,0.25)', fontSize: 12, fontWeight: 600,
+        }}>
+          {INJURY_LABELS[outlook.status]}
+          {outlook.status === 'out' && (outlook.return_date ? ' until ' + outlook.return_date : ' indefinitely')}
+        </div>
+      )}
+      <div style={{ marginTop: 8 }}>
+        <div style={{ fontSize: 11, color: sub }}>{valuation ? 'Z-Score Total' : 'Fantasy Score'}</div>
+        <div style={{ fontSize: 36, fontWeight: 700 }}>{score}</div>
+        {scarcity && (
+          <div style={{ fontSize: 13, opacity: 0.85 }}>
+            {formatValue(overReplacement)} over replacement
+            {scarcity.players[index].position && ' (' + scarcity.players[index].position + ')'}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// \`top\` holds every standing level with the first one; a shared lead
+// gets a neutral banner. \`scoring\` is the scoring in effect and \`punted\`
+// the categories left out of the records.
+function Leaderboard({ standings, top, rankBy, scoring, punted }) {
+  const leader = standings[0];
+  const shared = top.length > 1;
+  const { main, dark } = shared ? { main: '#6b7280', dark: '#4b5563' } : PALETTE[leader.index];
+  const valueLabel = valuation ? 'z-score total' : scoring.label + ' fantasy value';
+  return (
+    <div style={{ borderRadius: 12, overflow: 'hidden', border: '1px solid #e5e7eb' }}>
+      <div style={{
+        background: \`linear-gradient(90deg, \${main}, \${dark})\`,
+        padding: 24, color: '#fff', textAlign: 'center',
+      }}>
+        <div style={{ fontSize: 22, fontWeight: 700, marginBottom: 4 }}>
+          {shared
+            ? top.map((s) => s.player.name).join(' and ') + (top.length === standings.length ? ' are level' : ' share the lead')
+            : leader.player.name + (valuation && rankBy === 'per_game' && standings.length === 2
+              ? ' wins ' + formatRecord(leader.record)
+              : ' leads the pack')}
+        </div>
+        <div style={{ fontSize: 13, opacity: 0.85 }}>
+          {rankBy === 'availability'
+            ? \`Ranked by risk-adjusted \${valueLabel} · missed games at replacement level\`
+            : rankBy === 'positional'
+              ? \`Ranked by \${valueLabel} over replacement at each player's scarcest position · \` +
+                \`\${scarcity.teams} teams, \${scarcity.season} pool\`
+              : valuation
+                ? \`Ranked by \${format.replace('cat', '-cat')} category record · z-scores vs \${valuation.baseline}\` +
+                  (punted.length ? ' · punting ' + punted.map((c) => c.label).join(', ') : '')
+                : \`Ranked by \${scoring.label} fantasy value · weighted: \${describeWeights(scoring.weights)}\`}
+        </div>
+        {scarcity && (
+          <div style={{ fontSize: 13, opacity: 0.85, marginTop: 4 }}>
+            {formatValue(leader.raw)} raw · {formatValue(leader.overReplacement)} over replacement
+          </div>
+        )}
+      </div>
+      {standings.map((s, rank) => (
+        <div key={s.index} style={{
+          display: 'flex', alignItems: 'center', gap: 16, padding: '12px 24px',
+          borderTop: rank ? '1px solid #e5e7eb' : 'none',
+        }}>
+          <div style={{ fontSize: 18, fontWeight: 700, color: '#9ca3af', width: 24 }}>{rank + 1}</div>
+          <div style={{ width: 12, height: 12, borderRadius: 6, background: PALETTE[s.index].main }} />
+          <div style={{ flex: 1, fontWeight: 600, color: '#111827' }}>{s.player.name}</div>
+          <div style={{ fontSize: 13, color: '#6b7280' }}>
+            {valuation
+              ? formatRecord(s.record) + (standings.length > 2 ? ' vs field' : '')
+              : \`\${s.categoryWins}/\${CATEGORIES.length} categories\`}
+          </div>
+          {scarcity && (
+            <div style={{ fontSize: 13, color: '#6b7280', width: 120, textAlign: 'right' }}>
+              {rankBy === 'positional'
+                ? formatValue(s.raw) + ' raw'
+                : formatValue(s.overReplacement) + ' over repl.'}
+            </div>
+          )}
+          <div style={{ fontSize: 18, fontWeight: 700, color: '#111827', width: 64, textAlign: 'right' }}>
+            {s.score}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Advanced metrics table; metrics no player has inputs for never reach here,
+// and a player missing one input shows a dash
+function AdvancedPanel({ rows }) {
+  if (!rows.length) return null;
+  const cell = { padding: '10px 12px', textAlign: 'right' };
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 16 }}>
+        Advanced
+      </h2>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+        <thead>
+          <tr style={{ borderBottom: '1px solid #e5e7eb' }}>
+            <th style={{ ...cell, textAlign: 'left', color: '#6b7280', fontWeight: 500 }}>Metric</th>
+            {perGamePlayers.map((p, i) => (
+              <th key={i} style={{ ...cell, color: PALETTE[i].dark, fontWeight: 600 }}>{p.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => {
+            const present = row.values.filter((v) => v !== null);
+            const best = Math.max(...present);
+            const contested = present.length > 1 && present.some((v) => v !== best);
+            return (
+              <tr key={row.key} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                <td style={{ ...cell, textAlign: 'left' }} title={row.description}>
+                  <div style={{ fontWeight: 600, color: '#111827' }}>{row.label}</div>
+                  <div style={{ fontSize: 11, color: '#9ca3af' }}>{row.description}</div>
+                </td>
+                {row.values.map((v, i) => (
+                  <td key={i} style={{
+                    ...cell,
+                    fontWeight: contested && v === best ? 700 : 400,
+                    color: v === null ? '#d1d5db' : contested && v === best ? PALETTE[i].dark : '#374151',
+                  }}>
+                    {v === null ? '—' : v + row.suffix}
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Projected totals over the week's games: counting stats × games, shooting
+// percentages as they are. A player without games has no percentages. With
+// two players, the record over \`stats\` is from the first shown's side.
+function WeekPanel({ lines, scoring, stats, order }) {
+  const games = week.games.map((dates) => dates.length);
+  const projected = lines.map((p, i) => {
+    const line = { ...p };
+    for (const { stat, suffix } of CATEGORIES) {
+      line[stat] = suffix ? (games[i] ? p[stat] : null) : Math.round(p[stat] * games[i] * 10) / 10;
+    }
+    return line;
+  });
+  const rows = CATEGORIES.map((c) => ({ ...c, values: projected.map((p) => p[c.stat]) }));
+  if (!valuation) {
+    rows.push({
+      stat: 'score',
+      label: scoring.label + ' Points',
+      values: lines.map((p, i) => Math.round(parseFloat(calculateFantasyScore(p, scoring.weights)) * games[i] * 10) / 10),
+    });
+  }
+  const cell = { padding: '10px 12px', textAlign: 'right' };
+  const [a, b] = order;
+  const record = valuation && lines.length === 2 && headToHead(projected[a], projected[b], stats);
+
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 4 }}>
+        This Week
+      </h2>
+      <p style={{ fontSize: 13, color: '#6b7280', marginTop: 0, marginBottom: 16 }}>
+        {week.start} – {week.end} · projected from per-game stats
+        {record && ' · ' + lines[a].name + ' projects ' + formatRecord(record)}
+      </p>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+        <thead>
+          <tr style={{ borderBottom: '1px solid #e5e7eb' }}>
+            <th style={{ ...cell, textAlign: 'left', color: '#6b7280', fontWeight: 500 }}>Category</th>
+            {lines.map((p, i) => (
+              <th key={i} style={{ ...cell, color: PALETTE[i].dark, fontWeight: 600 }}>{p.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          <tr style={{ borderBottom: '1px solid #f3f4f6' }}>
+            <td style={{ ...cell, textAlign: 'left', fontWeight: 600, color: '#111827' }}>Games</td>
+            {games.map((n, i) => (
+              <td key={i} style={cell} title={week.games[i].join(', ')}>{n}</td>
+            ))}
+          </tr>
+          {rows.map((row) => {
+            const leaders = row.stat === 'score'
+              ? compareCategory('score', row.values.map((score) => ({ score })))
+              : compareCategory(row.stat, projected);
+            const contested = leaders.length < lines.length;
+            return (
+              <tr key={row.stat} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                <td style={{ ...cell, textAlign: 'left', fontWeight: 600, color: '#111827' }}>{row.label}</td>
+                {row.values.map((v, i) => {
+                  const leads = contested && leaders.includes(i);
+                  return (
+                    <td key={i} style={{
+                      ...cell, fontWeight: leads ? 700 : 400, color: leads ? PALETTE[i].dark : '#374151',
+                    }}>
+                      {v === null ? '—' : v + (row.suffix || '')}
+                    </td>
+                  );
+                })}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Actual and projected per-game values side by side, with the lines each
+// projection blended
+function ProjectionPanel() {
+  const cell = { padding: '8px 10px', textAlign: 'right' };
+  const head = { ...cell, color: '#6b7280', fontWeight: 500, fontSize: 12 };
+  const describe = (s) => s.source + ' ' + Math.round(s.weight * 100) + '% (' + s.gp + ' GP, ' +
+    Math.round(s.kept * 100) + '% own)';
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 4 }}>
+        Projected vs Actual
+      </h2>
+      <div style={{ fontSize: 13, color: '#6b7280', marginBottom: 16 }}>
+        {projections.map((p, i) => p && (
+          <div key={i}>
+            <span style={{ color: PALETTE[i].dark, fontWeight: 600 }}>{perGamePlayers[i].name}</span>
+            {' · ' + p.position + ' means · ' + p.sources.map(describe).join(', ')}
+          </div>
+        ))}
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+        <thead>
+          <tr style={{ borderBottom: '1px solid #e5e7eb' }}>
+            <th style={{ ...head, textAlign: 'left' }}>Category</th>
+            {projections.map((p, i) => p && [
+              <th key={i + 'a'} style={{ ...head, color: PALETTE[i].dark }}>{perGamePlayers[i].name} Actual</th>,
+              <th key={i + 'p'} style={{ ...head, color: PALETTE[i].dark }}>Proj.</th>,
+            ])}
+          </tr>
+        </thead>
+        <tbody>
+          {CATEGORIES.map((c) => (
+            <tr key={c.stat} style={{ borderBottom: '1px solid #f3f4f6' }}>
+              <td style={{ ...cell, textAlign: 'left', fontWeight: 600, color: '#111827' }}>{c.label}</td>
+              {projections.map((p, i) => {
+                if (!p) return null;
+                const delta = p.line[c.stat] - p.actual[c.stat];
+                const better = c.stat === 'tov' ? delta < 0 : delta > 0;
+                return [
+                  <td key={i + 'a'} style={cell}>{p.actual[c.stat]}{c.suffix || ''}</td>,
+                  <td key={i + 'p'} style={{
+                    ...cell, fontWeight: 700, color: delta === 0 ? '#374151' : better ? '#059669' : '#dc2626',
+                  }}>
+                    {p.line[c.stat]}{c.suffix || ''}
+                  </td>,
+                ];
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Games played, injury outlook and what they do to each player's value
+function AvailabilityPanel({ players, values }) {
+  const cell = { padding: '10px 12px', textAlign: 'right' };
+  const head = { ...cell, color: '#6b7280', fontWeight: 500 };
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 4 }}>
+        Availability
+      </h2>
+      <p style={{ fontSize: 13, color: '#6b7280', marginTop: 0, marginBottom: 16 }}>
+        {availability.note}
+      </p>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+        <thead>
+          <tr style={{ borderBottom: '1px solid #e5e7eb' }}>
+            <th style={{ ...head, textAlign: 'left' }}>Player</th>
+            <th style={head}>GP</th>
+            <th style={head}>Avail.</th>
+            <th style={head}>Status</th>
+            <th style={head}>ROS Games</th>
+            <th style={head}>Season Value</th>
+            <th style={head}>ROS Value</th>
+            <th style={head}>Risk-Adj.</th>
+          </tr>
+        </thead>
+        <tbody>
+          {players.map((p, i) => {
+            const o = availability.outlooks[i];
+            return (
+              <tr key={i} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                <td style={{ ...cell, textAlign: 'left', fontWeight: 600, color: PALETTE[i].dark }}>{p.name}</td>
+                <td style={cell}>{p.gp}</td>
+                <td style={cell}>{Math.round(o.rate * 100)}%</td>
+                <td style={cell}>
+                  {INJURY_LABELS[o.status]}{o.status === 'out' && o.return_date ? ' (' + o.return_date + ')' : ''}
+                </td>
+                <td style={cell}>{o.ros_games ?? '—'}</td>
+                <td style={cell}>{formatValue(values[i].total)}</td>
+                <td style={cell}>{values[i].ros === null ? '—' : formatValue(values[i].ros)}</td>
+                <td style={{ ...cell, fontWeight: 700 }}>{formatValue(values[i].riskAdjusted)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Replacement level at each position and each player's value over theirs
+function ScarcityPanel({ players, raw, overReplacement }) {
+  const cell = { padding: '10px 12px', textAlign: 'right' };
+  const head = { ...cell, color: '#6b7280', fontWeight: 500 };
+  const positions = Object.keys(scarcity.levels);
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 4 }}>
+        Positional Scarcity
+      </h2>
+      <p style={{ fontSize: 13, color: '#6b7280', marginTop: 0, marginBottom: 16 }}>
+        {scarcity.teams} teams × {Object.entries(scarcity.roster).filter(([, n]) => n > 0)
+          .map(([slot, n]) => n + ' ' + slot).join(', ')} · {scarcity.poolSize}-player {scarcity.season} pool
+        {scarcity.rostered < scarcity.slots &&
+          \` (fills \${scarcity.rostered} of \${scarcity.slots} slots, so replacement is the weakest rostered player)\`}
+      </p>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12, marginBottom: 16 }}>
+        {positions.map((pos) => (
+          <div key={pos} style={{ background: '#fff', borderRadius: 8, padding: '8px 16px', textAlign: 'center' }}>
+            <div style={{ fontSize: 12, color: '#6b7280' }}>{pos}</div>
+            <div style={{ fontSize: 18, fontWeight: 700, color: '#111827' }}>{formatValue(scarcity.levels[pos])}</div>
+          </div>
+        ))}
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+        <thead>
+          <tr style={{ borderBottom: '1px solid #e5e7eb' }}>
+            <th style={{ ...head, textAlign: 'left' }}>Player</th>
+            <th style={head}>Position</th>
+            <th style={head}>Measured At</th>
+            <th style={head}>Raw Value</th>
+            <th style={head}>Replacement</th>
+            <th style={head}>Over Repl.</th>
+          </tr>
+        </thead>
+        <tbody>
+          {players.map((p, i) => (
+            <tr key={i} style={{ borderBottom: '1px solid #f3f4f6' }}>
+              <td style={{ ...cell, textAlign: 'left', fontWeight: 600, color: PALETTE[i].dark }}>{p.name}</td>
+              <td style={cell}>{p.position || '—'}</td>
+              <td style={cell}>{scarcity.players[i].position || 'deepest'}</td>
+              <td style={cell}>{formatValue(raw[i])}</td>
+              <td style={cell}>{formatValue(scarcity.players[i].replacement)}</td>
+              <td style={{ ...cell, fontWeight: 700 }}>{formatValue(overReplacement[i])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+${TOGGLE_CODE}
+
+// Rolling fantasy score per game, one line per player with a game log.
+// Dates from every log share the x-axis; gaps are bridged.
+function TrendChart({ scoring }) {
+  const byDate = {};
+  trends.logs.forEach((log, i) => {
+    if (!log) return;
+    const scores = log.map((g) => parseFloat(calculateFantasyScore(g.line, scoring.weights)));
+    log.forEach((g, k) => {
+      const recent = scores.slice(Math.max(0, k - ROLLING_WINDOW + 1), k + 1);
+      const row = byDate[g.date] || (byDate[g.date] = { date: g.date });
+      row['p' + i] = Math.round((recent.reduce((a, b) => a + b, 0) / recent.length) * 10) / 10;
+    });
+  });
+  const data = Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 4 }}>
+        Fantasy Score Trend
+      </h2>
+      <p style={{ fontSize: 13, color: '#6b7280', marginTop: 0, marginBottom: 16 }}>
+        {ROLLING_WINDOW}-game rolling average · {scoring.label} scoring
+      </p>
+      <ResponsiveContainer width="100%" height={280}>
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="date" />
+          <YAxis />
+          <Tooltip />
+          <Legend />
+          {trends.logs.map((log, i) => log && (
+            <Line key={i} type="monotone" name={perGamePlayers[i].name} dataKey={'p' + i}
+              stroke={PALETTE[i].main} strokeWidth={2} dot={false} connectNulls />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+// Career arc for one stat (or the season's fantasy value), one line per
+// career player. Seasons line up by age when every season has one, else by
+// season number.
+function CareerChart({ scoring, stats }) {
+  const [stat, setStat] = useState('score');
+  const byX = {};
+  careers.lines.forEach((c, i) => {
+    if (!c) return;
+    c.seasons.forEach((line, k) => {
+      const x = careers.alignByAge ? line.age : k + 1;
+      const row = byX[x] || (byX[x] = { x });
+      row['p' + i] = stat === 'score'
+        ? parseFloat(valuation ? zTotal(line.zscores, stats) : calculateFantasyScore(line, scoring.weights))
+        : line[stat];
+      row['p' + i + 'Season'] = line.season;
+    });
+  });
+  const data = Object.values(byX).sort((a, b) => a.x - b.x);
+  const options = ['score', ...CATEGORIES.map((c) => c.stat)];
+  const labels = {
+    score: valuation ? 'Z-Score' : 'Fantasy Score',
+    ...Object.fromEntries(CATEGORIES.map((c) => [c.stat, c.label])),
+  };
+
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 4 }}>
+        Career Arc
+      </h2>
+      <p style={{ fontSize: 13, color: '#6b7280', marginTop: 0, marginBottom: 16 }}>
+        Per game by {careers.alignByAge ? 'age' : 'season number'}
+      </p>
+      <div style={{ marginBottom: 16 }}>
+        <Toggle options={options} labels={labels} value={stat} onChange={setStat} />
+      </div>
+      <ResponsiveContainer width="100%" height={280}>
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="x" tickFormatter={(x) => (careers.alignByAge ? 'Age ' + x : 'Yr ' + x)} />
+          <YAxis />
+          <Tooltip
+            labelFormatter={(x) => (careers.alignByAge ? 'Age ' + x : 'Season ' + x)}
+            formatter={(value, name, item) => [value + ' (' + item.payload[item.dataKey + 'Season'] + ')', name]}
+          />
+          <Legend />
+          {careers.lines.map((c, i) => c && (
+            <Line key={i} type="monotone" name={perGamePlayers[i].name} dataKey={'p' + i}
+              stroke={PALETTE[i].main} strokeWidth={2} connectNulls />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+// What-if controls: live scoring weights (points formats), punted categories
+// (category formats), hidden categories and, for two players, which side
+// each is on. Every change recomputes the dashboard.
+function ControlsPanel({ weights, onWeights, punted, onPunted, hidden, onHidden, changed, onSwap, onReset }) {
+  const toggle = (list, stat) => (list.includes(stat) ? list.filter((s) => s !== stat) : [...list, stat]);
+  const button = {
+    border: '1px solid #e5e7eb', borderRadius: 6, padding: '6px 12px', fontSize: 13,
+    background: '#fff', color: '#374151', cursor: 'pointer',
+  };
+  const check = { display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, color: '#374151', cursor: 'pointer' };
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <div style={{
+        display: 'flex', flexWrap: 'wrap', gap: 8, marginBottom: 16,
+        justifyContent: 'space-between', alignItems: 'center',
+      }}>
+        <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', margin: 0 }}>What If</h2>
+        <div style={{ display: 'flex', gap: 8 }}>
+          {onSwap && <button onClick={onSwap} style={button}>⇄ Swap Sides</button>}
+          <button onClick={onReset} style={button}>Reset</button>
+        </div>
+      </div>
+      {!valuation && (
+        <div style={{
+          display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: 16, marginBottom: 16,
+        }}>
+          {Object.entries(weights).map(([stat, w]) => {
+            const limit = Math.max(5, Math.ceil(Math.abs(scoring.weights[stat]) * 2));
+            return (
+              <label key={stat} style={{ fontSize: 13, color: '#374151' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <span style={{ fontWeight: 600 }}>{SCORABLE_STATS[stat]}</span>
+                  <span style={{ color: w === scoring.weights[stat] ? '#6b7280' : '#111827' }}>×{w}</span>
+                </div>
+                <input type="range" min={-limit} max={limit} step={0.1} value={w} style={{ width: '100%' }}
+                  onChange={(e) => onWeights({ ...weights, [stat]: Math.round(parseFloat(e.target.value) * 10) / 10 })} />
+              </label>
+            );
+          })}
+        </div>
+      )}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(120px, 1fr))', gap: 8 }}>
+        {CATEGORIES.map((c) => {
+          const isPunted = punted.includes(c.stat);
+          // At least one category stays in play
+          const lastInPlay = !isPunted && punted.length === ACTIVE_STATS.length - 1;
+          return (
+            <div key={c.stat} style={{ background: '#fff', borderRadius: 8, padding: '8px 12px' }}>
+              <div style={{ fontSize: 13, fontWeight: 600, color: '#111827', marginBottom: 4 }}>{c.label}</div>
+              {valuation && ACTIVE_STATS.includes(c.stat) && (
+                <label style={check}>
+                  <input type="checkbox" checked={isPunted} disabled={lastInPlay}
+                    onChange={() => onPunted(toggle(punted, c.stat))} />
+                  Punt
+                </label>
+              )}
+              <label style={check}>
+                <input type="checkbox" checked={hidden.includes(c.stat)} onChange={() => onHidden(toggle(hidden, c.stat))} />
+                Hide
+              </label>
+            </div>
+          );
+        })}
+      </div>
+      <p style={{ fontSize: 12, color: '#9ca3af', marginTop: 12, marginBottom: 0 }}>
+        {valuation
+          ? 'Punted categories leave the records and z-score totals; hidden ones only leave the charts and breakdown.'
+          : 'Weights rescore every player as you drag; hidden categories only leave the charts and breakdown.'}
+        {scarcity && changed && ' Positional replacement levels stay at the original settings.'}
+      </p>
+    </div>
+  );
+}
+
+// ── Main component ────────────────────────────────────────────────────────────
+
+export default function App() {
+  const [basis, setBasis] = useState(initialBasis);
+  const [split, setSplit] = useState('season');
+  const [careerView, setCareerView] = useState(careers ? careers.view : null);
+  const [age, setAge] = useState(careers ? careers.age : null);
+  const [rankBy, setRankBy] = useState(availability.rankBy);
+  // What-if settings: the scoring weights, punted and hidden categories, and
+  // the order players are shown in
+  const [weights, setWeights] = useState(scoring.weights);
+  const [punted, setPunted] = useState([]);
+  const [hidden, setHidden] = useState([]);
+  const [order, setOrder] = useState(perGamePlayers.map((_, i) => i));
+  const edited = Object.keys(weights).some((stat) => weights[stat] !== scoring.weights[stat]);
+  const liveScoring = { label: edited ? 'Custom' : scoring.label, weights };
+  const scoredStats = ACTIVE_STATS.filter((stat) => !punted.includes(stat));
+  const radarStats = RADAR_STATS.filter((stat) => !hidden.includes(stat));
+  const shownOrder = (list) => order.map((i) => list[i]);
+  const reset = () => {
+    setWeights(scoring.weights);
+    setPunted([]);
+    setHidden([]);
+    setOrder(perGamePlayers.map((_, i) => i));
+  };
+  // A career view replaces the line of each career player, and a split
+  // replaces it only for players with games in it
+  const lines = perGamePlayers.map((p, i) => {
+    const c = careers && careers.lines[i];
+    const base = c ? { ...p, ...(careerView === 'age' ? c.ages[age] : c[careerView]) } : p;
+    const line = split !== 'season' && trends && trends.splits[i] && trends.splits[i][split];
+    return line ? splitLine(base, line) : base;
+  });
+  const players = lines.map((line) => applyBasis(line, basis));
+  const zscores = valuation && players.map((p, i) => p.zscores || valuation.zscores[i]);
+  // Availability and scarcity work from per-game value whatever the basis shown
+  const perGameValues = lines.map((line, i) => (
+    zscores ? zTotal(zscores[i], scoredStats) : parseFloat(calculateFantasyScore(line, weights))
+  ));
+  const replacementValue = valuation
+    ? zTotal(availability.replacement, scoredStats)
+    : fantasyScore(availability.replacement, weights);
+  const values = lines.map((line, i) => availabilityValues(
+    perGameValues[i], line.gp, availability.outlooks[i], replacementValue,
+  ));
+  const overReplacement = perGameValues.map((v, i) => (scarcity ? v - scarcity.players[i].replacement : null));
+  const h2hData = [
+    ['PTS', 'ppg'], ['REB', 'rpg'], ['AST', 'apg'],
+    ['STL', 'spg'], ['BLK', 'bpg'], ['3PM', 'three_pm'],
+  ].filter(([, stat]) => !hidden.includes(stat)).map(([label, stat]) => {
+    const row = { stat: label };
+    players.forEach((p, i) => { row['p' + i] = p[stat]; });
+    return row;
+  });
+
+  const scores = zscores
+    ? zscores.map((z) => formatZ(zTotal(z, scoredStats)))
+    : players.map((p) => calculateFantasyScore(p, weights));
+  const categoryWins = countCategoryWins(players, scoredStats);
+  // Summed head-to-head category record against every other player
+  const records = players.map((p, i) => players.reduce(
+    (acc, q, j) => (i === j ? acc : headToHead(p, q, scoredStats).map((n, k) => acc[k] + n)),
+    [0, 0, 0],
+  ));
+  // Category formats rank by record, then z-score total; the availability
+  // and positional rankings use risk-adjusted value and value over
+  // replacement in every format. Scores compare as shown. Stable sort: on
+  // equal values the earlier player keeps the higher rank, but a shared
+  // lead names no winner
+  const ranked = {
+    availability: values.map((v) => v.riskAdjusted),
+    positional:   overReplacement,
+  }[rankBy];
+  const compareStandings = (a, b) => (ranked
+    ? ranked[b.index] - ranked[a.index]
+    : valuation
+      ? (b.record[0] - b.record[1]) - (a.record[0] - a.record[1]) ||
+        parseFloat(b.score) - parseFloat(a.score)
+      : parseFloat(b.score) - parseFloat(a.score));
+  const standings = players
+    .map((player, index) => ({
+      player,
+      index,
+      score: ranked ? formatValue(ranked[index]) : scores[index],
+      raw: perGameValues[index],
+      overReplacement: overReplacement[index],
+      categoryWins: categoryWins[index],
+      record: records[index],
+    }))
+    .sort(compareStandings);
+  const top = standings.filter((s) => compareStandings(standings[0], s) === 0);
+
+  return (
+    <div style={{ maxWidth: 960, margin: '0 auto', padding: 24, fontFamily: 'sans-serif' }}>
+      {/* Title */}
+      <div style={{
+        display: 'flex', flexWrap: 'wrap', gap: 16, marginBottom: 32,
+        justifyContent: 'space-between', alignItems: 'flex-end',
+      }}>
+        <div>
+          <h1 style={{ fontSize: 28, fontWeight: 700, color: '#111827', margin: 0 }}>
+            Fantasy Basketball Comparison
+          </h1>
+          <p style={{ color: '#6b7280', marginTop: 4, marginBottom: 0 }}>
+            {split !== 'season'
+              ? trends.labels[split] + ' through ' + trends.asOf
+              : careers
+                ? 'Career Comparison · ' + (careerView === 'age' ? 'Age ' + age : careers.labels[careerView])
+                : projections
+                  ? season + ' Rest-of-Season Projections'
+                  : season + ' Season Stats'} · {BASIS_LABELS[basis]}
+          </p>
+        </div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+          {careers && (
+            <Toggle options={careers.views} labels={careers.labels} value={careerView} onChange={setCareerView} />
+          )}
+          {careers && careerView === 'age' && (
+            <Toggle options={careers.ages} labels={Object.fromEntries(careers.ages.map((a) => [a, 'Age ' + a]))}
+              value={age} onChange={setAge} />
+          )}
+          {trends && (
+            <Toggle options={trends.available} labels={trends.labels} value={split} onChange={setSplit} />
+          )}
+          <Toggle options={bases} labels={BASIS_LABELS} value={basis} onChange={setBasis} />
+        </div>
+      </div>
+
+      {/* What-if controls */}
+      <ControlsPanel weights={weights} onWeights={setWeights} punted={punted} onPunted={setPunted}
+        hidden={hidden} onHidden={setHidden} changed={edited || punted.length > 0}
+        onSwap={order.length === 2 ? () => setOrder([...order].reverse()) : null} onReset={reset} />
+
+      {/* Player cards */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, marginBottom: 32 }}>
+        {order.map((i) => (
+          <PlayerCard key={i} player={players[i]} score={scores[i]} outlook={availability.outlooks[i]}
+            overReplacement={overReplacement[i]} index={i} />
+        ))}
+      </div>
+
+      {/* Radar chart; too few categories left make no shape */}
+      {radarStats.length >= 3 && <CategoryRadar players={shownOrder(players)} stats={radarStats} slots={order} />}
+
+      {/* Bar chart */}
+      {h2hData.length > 0 && (
+        <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+          <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 16 }}>
+            {BASIS_LABELS[basis]} Stats
+          </h2>
+          <ResponsiveContainer width="100%" height={280}>
+            <BarChart data={h2hData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="stat" />
+              <YAxis />
+              <Tooltip />
+              <Legend />
+              {order.map((i) => (
+                <Bar key={i} name={players[i].name} dataKey={'p' + i} fill={PALETTE[i].main} radius={[4, 4, 0, 0]} />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {/* Trend chart */}
+      {trends && <TrendChart scoring={liveScoring} />}
+
+      {/* Career arc */}
+      {careers && <CareerChart scoring={liveScoring} stats={scoredStats} />}
+
+      {/* Stat breakdown grid */}
+      <div style={{ marginBottom: 32 }}>
+        <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginBottom: 16 }}>
+          Detailed Breakdown
+        </h2>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 12 }}>
+          {CATEGORIES.filter((c) => !hidden.includes(c.stat)).map((c) => (
+            <StatCard key={c.stat} players={shownOrder(players)} zscores={zscores && shownOrder(zscores)}
+              label={c.label} stat={c.stat} suffix={c.suffix} slots={order} punted={punted.includes(c.stat)} />
+          ))}
+        </div>
+      </div>
+
+      {/* Projections */}
+      {projections && <ProjectionPanel />}
+
+      {/* Weekly projection */}
+      {week && <WeekPanel lines={lines} scoring={liveScoring} stats={scoredStats} order={order} />}
+
+      {/* Advanced metrics */}
+      <AdvancedPanel rows={advanced} />
+
+      {/* Availability */}
+      <AvailabilityPanel players={players} values={values} />
+
+      {/* Positional scarcity */}
+      {scarcity && <ScarcityPanel players={players} raw={perGameValues} overReplacement={overReplacement} />}
+
+      {/* Leaderboard */}
+      <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: 12 }}>
+        <Toggle options={RANKINGS} labels={RANKING_LABELS} value={rankBy} onChange={setRankBy} />
+      </div>
+      <Leaderboard standings={standings} top={top} rankBy={rankBy} scoring={liveScoring}
+        punted={CATEGORIES.filter((c) => punted.includes(c.stat))} />
+    </div>
+  );
+}
+`.trim();
+}
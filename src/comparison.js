@@ -0,0 +1,117 @@
+/**
+ * Comparison engine
+ *
+ * The rules every comparison view shares: radar normalization, weighted
+ * fantasy scores, category leaders, head-to-head records and the overall
+ * winner. The functions are pure and self-contained, so the MCP artifact
+ * inlines their source (COMPARISON_ENGINE_SOURCE) and PlayerComparisonTemplate.jsx
+ * and demo.jsx import them.
+ *
+ * Ties: equal values share the lead, and a category or comparison has a
+ * winner only when one player leads alone. Missing or non-numeric values
+ * never lead. Fantasy scores are compared at one decimal, as they are shown.
+ */
+
+// Counting stats on the radar chart
+export const RADAR_STATS = ['ppg', 'rpg', 'apg', 'spg', 'bpg', 'three_pm'];
+
+// Categories where the smaller number wins
+export const LOWER_IS_BETTER = ['tov'];
+
+/**
+ * Radar rows for `players` over `stats` (default RADAR_STATS): each stat
+ * scaled so the best player sits at 100 ÷ 1.2 (20% headroom). Rows are
+ * `{ category, p0, p0Raw, p1, … }`; a stat nobody has above 0 scales to 0
+ * for everyone.
+ */
+export function normalizeStats(players, stats = RADAR_STATS) {
+  return stats.map((stat) => {
+    const values = players.map((p) => (typeof p[stat] === 'number' ? p[stat] : 0));
+    const max = Math.max(...values) * 1.2;
+    const row = { category: stat.toUpperCase().replace('_', ' ') };
+    values.forEach((v, i) => {
+      row['p' + i] = max > 0 ? (v / max) * 100 : 0;
+      row['p' + i + 'Raw'] = players[i][stat];
+    });
+    return row;
+  });
+}
+
+/** Value of one weighted stat. Double-doubles are a season total, scored per game. */
+export function scoringValue(player, stat) {
+  return stat === 'dd' ? (player.gp > 0 ? player.dd / player.gp : 0) : player[stat];
+}
+
+/** Fantasy score of a per-game stat line under a weight map. */
+export function fantasyScore(player, weights) {
+  return Object.entries(weights).reduce((sum, [stat, weight]) => sum + scoringValue(player, stat) * weight, 0);
+}
+
+/** A fantasy score at its display precision. */
+export function roundScore(score) {
+  return Math.round(score * 10) / 10;
+}
+
+/**
+ * Indices of the best value(s) in `values`, in input order; more than one
+ * means a shared lead. Non-finite values are skipped, so all-missing gives [].
+ */
+export function leaders(values, lowerIsBetter = false) {
+  const valid = values.filter((v) => Number.isFinite(v));
+  if (!valid.length) return [];
+  const best = lowerIsBetter ? Math.min(...valid) : Math.max(...valid);
+  return values.reduce((acc, v, i) => (v === best ? [...acc, i] : acc), []);
+}
+
+/** Indices of the player(s) leading a category. */
+export function compareCategory(stat, players) {
+  return leaders(players.map((p) => p[stat]), LOWER_IS_BETTER.includes(stat));
+}
+
+/**
+ * The single player leading a category, or null when it is tied or
+ * nobody has the stat.
+ */
+export function categoryWinner(stat, players) {
+  const best = compareCategory(stat, players);
+  return best.length === 1 ? best[0] : null;
+}
+
+/** Category record of player a against player b over `stats`: [wins, losses, ties]. */
+export function headToHead(a, b, stats) {
+  const record = [0, 0, 0];
+  for (const stat of stats) {
+    const winner = categoryWinner(stat, [a, b]);
+    record[winner === null ? 2 : winner] += 1;
+  }
+  return record;
+}
+
+/**
+ * Categories each player leads among `players`. A shared lead counts for
+ * everyone sharing it, unless every player is level.
+ */
+export function countCategoryWins(players, stats) {
+  const wins = players.map(() => 0);
+  for (const stat of stats) {
+    const best = compareCategory(stat, players);
+    if (best.length < players.length) best.forEach((i) => { wins[i] += 1; });
+  }
+  return wins;
+}
+
+/** Index of the best fantasy score, or null when it is shared at one decimal. */
+export function scoreWinner(scores) {
+  const best = leaders(scores.map(roundScore));
+  return best.length === 1 ? best[0] : null;
+}
+
+// Source of the constants and functions above, for inlining into artifacts
+export const COMPARISON_ENGINE_SOURCE = [
+  `const RADAR_STATS = ${JSON.stringify(RADAR_STATS)};`,
+  `const LOWER_IS_BETTER = ${JSON.stringify(LOWER_IS_BETTER)};`,
+  ...[
+    normalizeStats, scoringValue, fantasyScore, roundScore, leaders,
+    compareCategory, categoryWinner, headToHead, countCategoryWins, scoreWinner,
+  ].map(String),
+].join('\n\n');
@@ -0,0 +1,52 @@
+/**
+ * Minimal RFC 4180 CSV reader
+ *
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+ * Blank lines are skipped. No type coercion: every value is a string.
+ */
+
+/** Splits CSV text into an array of rows, each an array of field strings. */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some((f) => f !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((f) => f !== '')) rows.push(row);
+  return rows;
+}
+
+/** Parses CSV text with a header row into an array of records keyed by header. */
+export function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return rows.map((row) => Object.fromEntries(keys.map((key, i) => [key, (row[i] ?? '').trim()])));
+}
@@ -0,0 +1,140 @@
+/**
+ * Shareable comparison exports
+ *
+ * Renders a comparison to files that open anywhere: a self-contained HTML
+ * page (inline styles, the charts as inline SVG, no scripts), the charts
+ * as an SVG document and the same charts as a PNG. Saved exports go to
+ * <repo>/exports, or NBA_EXPORT_DIR.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PLAYER_COLORS, comparisonScene, escapeXml, sceneToSvg } from './charts.js';
+import { renderPng } from './png.js';
+import { describeComparison, formatScore, scoreLabel, verdict } from './report.js';
+import { normalizeName } from './stats-db.js';
+
+export const EXPORT_FORMATS = ['html', 'svg', 'png'];
+
+export const EXPORT_DIR = process.env.NBA_EXPORT_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'exports');
+
+/**
+ * Every export of a comparison. `lines` are the players' lines on the
+ * result's basis and `result` their comparisonResult (report.js). Returns
+ * `{ html, svg, png }` with the PNG as a Buffer.
+ */
+export function renderExports(lines, result) {
+  const scene = comparisonScene(lines, {
+    // The legend names every player; long match-ups get a generic title
+    title: lines.length > 2 ? 'Fantasy Basketball Comparison' : lines.map((p) => p.name).join(' vs '),
+    subtitle: describeComparison(result),
+  });
+  const svg = sceneToSvg(scene);
+  return { html: buildHtml(result, svg), svg, png: renderPng(scene) };
+}
+
+/**
+ * Writes the chosen exports as <season>-<player>-vs-<player>.<format>,
+ * replacing earlier exports of the same comparison. Returns the file paths.
+ */
+export async function saveExports(result, files) {
+  const slug = (text) => normalizeName(text).replace(/ /g, '-');
+  const base = `${slug(result.season)}-${result.players.map((p) => slug(p.name)).join('-vs-')}`;
+  await mkdir(EXPORT_DIR, { recursive: true });
+  const saved = [];
+  for (const [format, data] of Object.entries(files)) {
+    const file = path.join(EXPORT_DIR, `${base}.${format}`);
+    await writeFile(file, data);
+    saved.push(file);
+  }
+  return saved;
+}
+
+// ─── HTML ─────────────────────────────────────────────────────────────────────
+
+function buildHtml(result, svg) {
+  const { players, categories } = result;
+  const title = players.map((p) => p.name).join(' vs ');
+  const cards = players.map((p, i) => `
+      <div class="card" style="background: ${PLAYER_COLORS[i]}">
+        <div class="name">${escapeXml(p.name)}</div>
+        <div class="meta">${escapeXml(p.team ?? '—')} · ${escapeXml(p.position ?? '—')}</div>
+        ${p.gp !== null ? `<div class="meta">${p.gp} games played</div>` : ''}
+        <div class="label">${scoreLabel(result)}</div>
+        <div class="score">${formatScore(result, p.score)}</div>
+      </div>`).join('');
+  const rows = categories.map((c) => {
+    const shared = c.leaders.length === players.length;
+    const cells = c.values.map((v, i) => {
+      const leads = !shared && c.leaders.includes(i);
+      return `<td${leads ? ` class="lead" style="color: ${PLAYER_COLORS[i]}"` : ''}>${v === null ? '—' : v + c.suffix}</td>`;
+    });
+    return `
+          <tr><td>${c.label}</td>${cells.join('')}</tr>`;
+  }).join('');
+  const standings = players.length > 2 ? `
+    <ol class="standings">${result.order.map((i) => `
+      <li><span style="color: ${PLAYER_COLORS[i]}">●</span> ${escapeXml(players[i].name)}: ${formatScore(result, players[i].score)}</li>`).join('')}
+    </ol>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeXml(title)}</title>
+  <style>
+    body { margin: 0; background: #fff; color: #111827; font-family: Helvetica, Arial, sans-serif; }
+    main { max-width: 960px; margin: 0 auto; padding: 24px; }
+    h1 { font-size: 28px; margin: 0; }
+    h2 { font-size: 18px; margin: 0 0 16px; }
+    .sub { color: #6b7280; margin: 4px 0 32px; }
+    .cards { display: flex; flex-wrap: wrap; gap: 16px; margin-bottom: 32px; }
+    .card { flex: 1 1 200px; border-radius: 12px; padding: 24px; color: #fff; }
+    .card .name { font-size: 22px; font-weight: 700; margin-bottom: 4px; }
+    .card .meta { font-size: 13px; opacity: 0.85; }
+    .card .label { font-size: 11px; margin-top: 12px; opacity: 0.85; }
+    .card .score { font-size: 36px; font-weight: 700; }
+    .panel { background: #f9fafb; border-radius: 12px; padding: 24px; margin-bottom: 32px; }
+    .panel svg { display: block; width: 100%; height: auto; border-radius: 8px; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { padding: 8px 12px; text-align: right; border-bottom: 1px solid #e5e7eb; }
+    th:first-child, td:first-child { text-align: left; }
+    th { color: #6b7280; font-weight: 500; }
+    td.lead { font-weight: 700; }
+    .banner { border-radius: 12px; padding: 24px; color: #fff; text-align: center; font-size: 22px; font-weight: 700; }
+    .standings { font-size: 15px; line-height: 1.8; }
+    footer { color: #9ca3af; font-size: 12px; margin-top: 32px; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeXml(title)}</h1>
+    <p class="sub">${escapeXml(describeComparison(result))}</p>
+    <div class="cards">${cards}
+    </div>
+    <section class="panel">
+      ${svg.replace(/\n/g, '\n      ')}
+    </section>
+    <section class="panel">
+      <h2>Detailed Breakdown</h2>
+      <table>
+        <thead>
+          <tr><th>Category</th>${players.map((p) => `<th>${escapeXml(p.name)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>${rows}
+          <tr><td><strong>${scoreLabel(result)}</strong></td>${players.map((p) => `<td><strong>${formatScore(result, p.score)}</strong></td>`).join('')}</tr>
+        </tbody>
+      </table>
+    </section>
+    <div class="banner" style="background: ${result.winner === null ? '#6b7280' : PLAYER_COLORS[result.winner]}">
+      ${escapeXml(verdict(result))}
+    </div>${standings}
+    <footer>Generated by nba-player-compare-mcp</footer>
+  </main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,196 @@
+/**
+ * Game logs: recent-form splits and per-game stat lines
+ *
+ * A game log is an array of box scores ({ date, opponent, pts, reb, … }).
+ * Splits average the games within the last 7, 15 or 30 days of the most
+ * recent game in any log (or of an explicit `as_of` date), so every player
+ * is measured over the same calendar window. Shooting percentages in a split
+ * come from total makes ÷ total attempts, not from averaging percentages.
+ *
+ * Only date and the core box score are required, so a log may lack shooting
+ * volume or minutes. A split replaces every stat a log can supply, so what
+ * the log lacks stays missing rather than falling back to the season line;
+ * missingGameFields finds logs that cannot be scored at all.
+ */
+
+import { GAME_PROPERTIES } from './schema.js';
+
+export const SPLITS = {
+  last_7:  { days: 7,  label: 'Last 7 Days' },
+  last_15: { days: 15, label: 'Last 15 Days' },
+  last_30: { days: 30, label: 'Last 30 Days' },
+};
+
+const REQUIRED_GAME_FIELDS = ['date', 'pts', 'reb', 'ast', 'stl', 'blk', 'fg3m', 'tov'];
+
+// Box-score field → player stat field
+const BOX_TO_STAT = {
+  pts:  'ppg',
+  reb:  'rpg',
+  ast:  'apg',
+  stl:  'spg',
+  blk:  'bpg',
+  fg3m: 'three_pm',
+  fg3a: 'three_pa',
+  tov:  'tov',
+  fgm:  'fgm',
+  fga:  'fga',
+  ftm:  'ftm',
+  fta:  'fta',
+  oreb: 'orb',
+  pf:   'pf',
+  min:  'mpg',
+};
+
+// Player stat fields a split replaces: those mapped from the box score plus
+// the ones derived from it
+const LOG_STATS = [...Object.values(BOX_TO_STAT), 'fg_pct', 'ft_pct', 'dd'];
+
+// Box-score fields behind each derived stat
+const DERIVED_FROM = {
+  fg_pct: ['fgm', 'fga'],
+  ft_pct: ['ftm', 'fta'],
+  dd:     [],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Problems with one player's game log, each prefixed with the game index and
+ * field, e.g. "game_log[3].pts: must be a non-negative number".
+ */
+export function validateGameLog(log) {
+  if (!Array.isArray(log)) return ['game_log: must be an array of games'];
+
+  const errors = [];
+  log.forEach((game, j) => {
+    const where = `game_log[${j}]`;
+    if (!game || typeof game !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    for (const field of REQUIRED_GAME_FIELDS) {
+      if (game[field] === undefined || game[field] === null) errors.push(`${where}.${field}: required`);
+    }
+    if (game.date != null && (!ISO_DATE.test(game.date) || Number.isNaN(Date.parse(game.date)))) {
+      errors.push(`${where}.date: must be a YYYY-MM-DD date, got ${JSON.stringify(game.date)}`);
+    }
+    for (const [field, { type }] of Object.entries(GAME_PROPERTIES)) {
+      const value = game[field];
+      if (type !== 'number' || value === undefined || value === null) continue;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push(`${where}.${field}: must be a non-negative number, got ${JSON.stringify(value)}`);
+      }
+    }
+    if (game.fgm > game.fga) errors.push(`${where}.fgm: more makes than attempts`);
+    if (game.ftm > game.fta) errors.push(`${where}.ftm: more makes than attempts`);
+  });
+  return errors;
+}
+
+/**
+ * Box-score fields that `stats` (player stat fields, e.g. a scoring
+ * profile's weights) need and some games in the log lack, in box-score
+ * order, with how many games lack them: `{ fields, games }`.
+ */
+export function missingGameFields(log, stats) {
+  const needed = Object.entries(BOX_TO_STAT)
+    .filter(([box, stat]) => stats.includes(stat) || stats.some((s) => DERIVED_FROM[s]?.includes(box)))
+    .map(([box]) => box);
+  const fields = needed.filter((box) => log.some((g) => typeof g[box] !== 'number'));
+  return { fields, games: log.filter((g) => fields.some((box) => typeof g[box] !== 'number')).length };
+}
+
+// ─── Stat lines ───────────────────────────────────────────────────────────────
+
+/**
+ * One game as a player stat line (ppg, rpg, …) with gp = 1, so it can go
+ * through the same scoring as a season line. A double-double counts as
+ * dd = 1.
+ */
+export function gameToStatLine(game) {
+  const line = { gp: 1 };
+  for (const [box, stat] of Object.entries(BOX_TO_STAT)) {
+    if (typeof game[box] === 'number') line[stat] = game[box];
+  }
+  if (game.fga > 0) line.fg_pct = round((game.fgm / game.fga) * 100);
+  if (game.fta > 0) line.ft_pct = round((game.ftm / game.fta) * 100);
+  const doubleDigit = ['pts', 'reb', 'ast', 'stl', 'blk'].filter((f) => game[f] >= 10).length;
+  line.dd = doubleDigit >= 2 ? 1 : 0;
+  return line;
+}
+
+/**
+ * Averages games into a per-game stat line. Fields missing from any game
+ * are left out; percentages are only set when the games have attempts.
+ */
+export function averageGames(games) {
+  const line = { gp: games.length };
+  for (const [box, stat] of Object.entries(BOX_TO_STAT)) {
+    if (!games.every((g) => typeof g[box] === 'number')) continue;
+    line[stat] = round(games.reduce((sum, g) => sum + g[box], 0) / games.length);
+  }
+  for (const [pct, made, att] of [['fg_pct', 'fgm', 'fga'], ['ft_pct', 'ftm', 'fta']]) {
+    if (!games.every((g) => typeof g[made] === 'number' && typeof g[att] === 'number')) continue;
+    const attempts = games.reduce((sum, g) => sum + g[att], 0);
+    if (attempts > 0) line[pct] = round((games.reduce((sum, g) => sum + g[made], 0) / attempts) * 100);
+  }
+  line.dd = games.filter((g) => gameToStatLine(g).dd).length;
+  return line;
+}
+
+// ─── Splits ───────────────────────────────────────────────────────────────────
+
+/** Latest game date across several logs, as YYYY-MM-DD (undefined if none). */
+export function latestGameDate(logs) {
+  const dates = logs.flat().map((g) => g.date).sort();
+  return dates[dates.length - 1];
+}
+
+/**
+ * Split stat lines for one log, keyed like SPLITS. A split with no games in
+ * its window is null.
+ */
+export function computeSplits(log, asOf) {
+  const end = Date.parse(asOf);
+  const splits = {};
+  for (const [key, { days }] of Object.entries(SPLITS)) {
+    const games = log.filter((g) => {
+      const t = Date.parse(g.date);
+      return t <= end && t > end - days * DAY_MS;
+    });
+    splits[key] = games.length ? averageGames(games) : null;
+  }
+  return splits;
+}
+
+/**
+ * A player's line with a split in place of everything the game log supplies.
+ * Self-contained, so the comparison artifact inlines its source
+ * (SPLIT_SOURCE) to switch splits.
+ */
+export function splitLine(player, split) {
+  const line = { ...player };
+  for (const stat of LOG_STATS) delete line[stat];
+  return { ...line, ...split };
+}
+
+/** The log in date order, each game with its stat line for charting. */
+export function timeline(log) {
+  return [...log]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((g) => ({ date: g.date, opponent: g.opponent ?? null, line: gameToStatLine(g) }));
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Source of splitLine, for inlining into artifacts
+export const SPLIT_SOURCE = [
+  `const LOG_STATS = ${JSON.stringify(LOG_STATS)};`,
+  String(splitLine),
+].join('\n\n');
@@ -0,0 +1,251 @@
+/**
+ * Comparison history
+ *
+ * Every compare_nba_players call is kept in <DATA_DIR>/history/comparisons.json
+ * (override the directory with NBA_HISTORY_DIR): the tool inputs, the
+ * scoring profile and the comparison result (report.js), with an id and a
+ * timestamp. The server lists saved comparisons as MCP resources
+ * (comparison://<id>), and rerun_comparison runs one again on fresh stats
+ * and diffs the two results. Only the latest MAX_HISTORY comparisons are
+ * kept.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { formatScore, verdict } from './report.js';
+import { DATA_DIR, normalizeName } from './stats-db.js';
+
+export const HISTORY_DIR = process.env.NBA_HISTORY_DIR || path.join(DATA_DIR, 'history');
+export const MAX_HISTORY = 200;
+
+const HISTORY_FILE = path.join(HISTORY_DIR, 'comparisons.json');
+const URI_PREFIX = 'comparison://';
+
+// ─── Store ────────────────────────────────────────────────────────────────────
+
+/** Saved comparisons, oldest first. A missing history file is an empty history. */
+export async function loadHistory() {
+  let text;
+  try {
+    text = await readFile(HISTORY_FILE, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Could not parse comparison history ${HISTORY_FILE}: ${err.message}`);
+  }
+}
+
+// Writes run one at a time so concurrent calls cannot drop each other's entries
+let pending = Promise.resolve();
+
+/**
+ * Saves a comparison and returns its entry: `{ id, created_at, title,
+ * inputs, scoring, result, rerun_of }`. `inputs` are the tool arguments
+ * that produced `result`; `rerunOf` is the id of the comparison it re-runs.
+ */
+export function recordComparison({ inputs, result, rerunOf = null }) {
+  const saving = pending.then(async () => {
+    const entries = await loadHistory();
+    const entry = {
+      id: entries.reduce((max, e) => Math.max(max, e.id), 0) + 1,
+      created_at: new Date().toISOString(),
+      title: result.players.map((p) => p.name).join(' vs '),
+      inputs,
+      scoring: result.scoring ?? { format: result.format, baseline: result.baseline },
+      result,
+      rerun_of: rerunOf,
+    };
+    const kept = [...entries, entry].slice(-MAX_HISTORY);
+    await mkdir(HISTORY_DIR, { recursive: true });
+    // Write then rename, so a crash mid-write leaves the old history intact
+    const temp = `${HISTORY_FILE}.tmp`;
+    await writeFile(temp, JSON.stringify(kept, null, 2) + '\n');
+    await rename(temp, HISTORY_FILE);
+    return entry;
+  });
+  pending = saving.catch(() => {});
+  return saving;
+}
+
+/**
+ * The saved comparison with `id`; throws when there is none. Ids given as
+ * text ("3"), as some clients send them, are read as numbers.
+ */
+export async function findComparison(id) {
+  const key = typeof id === 'string' && id.trim() !== '' ? Number(id) : id;
+  if (!Number.isInteger(key) || key < 1) {
+    throw new Error(`Comparison id must be a positive whole number, got ${JSON.stringify(id)}`);
+  }
+  const entry = (await loadHistory()).find((e) => e.id === key);
+  if (!entry) {
+    throw new Error(`No saved comparison with id ${key} (list them as comparison:// resources)`);
+  }
+  return entry;
+}
+
+/**
+ * The saved comparison's players with `updates` swapped in. Each update
+ * replaces the saved player with the same name, as given or as the
+ * comparison resolved it; players not mentioned keep their saved inputs.
+ * Throws when an update names nobody in the comparison.
+ */
+export function updatePlayers(entry, updates) {
+  const { inputs, result } = entry;
+  const players = [...(inputs.players ?? [inputs.player1, inputs.player2].filter(Boolean))];
+  const names = players.map((p, i) => [p.name, result.players[i]?.name].filter(Boolean).map(normalizeName));
+  updates.forEach((update, i) => {
+    const index = names.findIndex((n) => n.includes(normalizeName(update?.name)));
+    if (index === -1) {
+      throw new Error(
+        `players[${i}].name: ${update?.name} is not in comparison ${entry.id} ` +
+        `(expected one of ${result.players.map((p) => p.name).join(', ')})`,
+      );
+    }
+    players[index] = update;
+  });
+  return players;
+}
+
+// ─── Resources ────────────────────────────────────────────────────────────────
+
+export function comparisonUri(entry) {
+  return URI_PREFIX + entry.id;
+}
+
+/** The comparison id in a comparison://<id> URI, or null for any other URI. */
+export function parseComparisonUri(uri) {
+  if (!uri.startsWith(URI_PREFIX)) return null;
+  const id = Number(uri.slice(URI_PREFIX.length));
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/** The resources/list entry for a saved comparison. */
+export function comparisonResource(entry) {
+  const { result } = entry;
+  return {
+    uri: comparisonUri(entry),
+    name: `#${entry.id} ${entry.title}`,
+    description: `${result.season} · ${result.scoring ? result.scoring.label + ' scoring' : result.format} · ` +
+      `${verdict(result)} · saved ${entry.created_at}`,
+    mimeType: 'application/json',
+  };
+}
+
+// ─── Diff ─────────────────────────────────────────────────────────────────────
+
+/**
+ * What changed between two results of the same comparison. Players are
+ * matched by name, so a re-run with a different line-up lists the players
+ * it added and dropped; categories are compared for the matched players.
+ */
+export function diffResults(before, after) {
+  const key = (p) => normalizeName(p.name);
+  const beforeIndex = new Map(before.players.map((p, i) => [key(p), i]));
+  const afterKeys = new Set(after.players.map(key));
+  const matched = after.players
+    .map((p, i) => [beforeIndex.get(key(p)), i])
+    .filter(([b]) => b !== undefined);
+  const winnerName = (result, winner) => (winner === null ? null : result.players[winner].name);
+
+  const settings = ['season', 'format', 'basis'].flatMap((field) => (
+    before[field] === after[field] ? [] : [{ field, before: before[field], after: after[field] }]
+  ));
+  const scoringLabel = (r) => r.scoring?.label ?? null;
+  if (scoringLabel(before) !== scoringLabel(after)) {
+    settings.push({ field: 'scoring', before: scoringLabel(before), after: scoringLabel(after) });
+  }
+
+  const categories = after.categories.flatMap((c) => {
+    const old = before.categories.find((o) => o.stat === c.stat);
+    if (!old) return [];
+    const values = matched.map(([b, a]) => ({
+      name: after.players[a].name,
+      before: old.values[b],
+      after: c.values[a],
+    }));
+    const winner = { before: winnerName(before, old.winner), after: winnerName(after, c.winner) };
+    const changed = winner.before !== winner.after || values.some((v) => v.before !== v.after);
+    return changed ? [{ stat: c.stat, label: c.label, suffix: c.suffix, values, winner }] : [];
+  });
+
+  return {
+    settings,
+    added: after.players.filter((p) => !beforeIndex.has(key(p))).map((p) => p.name),
+    dropped: before.players.filter((p) => !afterKeys.has(key(p))).map((p) => p.name),
+    players: matched.map(([b, a]) => {
+      const old = before.players[b];
+      const now = after.players[a];
+      return {
+        name: now.name,
+        score: { before: old.score, after: now.score, change: Math.round((now.score - old.score) * 100) / 100 },
+        rank: { before: old.rank, after: now.rank },
+        record: now.record && old.record ? { before: old.record, after: now.record } : null,
+      };
+    }),
+    categories,
+    winner: { before: winnerName(before, before.winner), after: winnerName(after, after.winner) },
+    verdict: { before: verdict(before), after: verdict(after) },
+  };
+}
+
+/** A diff as Markdown, headed by the two comparisons it sets side by side. */
+export function markdownDiff(diff, saved, rerun) {
+  const arrow = (before, after) => (before === after ? String(after) : `${before} → ${after}`);
+  const signed = (n) => (n > 0 ? '+' : n < 0 ? '−' : '±') + Math.abs(n);
+  const show = (value, suffix) => (value === null ? '—' : value + suffix);
+  const record = ([wins, losses, ties]) => (ties ? `${wins}–${losses}–${ties}` : `${wins}–${losses}`);
+
+  const lines = [
+    `## Re-run of #${saved.id}: ${saved.title}`,
+    '',
+    `Saved ${saved.created_at} · re-run saved as #${rerun.id}`,
+  ];
+  if (diff.settings.length) {
+    lines.push('', ...diff.settings.map((s) => `- ${s.field}: ${arrow(s.before, s.after)}`));
+  }
+  if (diff.added.length) lines.push('', `Added: ${diff.added.join(', ')}`);
+  if (diff.dropped.length) lines.push('', `Dropped: ${diff.dropped.join(', ')}`);
+  lines.push(
+    '',
+    `**Before:** ${diff.verdict.before}`,
+    `**Now:** ${diff.verdict.after}`,
+  );
+  if (diff.winner.before !== diff.winner.after) {
+    lines.push('', `The winner changed: ${diff.winner.before ?? 'dead even'} → ${diff.winner.after ?? 'dead even'}`);
+  }
+
+  if (diff.players.length) {
+    const withRecord = diff.players.some((p) => p.record);
+    lines.push(
+      '',
+      `| Player | Score | Change | Rank${withRecord ? ' | Record' : ''} |`,
+      `|---|---:|---:|---:${withRecord ? '|---:' : ''}|`,
+      ...diff.players.map((p) => {
+        const score = arrow(formatScore(saved.result, p.score.before), formatScore(rerun.result, p.score.after));
+        const cells = [p.name, score, signed(p.score.change), arrow(p.rank.before, p.rank.after)];
+        if (withRecord) cells.push(p.record ? arrow(record(p.record.before), record(p.record.after)) : '—');
+        return `| ${cells.join(' | ')} |`;
+      }),
+    );
+  }
+
+  lines.push('');
+  if (!diff.categories.length) {
+    lines.push('No category changed.');
+  } else {
+    const names = diff.categories[0].values.map((v) => v.name);
+    lines.push(
+      `| Category | ${names.join(' | ')} | Winner |`,
+      `|---|${names.map(() => '---:').join('|')}|---|`,
+      ...diff.categories.map((c) => {
+        const cells = c.values.map((v) => arrow(show(v.before, c.suffix), show(v.after, c.suffix)));
+        return `| ${c.label} | ${cells.join(' | ')} | ${arrow(c.winner.before ?? 'Tie', c.winner.after ?? 'Tie')} |`;
+      }),
+    );
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,265 @@
+/**
+ * HTTP transport
+ *
+ * Serves the MCP server to remote clients over Streamable HTTP (JSON-RPC
+ * over POST, streamed back as server-sent events), so one instance can be
+ * shared by a team. Routes:
+ *   POST/GET/DELETE /mcp – the MCP endpoint, one session per client
+ *   POST /compare        – compare_nba_players as plain REST: the tool
+ *                          arguments in, `{ output, result, notes }` out
+ *   GET  /health         – liveness check; never needs a token
+ *
+ * Request bodies are capped at maxBody bytes (413 beyond). With a token,
+ * /mcp and /compare need `Authorization: Bearer <token>` (401 otherwise).
+ * At most maxSessions MCP sessions are open at once (503 for another), and
+ * a session idle for sessionIdleMs is closed, so clients that disappear
+ * without ending their session do not pile up.
+ * Bound to a loopback address, requests must also name a loopback Host, so
+ * web pages cannot reach the server through DNS rebinding.
+ *
+ * Options come from the command line or the environment (serverOptions):
+ *   --http, NBA_TRANSPORT=http  – serve over HTTP instead of stdio
+ *   --port, NBA_HTTP_PORT       – default 3000
+ *   --host, NBA_HTTP_HOST       – default 127.0.0.1 (0.0.0.0 to share)
+ *   NBA_HTTP_TOKEN              – bearer token; unset means no auth
+ *   NBA_HTTP_MAX_BODY           – body limit in bytes, default 1 MB
+ */
+
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import { createServer as createHttpServer } from 'node:http';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export const TRANSPORTS = ['stdio', 'http'];
+export const DEFAULT_PORT = 3000;
+export const DEFAULT_HOST = '127.0.0.1';
+export const DEFAULT_MAX_BODY = 1024 * 1024;
+export const DEFAULT_MAX_SESSIONS = 100;
+export const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1', '[::1]'];
+
+// ─── Options ──────────────────────────────────────────────────────────────────
+
+/**
+ * Transport options from command-line `argv` (flags win) and `env`:
+ * `{ transport, port, host, token, maxBody }`. The token is only read from
+ * the environment, so it never shows up in process listings.
+ */
+export function serverOptions(argv, env) {
+  const options = {
+    transport: env.NBA_TRANSPORT || 'stdio',
+    port: env.NBA_HTTP_PORT || DEFAULT_PORT,
+    host: env.NBA_HTTP_HOST || DEFAULT_HOST,
+    token: env.NBA_HTTP_TOKEN || null,
+    maxBody: env.NBA_HTTP_MAX_BODY || DEFAULT_MAX_BODY,
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const flag = argv[i];
+    if (flag === '--http' || flag === '--stdio') {
+      options.transport = flag.slice(2);
+    } else if (flag === '--port' || flag === '--host') {
+      if (argv[i + 1] === undefined) throw new Error(`${flag} needs a value`);
+      options[flag.slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      throw new Error(`Unknown option: ${flag} (expected --http, --stdio, --port or --host)`);
+    }
+  }
+
+  if (!TRANSPORTS.includes(options.transport)) {
+    throw new Error(`Unknown transport: ${options.transport} (expected one of ${TRANSPORTS.join(', ')})`);
+  }
+  options.port = Number(options.port);
+  if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+    throw new Error(`Port must be a whole number from 0 to 65535, got ${JSON.stringify(options.port)}`);
+  }
+  options.maxBody = Number(options.maxBody);
+  if (!Number.isInteger(options.maxBody) || options.maxBody < 1) {
+    throw new Error(`NBA_HTTP_MAX_BODY must be a positive whole number of bytes, got ${env.NBA_HTTP_MAX_BODY}`);
+  }
+  return options;
+}
+
+// ─── Server ───────────────────────────────────────────────────────────────────
+
+/**
+ * Starts the HTTP server and resolves with it once it is listening.
+ * `createServer` builds a fresh MCP Server for each session; `compare` runs
+ * compare_nba_players and resolves with its tool result.
+ */
+export async function startHttpServer({
+  port,
+  host,
+  token,
+  maxBody,
+  maxSessions = DEFAULT_MAX_SESSIONS,
+  sessionIdleMs = DEFAULT_SESSION_IDLE_MS,
+  createServer,
+  compare,
+}) {
+  // Session id → { transport, lastSeen }
+  const sessions = new Map();
+  const loopback = LOOPBACK_HOSTS.includes(host);
+
+  // Looks up a session and marks it as used
+  function session(sessionId) {
+    const entry = sessions.get(sessionId);
+    if (!entry) throw httpError(404, `Unknown session: ${sessionId}`);
+    entry.lastSeen = Date.now();
+    return entry.transport;
+  }
+
+  const routes = {
+    '/health': {
+      GET: async (req, res) => sendJson(res, 200, { status: 'ok', sessions: sessions.size }),
+    },
+    '/mcp': {
+      POST: async (req, res) => {
+        const body = parseJson(await readBody(req, maxBody));
+        const sessionId = req.headers['mcp-session-id'];
+        let transport = sessionId && session(sessionId);
+        if (!transport) {
+          if (!isInitializeRequest(body)) throw httpError(400, 'Start a session with an initialize request');
+          if (sessions.size >= maxSessions) {
+            throw httpError(503, `Too many open sessions (${maxSessions}); end one or try again later`);
+          }
+          transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => { sessions.set(id, { transport, lastSeen: Date.now() }); },
+          });
+          transport.onclose = () => { sessions.delete(transport.sessionId); };
+          await createServer().connect(transport);
+        }
+        await transport.handleRequest(req, res, body);
+      },
+      // The server-sent event stream for a session (GET) and ending it (DELETE)
+      GET: (req, res) => sessionRequest(req, res),
+      DELETE: (req, res) => sessionRequest(req, res),
+    },
+    '/compare': {
+      POST: async (req, res) => {
+        const args = parseJson(await readBody(req, maxBody));
+        if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+          throw httpError(400, 'Expected a JSON object of compare_nba_players arguments');
+        }
+        const result = await compare(args);
+        const [main, ...notes] = result.content;
+        if (result.isError) return sendJson(res, 400, { error: main.text });
+        const output = args.output ?? 'artifact';
+        return sendJson(res, 200, {
+          output,
+          result: output === 'json' ? JSON.parse(main.text) : main.text,
+          notes: notes.map((c) => c.text),
+        });
+      },
+    },
+  };
+
+  async function sessionRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) throw httpError(400, 'Missing mcp-session-id header');
+    await session(sessionId).handleRequest(req, res);
+  }
+
+  const httpServer = createHttpServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const route = routes[pathname];
+      if (!route) throw httpError(404, `Not found: ${pathname}`);
+      const handler = route[req.method];
+      if (!handler) {
+        res.setHeader('Allow', Object.keys(route).join(', '));
+        throw httpError(405, `${req.method} is not allowed on ${pathname}`);
+      }
+      if (loopback && !LOOPBACK_HOSTS.includes(hostName(req.headers.host))) {
+        throw httpError(403, `Host ${req.headers.host} is not allowed`);
+      }
+      if (token && pathname !== '/health' && !authorized(req.headers.authorization, token)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        throw httpError(401, 'Missing or invalid bearer token');
+      }
+      await handler(req, res);
+    } catch (err) {
+      if (res.headersSent) {
+        res.end();
+      } else {
+        sendJson(res, err.status ?? 500, { error: err.message });
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+  // Closing a transport runs its onclose, which drops it from `sessions`
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - sessionIdleMs;
+    for (const { transport, lastSeen } of sessions.values()) {
+      if (lastSeen < cutoff) transport.close();
+    }
+  }, Math.min(sessionIdleMs, 60 * 1000));
+  sweep.unref();
+  httpServer.on('close', () => {
+    clearInterval(sweep);
+    for (const { transport } of sessions.values()) transport.close();
+  });
+  return httpServer;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// The request body as text, or a 413 once it passes `limit` bytes. An
+// oversized body is still drained, so the client reads the 413 rather than
+// a reset connection.
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > limit) {
+      req.resume();
+      reject(httpError(413, `Request body is larger than ${limit} bytes`));
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= limit) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > limit) reject(httpError(413, `Request body is larger than ${limit} bytes`));
+      else resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw httpError(400, `Request body is not valid JSON: ${err.message}`);
+  }
+}
+
+// "localhost:3000" → "localhost", "[::1]:3000" → "[::1]"
+function hostName(header = '') {
+  return header.startsWith('[') ? header.slice(0, header.indexOf(']') + 1) : header.split(':')[0];
+}
+
+// Compares digests so the check takes the same time whatever the token
+function authorized(header, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(header ?? '');
+  if (!match) return false;
+  const digest = (text) => createHash('sha256').update(text).digest();
+  return timingSafeEqual(digest(match[1].trim()), digest(token));
+}
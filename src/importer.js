@@ -0,0 +1,196 @@
+/**
+ * Stat table importer
+ *
+ * Maps third-party stat exports onto PLAYER_PROPERTIES:
+ *   basketball-reference – CSV from a "Per Game" (or "Totals") table via
+ *                          Share & Export → Get table as CSV
+ *   nba.com              – stats.nba.com JSON (resultSets → headers/rowSet),
+ *                          e.g. leaguedashplayerstats
+ *
+ * Percentages given on a 0–1 scale are converted to the 0–100 scale the
+ * schema expects. Rows that still lack required fields are reported rather
+ * than imported.
+ */
+
+import { parseCsv } from './csv.js';
+import { REQUIRED_PLAYER_FIELDS } from './schema.js';
+
+export const IMPORT_SOURCES = ['basketball-reference', 'nba.com'];
+export const PER_MODES = ['per_game', 'totals'];
+
+// Source column → schema field
+const BBREF_COLUMNS = {
+  Player: 'name',
+  Age:    'age',
+  Team:   'team',
+  Tm:     'team',
+  Pos:    'position',
+  G:      'gp',
+  MP:     'mpg',
+  PTS:    'ppg',
+  TRB:    'rpg',
+  AST:    'apg',
+  STL:    'spg',
+  BLK:    'bpg',
+  'FG%':  'fg_pct',
+  'FT%':  'ft_pct',
+  '3P':   'three_pm',
+  '3PA':  'three_pa',
+  ORB:    'orb',
+  PF:     'pf',
+  TOV:    'tov',
+  FG:     'fgm',
+  FGA:    'fga',
+  FT:     'ftm',
+  FTA:    'fta',
+};
+
+const NBA_COLUMNS = {
+  PLAYER_NAME:       'name',
+  TEAM_ABBREVIATION: 'team',
+  AGE:               'age',
+  PLAYER_POSITION:   'position',
+  POSITION:          'position',
+  GP:                'gp',
+  MIN:               'mpg',
+  PTS:               'ppg',
+  REB:               'rpg',
+  AST:               'apg',
+  STL:               'spg',
+  BLK:               'bpg',
+  FG_PCT:            'fg_pct',
+  FT_PCT:            'ft_pct',
+  FG3M:              'three_pm',
+  FG3A:              'three_pa',
+  OREB:              'orb',
+  PF:                'pf',
+  TOV:               'tov',
+  FGM:               'fgm',
+  FGA:               'fga',
+  FTM:               'ftm',
+  FTA:               'fta',
+  DD2:               'dd',
+};
+
+const TEXT_FIELDS = new Set(['name', 'team', 'position']);
+const PERCENT_FIELDS = new Set(['fg_pct', 'ft_pct']);
+// Fields divided by games played when the source holds season totals
+const COUNTING_FIELDS = new Set([
+  'ppg', 'rpg', 'apg', 'spg', 'bpg', 'three_pm', 'tov', 'fgm', 'fga', 'ftm', 'fta', 'mpg',
+  'three_pa', 'orb', 'pf',
+]);
+
+// Basketball-Reference labels the combined line for traded players "TOT"
+// (older tables) or "2TM", "3TM", …
+const COMBINED_TEAM = /^(TOT|\dTM)$/;
+
+// ─── Entry point ──────────────────────────────────────────────────────────────
+
+/**
+ * Imports a raw export. `source` is detected from the text when omitted.
+ * Returns `{ source, players, skipped, ignoredColumns }` where `skipped`
+ * lists `{ row, name, reason }` for rows that could not be mapped.
+ */
+export function importStats(text, { source = detectSource(text), perMode = 'per_game' } = {}) {
+  if (!IMPORT_SOURCES.includes(source)) {
+    throw new Error(`Unknown import source: ${source} (expected one of ${IMPORT_SOURCES.join(', ')})`);
+  }
+  if (!PER_MODES.includes(perMode)) {
+    throw new Error(`Unknown per_mode: ${perMode} (expected one of ${PER_MODES.join(', ')})`);
+  }
+
+  const { headers, records } = source === 'nba.com' ? readNbaJson(text) : readBbrefCsv(text);
+  const columns = source === 'nba.com' ? NBA_COLUMNS : BBREF_COLUMNS;
+
+  const players = [];
+  const skipped = [];
+  records.forEach((record, i) => {
+    const player = mapRecord(record, columns, perMode);
+    const missing = REQUIRED_PLAYER_FIELDS.filter((field) => player[field] === undefined);
+    if (missing.length) {
+      skipped.push({ row: i + 1, name: player.name ?? null, reason: `missing ${missing.join(', ')}` });
+    } else {
+      players.push(player);
+    }
+  });
+
+  return {
+    source,
+    players: source === 'basketball-reference' ? collapseTradedPlayers(players) : players,
+    skipped,
+    ignoredColumns: headers.filter((h) => !(h in columns)),
+  };
+}
+
+/** Guesses the source format: JSON with resultSets is NBA.com, anything else is CSV. */
+export function detectSource(text) {
+  return /^\s*[{[]/.test(text) ? 'nba.com' : 'basketball-reference';
+}
+
+// ─── Readers ──────────────────────────────────────────────────────────────────
+
+function readBbrefCsv(text) {
+  const records = parseCsv(text).filter(
+    // Long tables repeat the header row, and most end with a league-average line
+    (r) => r.Player && r.Player !== 'Player' && r.Player !== 'League Average',
+  );
+  const headers = records.length ? Object.keys(records[0]) : [];
+  return { headers, records };
+}
+
+function readNbaJson(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Could not parse NBA.com JSON: ${err.message}`);
+  }
+  // Most endpoints use resultSets[]; a few return a single resultSet
+  const set = Array.isArray(json.resultSets) ? json.resultSets[0] : json.resultSet ?? json.resultSets;
+  if (!set || !Array.isArray(set.headers) || !Array.isArray(set.rowSet)) {
+    throw new Error('NBA.com JSON has no resultSets with headers and rowSet');
+  }
+  const records = set.rowSet.map((row) => Object.fromEntries(set.headers.map((h, i) => [h, row[i]])));
+  return { headers: set.headers, records };
+}
+
+// ─── Mapping ──────────────────────────────────────────────────────────────────
+
+function mapRecord(record, columns, perMode) {
+  const player = {};
+  for (const [column, field] of Object.entries(columns)) {
+    const value = record[column];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (TEXT_FIELDS.has(field)) {
+      player[field] = field === 'name' ? cleanName(value) : String(value).trim();
+      continue;
+    }
+    const n = Number(value);
+    if (!Number.isFinite(n)) continue;
+    player[field] = PERCENT_FIELDS.has(field) && n <= 1 ? round(n * 100) : n;
+  }
+
+  if (perMode === 'totals' && player.gp > 0) {
+    for (const field of COUNTING_FIELDS) {
+      if (field in player) player[field] = round(player[field] / player.gp);
+    }
+  }
+  return player;
+}
+
+// Basketball-Reference marks Hall of Famers with "*" and older exports append
+// "\playerid" to the name
+function cleanName(name) {
+  return String(name).split('\\')[0].replace(/\*+$/, '').trim();
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Keep only the combined row for players who appear once per team
+function collapseTradedPlayers(players) {
+  const combined = new Set(players.filter((p) => COMBINED_TEAM.test(p.team ?? '')).map((p) => p.name));
+  return players.filter((p) => !combined.has(p.name) || COMBINED_TEAM.test(p.team ?? ''));
+}
@@ -2,10 +2,41 @@
 /**
  * NBA Player Compare MCP Server
  *
- * Exposes a single tool: compare_nba_players
- * Returns a Claude artifact (application/vnd.ant.react) with an interactive
- * side-by-side player comparison dashboard (radar chart, bar chart, stat
- * breakdown, and fantasy score).
+ * Exposes ten tools:
+ *   compare_nba_players – returns a Claude artifact (application/vnd.ant.react)
+ *     with an interactive comparison dashboard for 2–6 players (radar chart,
+ *     bar chart, stat breakdown, fantasy scores, and a ranked leaderboard).
+ *     Players can be given by name only and filled in from local stats files.
+ *   rerun_comparison – runs a saved comparison again on fresh stats and
+ *     shows what changed since it was saved.
+ *   export_comparison – renders the same comparison to a self-contained HTML
+ *     page, an SVG and a PNG of the charts, for sharing outside Claude.
+ *   analyze_trade – values two trade packages and returns an artifact with
+ *     a per-side summary, category deltas and a verdict.
+ *   rank_players – ranks a whole player pool into a sortable, filterable
+ *     draft-board artifact with positional ranks and tiers.
+ *   recommend_pickups – finds a roster's weak categories and ranks free
+ *     agents by how much they shore them up.
+ *   simulate_matchup – seeded Monte Carlo simulation of a head-to-head week
+ *     between two rosters, with per-category and overall win probabilities.
+ *   project_player – blends current, prior-season and recent stats into a
+ *     rest-of-season projection.
+ *   lookup_nba_player – fuzzy-searches the local stats database by name.
+ *   import_nba_stats – maps Basketball-Reference CSV or NBA.com JSON exports
+ *     onto the player schema, optionally saving them as a season table.
+ *
+ * Each tool's artifact is built in its own module (comparison-artifact.js,
+ * trade-artifact.js, rankings-artifact.js, pickups-artifact.js,
+ * matchup-artifact.js) from code shared in artifact-shared.js.
+ *
+ * Every compare_nba_players call is saved to a local history (history.js),
+ * listed as comparison://<id> resources. Prompts (prompts.js) such as
+ * compare-for-fantasy expand into the matching tool calls, for clients that
+ * offer them as slash-commands.
+ *
+ * Runs over stdio by default; pass --http (or set NBA_TRANSPORT=http) to
+ * serve a shared instance over HTTP, with a REST route for comparisons
+ * (http.js).
  *
  * Usage in claude_desktop_config.json:
  *   {
@@ -22,335 +53,1967 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
+import {
+  SCORABLE_STATS,
+  SCORING_PRESETS,
+  missingScoringStats,
+  resolveScoring,
+} from './scoring.js';
+import { fantasyScore } from './comparison.js';
+import {
+  BUNDLED_BASELINE,
+  CATEGORY_FORMATS,
+  FORMATS,
+  MIN_POOL_SIZE,
+  buildBaseline,
+  missingCategoryStats,
+  zScores,
+} from './categories.js';
+import {
+  MAX_PLAYERS,
+  MAX_POOL_PLAYERS,
+  MAX_ROSTER_PLAYERS,
+  MIN_PLAYERS,
+  PLAYER_PROPERTIES,
+  REQUIRED_PLAYER_FIELDS,
+} from './schema.js';
+import {
+  DATA_DIR,
+  bestCandidates,
+  findPlayers,
+  loadStatsDatabase,
+  normalizeName,
+  previousSeason,
+  resolvePlayer,
+  saveSeasonTable,
+} from './stats-db.js';
+import { IMPORT_SOURCES, PER_MODES, importStats } from './importer.js';
+import { DEFAULT_SEASON_GAMES, validatePlayer, validatePlayers } from './validation.js';
+import { BASES, BASIS_FIELDS, BASIS_LABELS, applyBasis } from './basis.js';
+import { OUTPUTS, comparisonResult, markdownReport, textReport } from './report.js';
+import { EXPORT_DIR, EXPORT_FORMATS, renderExports, saveExports } from './exporter.js';
+import {
+  HISTORY_DIR,
+  comparisonResource,
+  comparisonUri,
+  diffResults,
+  findComparison,
+  loadHistory,
+  markdownDiff,
+  parseComparisonUri,
+  recordComparison,
+  updatePlayers,
+} from './history.js';
+import { getPrompt, listPrompts } from './prompts.js';
+import { serverOptions, startHttpServer } from './http.js';
+import {
+  SPLITS,
+  computeSplits,
+  latestGameDate,
+  missingGameFields,
+  splitLine,
+  timeline,
+} from './gamelog.js';
+import { CAREER_VIEWS, DEFAULT_BEST_N, careerViews } from './career.js';
+import { REPLACEMENT_LINE, analyzeTrade } from './trade.js';
+import { RANKINGS, availabilityOutlook, expectedDates, expectedGames } from './availability.js';
+import { SCHEDULE_DIR, gamesAfter, hasTeam, loadSchedule, teamGames, weekWindow } from './schedule.js';
+import {
+  DEFAULT_LEAGUE,
+  SLOT_ELIGIBILITY,
+  playerReplacement,
+  replacementLevels,
+  resolveLeague,
+} from './scarcity.js';
+import { DEFAULT_TIER_GAP, rankPool } from './rankings.js';
+import { DEFAULT_PICKUPS, categoryNeeds, leastValuable, rankPickups } from './pickups.js';
+import {
+  DEFAULT_ITERATIONS,
+  DEFAULT_SEED,
+  DEFAULT_WEEK_GAMES,
+  MAX_ITERATIONS,
+  MIN_LOG_GAMES,
+  playerModel,
+  simulateMatchup,
+} from './matchup.js';
+import {
+  DEFAULT_PROJECTION_WEIGHTS,
+  DEFAULT_REGRESSION_GAMES,
+  PROJECTED_STATS,
+  PROJECTION_SOURCES,
+  projectPlayer,
+  resolveProjectionSettings,
+} from './projections.js';
+import { buildComparisonArtifact } from './comparison-artifact.js';
+import { buildTradeArtifact } from './trade-artifact.js';
+import { buildRankingsArtifact } from './rankings-artifact.js';
+import { buildPickupsArtifact } from './pickups-artifact.js';
+import { buildMatchupArtifact } from './matchup-artifact.js';
 
-// ─── Schema helpers ──────────────────────────────────────────────────────────
-
-const PLAYER_PROPERTIES = {
-  name:      { type: 'string',  description: 'Player full name (e.g. "Nikola Jokic")' },
-  team:      { type: 'string',  description: 'Team abbreviation (e.g. "DEN", "LAL")' },
-  position:  { type: 'string',  description: 'Position (PG, SG, SF, PF, C)' },
-  ppg:       { type: 'number',  description: 'Points per game' },
-  rpg:       { type: 'number',  description: 'Rebounds per game' },
-  apg:       { type: 'number',  description: 'Assists per game' },
-  spg:       { type: 'number',  description: 'Steals per game' },
-  bpg:       { type: 'number',  description: 'Blocks per game' },
-  fg_pct:    { type: 'number',  description: 'Field goal percentage (0–100, e.g. 58.3)' },
-  ft_pct:    { type: 'number',  description: 'Free throw percentage (0–100, e.g. 81.7)' },
-  three_pm:  { type: 'number',  description: 'Three-pointers made per game' },
-  tov:       { type: 'number',  description: 'Turnovers per game' },
-  gp:        { type: 'number',  description: 'Games played' },
-};
-
-const REQUIRED_PLAYER_FIELDS = [
-  'name', 'ppg', 'rpg', 'apg', 'spg', 'bpg',
-  'fg_pct', 'ft_pct', 'three_pm', 'tov', 'gp',
-];
-
-// ─── Artifact generator ───────────────────────────────────────────────────────
+// ─── MCP Server ───────────────────────────────────────────────────────────────
 
 /**
- * Builds a self-contained React component string (Claude artifact) that
- * renders the full comparison dashboard for the two supplied players.
- * The player data is embedded as JSON literals so the artifact has zero
- * external data dependencies.
+ * A Server with every handler registered. A Server serves one transport, so
+ * stdio uses one and the HTTP transport one per session.
  */
-function buildArtifact(player1, player2, season) {
-  const p1 = JSON.stringify(player1);
-  const p2 = JSON.stringify(player2);
-
-  return `
-import {
-  RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar,
-  Legend, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip,
-  ResponsiveContainer,
-} from 'recharts';
-
-// ── Embedded player data (injected by MCP server) ────────────────────────────
-const player1 = ${p1};
-const player2 = ${p2};
-const season  = ${JSON.stringify(season)};
-
-// ── Helpers ───────────────────────────────────────────────────────────────────
-
-function normalizeStats(p1, p2) {
-  const stats = ['ppg', 'rpg', 'apg', 'spg', 'bpg', 'three_pm'];
-  return stats.map((stat) => {
-    const max = Math.max(p1[stat], p2[stat]) * 1.2;
-    return {
-      category: stat.toUpperCase().replace('_', ' '),
-      [p1.name]: max > 0 ? (p1[stat] / max) * 100 : 0,
-      [p2.name]: max > 0 ? (p2[stat] / max) * 100 : 0,
-      p1Raw: p1[stat],
-      p2Raw: p2[stat],
-    };
-  });
-}
-
-function calculateFantasyScore(p) {
-  return (
-    p.ppg     * 1.0 +
-    p.rpg     * 1.2 +
-    p.apg     * 1.5 +
-    p.spg     * 3.0 +
-    p.bpg     * 3.0 +
-    p.three_pm * 1.0 -
-    p.tov     * 1.0
-  ).toFixed(1);
-}
-
-function compareCategory(stat, p1, p2) {
-  if (stat === 'tov') return p1[stat] < p2[stat] ? 'p1' : p2[stat] < p1[stat] ? 'p2' : 'tie';
-  return p1[stat] > p2[stat] ? 'p1' : p2[stat] > p1[stat] ? 'p2' : 'tie';
-}
-
-// ── Sub-components ────────────────────────────────────────────────────────────
-
-function StatCard({ label, p1Val, p2Val, stat, suffix = '' }) {
-  const winner = compareCategory(stat, player1, player2);
-  return (
-    <div style={{ background: '#f9fafb', borderRadius: 8, padding: 16 }}>
-      <div style={{ fontSize: 12, fontWeight: 500, color: '#6b7280', marginBottom: 8 }}>
-        {label}
-      </div>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-        <div style={{ fontSize: 24, fontWeight: 700, color: winner === 'p1' ? '#2563eb' : '#374151' }}>
-          {p1Val}{suffix}
-        </div>
-        <div style={{ color: '#9ca3af', fontSize: 14 }}>vs</div>
-        <div style={{ fontSize: 24, fontWeight: 700, color: winner === 'p2' ? '#9333ea' : '#374151' }}>
-          {p2Val}{suffix}
-        </div>
-      </div>
-    </div>
+function createServer() {
+  const server = new Server(
+    { name: 'nba-player-compare', version: '1.0.0' },
+    { capabilities: { tools: {}, resources: {}, prompts: {} } },
   );
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, (request) => runTool(request.params.name, request.params.arguments));
+  server.setRequestHandler(ListResourcesRequestSchema, listResources);
+  server.setRequestHandler(ReadResourceRequestSchema, readResource);
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: listPrompts() }));
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => (
+    getPrompt(request.params.name, request.params.arguments)
+  ));
+  return server;
 }
 
-function PlayerCard({ player, score, side }) {
-  const isP1 = side === 'p1';
-  const bg = isP1
-    ? 'linear-gradient(135deg, #3b82f6, #2563eb)'
-    : 'linear-gradient(135deg, #9333ea, #7c3aed)';
-  const sub = isP1 ? '#bfdbfe' : '#e9d5ff';
-  return (
-    <div style={{ background: bg, borderRadius: 12, padding: 24, color: '#fff', flex: 1 }}>
-      <div style={{ fontSize: 28, fontWeight: 700, marginBottom: 4 }}>{player.name}</div>
-      <div style={{ color: sub, fontSize: 14 }}>
-        {player.team || '—'} · {player.position || '—'}
-      </div>
-      <div style={{ marginTop: 12, fontSize: 13, opacity: 0.85 }}>
-        {player.gp} games played
-      </div>
-      <div style={{ marginTop: 8 }}>
-        <div style={{ fontSize: 11, color: sub }}>Fantasy Score</div>
-        <div style={{ fontSize: 36, fontWeight: 700 }}>{score}</div>
-      </div>
-    </div>
-  );
-}
-
-// ── Main component ────────────────────────────────────────────────────────────
-
-export default function App() {
-  const radarData = normalizeStats(player1, player2);
-  const h2hData = [
-    { stat: 'PTS', [player1.name]: player1.ppg, [player2.name]: player2.ppg },
-    { stat: 'REB', [player1.name]: player1.rpg, [player2.name]: player2.rpg },
-    { stat: 'AST', [player1.name]: player1.apg, [player2.name]: player2.apg },
-    { stat: 'STL', [player1.name]: player1.spg, [player2.name]: player2.spg },
-    { stat: 'BLK', [player1.name]: player1.bpg, [player2.name]: player2.bpg },
-    { stat: '3PM', [player1.name]: player1.three_pm, [player2.name]: player2.three_pm },
-  ];
-
-  const p1Score = calculateFantasyScore(player1);
-  const p2Score = calculateFantasyScore(player2);
-  const p1Wins  = parseFloat(p1Score) >= parseFloat(p2Score);
-  const winnerName  = p1Wins ? player1.name : player2.name;
-  const winnerGrad  = p1Wins
-    ? 'linear-gradient(90deg, #3b82f6, #2563eb)'
-    : 'linear-gradient(90deg, #9333ea, #7c3aed)';
-
-  const RadarTooltip = ({ payload }) => {
-    if (!payload || !payload.length) return null;
-    const d = payload[0].payload;
-    return (
-      <div style={{ background: '#fff', border: '1px solid #e5e7eb', borderRadius: 8, padding: 12 }}>
-        <div style={{ fontWeight: 600, marginBottom: 4 }}>{d.category}</div>
-        <div style={{ color: '#2563eb' }}>{player1.name}: {d.p1Raw}</div>
-        <div style={{ color: '#9333ea' }}>{player2.name}: {d.p2Raw}</div>
-      </div>
-    );
-  };
+// Shared by every tool that values players in a points league
+const SCORING_SCHEMA = {
+  description:
+    `Points-format scoring profile: a preset name (${Object.keys(SCORING_PRESETS).join(', ')}) ` +
+    `or a custom map of stat → weight using ${Object.keys(SCORABLE_STATS).join(', ')}. ` +
+    'Negative weights subtract (e.g. { "tov": -1 }). Defaults to "default".',
+  oneOf: [
+    { type: 'string', enum: Object.keys(SCORING_PRESETS) },
+    {
+      type: 'object',
+      properties: Object.fromEntries(
+        Object.keys(SCORABLE_STATS).map((stat) => [stat, { type: 'number' }]),
+      ),
+      additionalProperties: false,
+    },
+  ],
+};
 
-  return (
-    <div style={{ maxWidth: 960, margin: '0 auto', padding: 24, fontFamily: 'sans-serif' }}>
-      {/* Title */}
-      <div style={{ marginBottom: 32 }}>
-        <h1 style={{ fontSize: 28, fontWeight: 700, color: '#111827', margin: 0 }}>
-          Fantasy Basketball Comparison
-        </h1>
-        <p style={{ color: '#6b7280', marginTop: 4 }}>{season} Season Stats</p>
-      </div>
-
-      {/* Player cards */}
-      <div style={{ display: 'flex', gap: 16, marginBottom: 32 }}>
-        <PlayerCard player={player1} score={p1Score} side="p1" />
-        <PlayerCard player={player2} score={p2Score} side="p2" />
-      </div>
-
-      {/* Radar chart */}
-      <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
-        <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 16 }}>
-          Category Comparison
-        </h2>
-        <ResponsiveContainer width="100%" height={380}>
-          <RadarChart data={radarData}>
-            <PolarGrid />
-            <PolarAngleAxis dataKey="category" />
-            <PolarRadiusAxis angle={90} domain={[0, 100]} tick={false} />
-            <Radar name={player1.name} dataKey={player1.name} stroke="#3b82f6" fill="#3b82f6" fillOpacity={0.45} />
-            <Radar name={player2.name} dataKey={player2.name} stroke="#9333ea" fill="#9333ea" fillOpacity={0.45} />
-            <Legend />
-            <Tooltip content={<RadarTooltip />} />
-          </RadarChart>
-        </ResponsiveContainer>
-      </div>
-
-      {/* Bar chart */}
-      <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
-        <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 16 }}>
-          Per Game Stats
-        </h2>
-        <ResponsiveContainer width="100%" height={280}>
-          <BarChart data={h2hData}>
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="stat" />
-            <YAxis />
-            <Tooltip />
-            <Legend />
-            <Bar dataKey={player1.name} fill="#3b82f6" radius={[4, 4, 0, 0]} />
-            <Bar dataKey={player2.name} fill="#9333ea" radius={[4, 4, 0, 0]} />
-          </BarChart>
-        </ResponsiveContainer>
-      </div>
-
-      {/* Stat breakdown grid */}
-      <div style={{ marginBottom: 32 }}>
-        <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginBottom: 16 }}>
-          Detailed Breakdown
-        </h2>
-        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 12 }}>
-          <StatCard label="Points"     p1Val={player1.ppg}      p2Val={player2.ppg}      stat="ppg" />
-          <StatCard label="Rebounds"   p1Val={player1.rpg}      p2Val={player2.rpg}      stat="rpg" />
-          <StatCard label="Assists"    p1Val={player1.apg}      p2Val={player2.apg}      stat="apg" />
-          <StatCard label="Steals"     p1Val={player1.spg}      p2Val={player2.spg}      stat="spg" />
-          <StatCard label="Blocks"     p1Val={player1.bpg}      p2Val={player2.bpg}      stat="bpg" />
-          <StatCard label="3-Pointers" p1Val={player1.three_pm} p2Val={player2.three_pm} stat="three_pm" />
-          <StatCard label="FG%"        p1Val={player1.fg_pct}   p2Val={player2.fg_pct}   stat="fg_pct"  suffix="%" />
-          <StatCard label="FT%"        p1Val={player1.ft_pct}   p2Val={player2.ft_pct}   stat="ft_pct"  suffix="%" />
-          <StatCard label="Turnovers"  p1Val={player1.tov}      p2Val={player2.tov}      stat="tov" />
-        </div>
-      </div>
-
-      {/* Winner banner */}
-      <div style={{
-        background: winnerGrad,
-        borderRadius: 12,
-        padding: 24,
-        color: '#fff',
-        textAlign: 'center',
-      }}>
-        <div style={{ fontSize: 22, fontWeight: 700, marginBottom: 4 }}>
-          {winnerName} wins!
-        </div>
-        <div style={{ fontSize: 13, opacity: 0.85 }}>
-          Better overall fantasy value · weighted: PTS×1 | REB×1.2 | AST×1.5 | STL×3 | BLK×3 | 3PM×1 | TOV×−1
-        </div>
-      </div>
-    </div>
-  );
-}
-`.trim();
-}
+// Projection settings, shared by compare_nba_players and project_player
+const PROJECTION_WEIGHTS_SCHEMA = {
+  type: 'object',
+  description:
+    `Blend weights for ${PROJECTION_SOURCES.join(', ')} (current season, prior season, last-30-day ` +
+    'game-log split). Missing lines drop out and the rest are re-normalized. Defaults to ' +
+    JSON.stringify(DEFAULT_PROJECTION_WEIGHTS) + '.',
+  properties: Object.fromEntries(PROJECTION_SOURCES.map((source) => [source, { type: 'number' }])),
+  additionalProperties: false,
+};
+const REGRESSION_GAMES_SCHEMA = {
+  type: 'number',
+  description:
+    'Games of positional-average play mixed into each line before blending, so small samples ' +
+    `regress toward the mean for the player's position. Defaults to ${DEFAULT_REGRESSION_GAMES}.`,
+  default: DEFAULT_REGRESSION_GAMES,
+};
+const PROJECTION_SCHEMA = {
+  type: 'object',
+  description: 'Projection settings for use_projections',
+  properties: {
+    weights:          PROJECTION_WEIGHTS_SCHEMA,
+    regression_games: REGRESSION_GAMES_SCHEMA,
+  },
+};
 
-// ─── MCP Server ───────────────────────────────────────────────────────────────
+// League size and lineup, shared by the tools that measure positional scarcity
+const LEAGUE_SCHEMA = {
+  type: 'object',
+  description:
+    'League size and starting lineup, for positional replacement levels. The player pool (the local ' +
+    'stats database for compare_nba_players, the ranked pool for rank_players) is ranked by value ' +
+    'and fills every team\'s slots, each player into the most specific slot their position allows ' +
+    '("PG/SG" fits PG, SG, G or UTIL); the best player left over sets each position\'s replacement ' +
+    `level. Defaults to ${DEFAULT_LEAGUE.teams} teams starting ` +
+    `${Object.entries(DEFAULT_LEAGUE.roster).map(([slot, n]) => `${n} ${slot}`).join(', ')}.`,
+  properties: {
+    teams:  { type: 'number', default: DEFAULT_LEAGUE.teams },
+    roster: {
+      type: 'object',
+      description: 'Starting slots per team by slot',
+      properties: Object.fromEntries(Object.keys(SLOT_ELIGIBILITY).map((slot) => [slot, { type: 'number' }])),
+    },
+  },
+};
 
-const server = new Server(
-  { name: 'nba-player-compare', version: '1.0.0' },
-  { capabilities: { tools: {} } },
-);
+// Comparison inputs shared by compare_nba_players and export_comparison
+const COMPARE_PROPERTIES = {
+  players: {
+    type: 'array',
+    description:
+      'Players to compare, in display order (2–6). Give full stats, or just ' +
+      '{ name, season? } to fill them in from the local stats database.',
+    minItems: MIN_PLAYERS,
+    maxItems: MAX_PLAYERS,
+    items: {
+      type: 'object',
+      properties: PLAYER_PROPERTIES,
+      required: ['name'],
+    },
+  },
+  player1: {
+    type: 'object',
+    description: 'Deprecated: first player stats (use "players" instead)',
+    properties: PLAYER_PROPERTIES,
+    required: REQUIRED_PLAYER_FIELDS,
+  },
+  player2: {
+    type: 'object',
+    description: 'Deprecated: second player stats (use "players" instead)',
+    properties: PLAYER_PROPERTIES,
+    required: REQUIRED_PLAYER_FIELDS,
+  },
+  season: {
+    type: 'string',
+    description:
+      'Season label shown in the header, e.g. "2024-25". Also the season looked up ' +
+      'for players given by name only, when they have stats for it.',
+    default: '2024-25',
+  },
+  season_games: {
+    type: 'number',
+    description:
+      'Games each team has played so far; games played above this is rejected. ' +
+      `Defaults to a full ${DEFAULT_SEASON_GAMES}-game season.`,
+    default: DEFAULT_SEASON_GAMES,
+  },
+  format: {
+    type: 'string',
+    enum: FORMATS,
+    description:
+      'League format. "points" ranks by fantasy score; "9cat" and "8cat" (no turnovers) ' +
+      'rank by head-to-head category record and z-scores, with FG%/FT% weighted by attempts ' +
+      '(players then need fga and fta). Defaults to "points".',
+    default: 'points',
+  },
+  baseline: {
+    type: 'array',
+    description:
+      `Player pool for category z-scores (at least ${MIN_POOL_SIZE} players with the 9-cat stats ` +
+      'plus fga and fta). Defaults to a bundled top-156 pool.',
+    items: { type: 'object', properties: PLAYER_PROPERTIES },
+  },
+  as_of: {
+    type: 'string',
+    description:
+      'End date (YYYY-MM-DD) for last-7/15/30-day game-log splits. Defaults to the ' +
+      'most recent game in any player\'s game_log. Injury return dates and remaining ' +
+      'games from the schedule are also counted from this date, which has no default ' +
+      'without a game_log.',
+  },
+  week: {
+    type: 'string',
+    description:
+      'Any date (YYYY-MM-DD) in a Monday–Sunday week to project. Each player\'s games that ' +
+      'week come from their team in the local schedule files, and the artifact adds a ' +
+      '"This Week" panel with projected category totals.',
+  },
+  date_range: {
+    type: 'object',
+    description: 'Custom projection window instead of week (inclusive YYYY-MM-DD dates)',
+    properties: {
+      start: { type: 'string' },
+      end:   { type: 'string' },
+    },
+    required: ['start', 'end'],
+  },
+  use_projections: {
+    type: 'boolean',
+    description:
+      'Compare rest-of-season projections instead of season-to-date stats (see project_player). ' +
+      'The artifact shows projected and actual values side by side.',
+    default: false,
+  },
+  projection: PROJECTION_SCHEMA,
+  games_remaining: {
+    type: 'number',
+    description:
+      'Games left in the season, for rest-of-season value. Without it, each player\'s ' +
+      'remaining games are their team\'s games after as_of in the local schedule files. ' +
+      'With neither, rest-of-season value is left out and the risk-adjusted score uses ' +
+      'games played so far and injury status.',
+  },
+  rank_by: {
+    type: 'string',
+    enum: RANKINGS,
+    description:
+      'What the leaderboard ranks by first: "per_game" value, or "availability" (risk-adjusted ' +
+      'value: per-game value over the expected share of remaining games, given games played ' +
+      'so far and injury_status, with missed games at replacement level), or "positional" ' +
+      '(value over the replacement level at the player\'s scarcest eligible position; see ' +
+      'league). The artifact can switch between them. Defaults to "per_game".',
+    default: 'per_game',
+  },
+  league: LEAGUE_SCHEMA,
+  career: {
+    type: 'object',
+    description:
+      'How players given `seasons` are compared: "peak" (their most valuable season), ' +
+      '"best_n" (games-weighted average of their best N seasons), "career" (average of every ' +
+      'season) or "age" (the season they played at `age`). Seasons are ranked by fantasy score, ' +
+      'or by z-score total in category formats. The artifact can switch views and charts each ' +
+      'career arc. Defaults to the peak view.',
+    properties: {
+      view:   { type: 'string', enum: CAREER_VIEWS, default: 'peak' },
+      best_n: { type: 'number', description: 'Seasons averaged by the best_n view', default: DEFAULT_BEST_N },
+      age:    { type: 'number', description: 'Age compared by the age view (seasons need age)' },
+    },
+  },
+  basis: {
+    type: 'string',
+    enum: BASES,
+    description:
+      'Stat basis shown first: per game, per 36 minutes (players need mpg), per 100 ' +
+      'possessions (players need mpg and pace) or season totals. The artifact can switch ' +
+      'between every basis the players have inputs for. Defaults to "per_game".',
+    default: 'per_game',
+  },
+  scoring: SCORING_SCHEMA,
+};
 
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
+const listTools = async () => ({
   tools: [
     {
       name: 'compare_nba_players',
       description:
         'Generate an interactive NBA player comparison dashboard as a Claude artifact. ' +
-        'Accepts per-game stats for two players and returns a React artifact with a radar chart, ' +
-        'bar chart, stat breakdown cards, fantasy scores, and a winner declaration. ' +
+        'Accepts per-game stats for 2–6 players and returns a React artifact with a radar chart, ' +
+        'bar chart, stat breakdown cards, fantasy scores, and a ranked leaderboard. ' +
         'Ideal for fantasy basketball analysis.',
       inputSchema: {
         type: 'object',
         properties: {
-          player1: {
+          ...COMPARE_PROPERTIES,
+          output: {
+            type: 'string',
+            enum: OUTPUTS,
+            description:
+              'Response form: "artifact" (the React dashboard), or for clients that cannot render ' +
+              'artifacts "markdown" (a category table with winners and scores), "json" (scores, ' +
+              'per-category winners and margins) or "text" (a plain-text summary). The non-artifact ' +
+              'forms compare the lines on `basis` and rank as the per-game leaderboard does. ' +
+              'Defaults to "artifact".',
+            default: 'artifact',
+          },
+          history: {
+            type: 'boolean',
+            description:
+              `Save the comparison to the local history in ${HISTORY_DIR} (or NBA_HISTORY_DIR), ` +
+              'where it is listed as a comparison://<id> resource and can be re-run. Defaults to true.',
+            default: true,
+          },
+        },
+      },
+    },
+    {
+      name: 'rerun_comparison',
+      description:
+        'Run a saved comparison again with its original inputs and show what changed since it was ' +
+        'saved: settings, scores and ranks, category values and winners, and the verdict. Players ' +
+        'given by name pick up the current local stats; pass players to supply new stat lines. ' +
+        'Saved comparisons are listed as comparison://<id> resources.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'integer',
+            description: 'Id of the saved comparison (the number in its comparison://<id> URI)',
+          },
+          players: {
+            ...COMPARE_PROPERTIES.players,
+            description:
+              'New stat lines for some or all of the saved players. Each replaces the saved player ' +
+              'with the same name; players not given keep their saved inputs. Give full stats, or ' +
+              'just { name, season? } to fill them in from the local stats database.',
+          },
+          season: {
+            type: 'string',
+            description: 'Season to compare instead of the saved one',
+          },
+          output: {
+            type: 'string',
+            enum: ['markdown', 'json'],
+            description: 'The diff as a Markdown summary or as JSON. Defaults to "markdown".',
+            default: 'markdown',
+          },
+        },
+        required: ['id'],
+      },
+    },
+    {
+      name: 'export_comparison',
+      description:
+        'Render an NBA player comparison for sharing outside Claude: a self-contained HTML page ' +
+        '(player cards, radar and bar charts, stat breakdown and verdict, no scripts), the charts ' +
+        'as SVG, and the same charts as a PNG image. Takes the same inputs as compare_nba_players.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...COMPARE_PROPERTIES,
+          formats: {
+            type: 'array',
+            items: { type: 'string', enum: EXPORT_FORMATS },
+            description: 'Which exports to return. Defaults to all three.',
+          },
+          save: {
+            type: 'boolean',
+            description:
+              `Also write the exports to ${EXPORT_DIR} (or NBA_EXPORT_DIR) as ` +
+              '<season>-<player>-vs-<player>.<format>, replacing earlier exports of the same comparison.',
+            default: false,
+          },
+        },
+      },
+    },
+    {
+      name: 'analyze_trade',
+      description:
+        'Evaluate a fantasy basketball trade between two sides, each giving 1–6 players. Adds up ' +
+        'per-game and games-played-weighted fantasy value under the chosen scoring (or z-scores in ' +
+        'category formats), credits the side that opens roster spots in uneven deals with a ' +
+        'replacement-level player per spot, and returns a React artifact with a per-side summary, ' +
+        'per-category deltas and a verdict.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          side_a: {
+            type: 'array',
+            description: 'Players side A gives up. Full stats, or { name, season? } to use the local stats database.',
+            minItems: 1,
+            maxItems: MAX_PLAYERS,
+            items: { type: 'object', properties: PLAYER_PROPERTIES, required: ['name'] },
+          },
+          side_b: {
+            type: 'array',
+            description: 'Players side B gives up, in the same form as side_a',
+            minItems: 1,
+            maxItems: MAX_PLAYERS,
+            items: { type: 'object', properties: PLAYER_PROPERTIES, required: ['name'] },
+          },
+          format: {
+            type: 'string',
+            enum: FORMATS,
+            description: 'League format, as for compare_nba_players. Defaults to "points".',
+            default: 'points',
+          },
+          scoring: SCORING_SCHEMA,
+          baseline: {
+            type: 'array',
+            description: 'Player pool for category z-scores, as for compare_nba_players',
+            items: { type: 'object', properties: PLAYER_PROPERTIES },
+          },
+          replacement_value: {
+            type: 'number',
+            description:
+              'Per-game value of the player who fills each roster spot a side opens (fantasy points, ' +
+              'or z-score total in category formats). Defaults to the value of a typical waiver-wire ' +
+              'line under the chosen format. Games-weighted totals count it over that line\'s ' +
+              `${REPLACEMENT_LINE.gp} games played.`,
+          },
+          season: {
+            type: 'string',
+            description: 'Season label shown in the header and looked up for players given by name only',
+          },
+          season_games: {
+            type: 'number',
+            description:
+              'Games in the season, for weighting each player by games played. ' +
+              `Defaults to ${DEFAULT_SEASON_GAMES}.`,
+            default: DEFAULT_SEASON_GAMES,
+          },
+        },
+        required: ['side_a', 'side_b'],
+      },
+    },
+    {
+      name: 'rank_players',
+      description:
+        'Rank a whole player pool for a draft board or rest-of-season rankings. Values every player ' +
+        'with the same scoring as compare_nba_players (fantasy score, or z-score total in category ' +
+        'formats) and returns a React artifact with a sortable table of values, value over positional ' +
+        'replacement, per-category z-scores, positional ranks and tier breaks, filterable by position ' +
+        'and team.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          players: {
+            type: 'array',
+            description:
+              'The pool to rank: full stats, or { name, season? } to use the local stats database. ' +
+              'Omit to rank a season table from the local stats database.',
+            minItems: 1,
+            maxItems: MAX_POOL_PLAYERS,
+            items: { type: 'object', properties: PLAYER_PROPERTIES, required: ['name'] },
+          },
+          season: {
+            type: 'string',
+            description:
+              'Season table ranked when players is omitted (defaults to the latest in the local stats ' +
+              'database), and looked up for players given by name only',
+          },
+          format: {
+            type: 'string',
+            enum: FORMATS,
+            description: 'League format, as for compare_nba_players. Defaults to "points".',
+            default: 'points',
+          },
+          scoring: SCORING_SCHEMA,
+          baseline: {
+            type: 'array',
+            description: 'Player pool for category z-scores, as for compare_nba_players',
+            items: { type: 'object', properties: PLAYER_PROPERTIES },
+          },
+          league: LEAGUE_SCHEMA,
+          tier_gap: {
+            type: 'number',
+            description:
+              'A new tier starts where the value drop to the next player exceeds this multiple of the ' +
+              `average drop between neighbours. Defaults to ${DEFAULT_TIER_GAP}.`,
+            default: DEFAULT_TIER_GAP,
+          },
+        },
+      },
+    },
+    {
+      name: 'recommend_pickups',
+      description:
+        'Recommend waiver-wire pickups for a category league. Finds the roster\'s weak categories by ' +
+        'comparing its z-score totals with a league-average roster or an opponent\'s, ranks free ' +
+        'agents by how much swapping them in for the roster\'s least valuable player improves those ' +
+        'categories, and returns a React artifact with the category needs, the ranked candidates and ' +
+        'a radar and stat-card comparison of the top pickup with the player dropped.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          roster: {
+            type: 'array',
+            description: 'Your roster. Full stats, or { name, season? } to use the local stats database.',
+            minItems: 1,
+            maxItems: MAX_ROSTER_PLAYERS,
+            items: { type: 'object', properties: PLAYER_PROPERTIES, required: ['name'] },
+          },
+          free_agents: {
+            type: 'array',
+            description:
+              'Players available to pick up, in the same form as roster. Omit to use every player in ' +
+              'the local stats database\'s season table who is on neither roster.',
+            minItems: 1,
+            maxItems: MAX_POOL_PLAYERS,
+            items: { type: 'object', properties: PLAYER_PROPERTIES, required: ['name'] },
+          },
+          opponent: {
+            type: 'array',
+            description:
+              'An opponent\'s roster to measure needs against. Omit to compare with a league-average roster.',
+            minItems: 1,
+            maxItems: MAX_ROSTER_PLAYERS,
+            items: { type: 'object', properties: PLAYER_PROPERTIES, required: ['name'] },
+          },
+          format: {
+            type: 'string',
+            enum: Object.keys(CATEGORY_FORMATS),
+            description: 'Category format. Defaults to "9cat".',
+            default: '9cat',
+          },
+          baseline: {
+            type: 'array',
+            description: 'Player pool for category z-scores, as for compare_nba_players',
+            items: { type: 'object', properties: PLAYER_PROPERTIES },
+          },
+          drop: {
+            type: 'string',
+            description: 'Name of the roster player to drop. Defaults to the one worth least to this roster.',
+          },
+          limit: {
+            type: 'number',
+            description: `Free agents to list. Defaults to ${DEFAULT_PICKUPS}.`,
+            default: DEFAULT_PICKUPS,
+          },
+          season: {
+            type: 'string',
+            description:
+              'Season looked up for players given by name only, and the season table free agents come ' +
+              'from when free_agents is omitted (defaults to the roster\'s season, else the latest)',
+          },
+        },
+        required: ['roster'],
+      },
+    },
+    {
+      name: 'simulate_matchup',
+      description:
+        'Simulate a head-to-head fantasy week between two rosters. Each player\'s games are drawn from ' +
+        'their per-game means with game-to-game spread taken from their game log (or a typical spread ' +
+        'without one), over a seeded Monte Carlo run, so the same seed always gives the same result. ' +
+        'Returns per-category and overall win probabilities (or expected points in points leagues) ' +
+        'as a React artifact and as JSON.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          team_a: {
+            type: 'array',
+            description:
+              'Team A\'s roster. Full stats, or { name, season? } to use the local stats database. ' +
+              `A game_log with at least ${MIN_LOG_GAMES} games sets the player's game-to-game spread.`,
+            minItems: 1,
+            maxItems: MAX_ROSTER_PLAYERS,
+            items: { type: 'object', properties: PLAYER_PROPERTIES, required: ['name'] },
+          },
+          team_b: {
+            type: 'array',
+            description: 'Team B\'s roster, in the same form as team_a',
+            minItems: 1,
+            maxItems: MAX_ROSTER_PLAYERS,
+            items: { type: 'object', properties: PLAYER_PROPERTIES, required: ['name'] },
+          },
+          format: {
+            type: 'string',
+            enum: FORMATS,
+            description:
+              'League format: a category format is won by taking more categories, a points league by ' +
+              'scoring more fantasy points. Defaults to "9cat".',
+            default: '9cat',
+          },
+          scoring: SCORING_SCHEMA,
+          week: {
+            type: 'string',
+            description:
+              'Any date (YYYY-MM-DD) in the Monday–Sunday week to simulate; each player plays their ' +
+              'team\'s games that week from the local schedule files',
+          },
+          date_range: {
             type: 'object',
-            description: 'First player stats',
-            properties: PLAYER_PROPERTIES,
-            required: REQUIRED_PLAYER_FIELDS,
+            description: 'Custom window instead of week (inclusive YYYY-MM-DD dates)',
+            properties: {
+              start: { type: 'string' },
+              end:   { type: 'string' },
+            },
+            required: ['start', 'end'],
+          },
+          games: {
+            type: 'number',
+            description:
+              'Games per player without a week or date_range (an out player gets none, a day-to-day ' +
+              `player one fewer). Defaults to ${DEFAULT_WEEK_GAMES}.`,
+            default: DEFAULT_WEEK_GAMES,
+          },
+          iterations: {
+            type: 'number',
+            description: `Simulated weeks, up to ${MAX_ITERATIONS}. Defaults to ${DEFAULT_ITERATIONS}.`,
+            default: DEFAULT_ITERATIONS,
+          },
+          seed: {
+            type: 'number',
+            description: `Random seed (a whole number). Defaults to ${DEFAULT_SEED}.`,
+            default: DEFAULT_SEED,
           },
-          player2: {
+          season: {
+            type: 'string',
+            description: 'Season looked up for players given by name only',
+          },
+        },
+        required: ['team_a', 'team_b'],
+      },
+    },
+    {
+      name: 'project_player',
+      description:
+        'Project a player\'s rest-of-season per-game stats by blending the current season, the prior ' +
+        'season and the last-30-day game-log split with configurable weights. Each line is first ' +
+        'regressed toward the mean for the player\'s position in proportion to how few games it ' +
+        'covers. Returns the projection, the actual line and how each source contributed.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          player: {
             type: 'object',
-            description: 'Second player stats',
+            description:
+              'The player: full stats (optionally with prior_season and game_log), or { name, season? } ' +
+              'to use the local stats database, which also supplies the prior season when it has one.',
             properties: PLAYER_PROPERTIES,
-            required: REQUIRED_PLAYER_FIELDS,
+            required: ['name'],
+          },
+          weights:          PROJECTION_WEIGHTS_SCHEMA,
+          regression_games: REGRESSION_GAMES_SCHEMA,
+          season: {
+            type: 'string',
+            description: 'Season looked up for a player given by name only',
+          },
+          as_of: {
+            type: 'string',
+            description: 'End date (YYYY-MM-DD) of the last-30-day split; defaults to the latest game in the log',
+          },
+          season_games: {
+            type: 'number',
+            description: `Games each team has played so far. Defaults to ${DEFAULT_SEASON_GAMES}.`,
+            default: DEFAULT_SEASON_GAMES,
+          },
+        },
+        required: ['player'],
+      },
+    },
+    {
+      name: 'lookup_nba_player',
+      description:
+        'Search the local NBA stats database by player name (fuzzy: last names, partial names ' +
+        'and typos match). Returns matching stat lines with their seasons. When several players ' +
+        'match equally well the status is "ambiguous" and the candidates are listed.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Full or partial player name (e.g. "Jokic", "giannis")',
+          },
+          season: {
+            type: 'string',
+            description: 'Only search this season (e.g. "2023-24"); defaults to all seasons',
+          },
+          limit: {
+            type: 'number',
+            description: 'Maximum number of matches to return',
+            default: 5,
+          },
+        },
+        required: ['name'],
+      },
+    },
+    {
+      name: 'import_nba_stats',
+      description:
+        'Convert a raw stats export into player stat lines: Basketball-Reference per-game CSV ' +
+        '(Share & Export → Get table as CSV) or NBA.com stats JSON (resultSets/headers/rowSet). ' +
+        'Percentages on a 0–1 scale are converted to 0–100. Returns the mapped players and the ' +
+        'rows that could not be mapped. With save, the result becomes a local season table that ' +
+        'compare_nba_players and lookup_nba_player can use.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          text: {
+            type: 'string',
+            description: 'Raw CSV or JSON text of the export',
+          },
+          source: {
+            type: 'string',
+            enum: IMPORT_SOURCES,
+            description: 'Export format; detected from the text when omitted',
+          },
+          per_mode: {
+            type: 'string',
+            enum: PER_MODES,
+            description: 'Whether the export holds per-game averages or season totals',
+            default: 'per_game',
           },
           season: {
             type: 'string',
-            description: 'Season label shown in the header, e.g. "2024-25"',
-            default: '2024-25',
+            description: 'Season label for the imported table (e.g. "2023-24"); required with save',
+          },
+          save: {
+            type: 'boolean',
+            description: 'Save the imported players to the local stats database as <season>.json',
+            default: false,
+          },
+          overwrite: {
+            type: 'boolean',
+            description: 'Replace an existing table for the same season when saving',
+            default: false,
           },
         },
-        required: ['player1', 'player2'],
+        required: ['text'],
       },
     },
   ],
-}));
-
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+});
 
-  if (name !== 'compare_nba_players') {
+async function runTool(name, args) {
+  const handler = TOOL_HANDLERS[name];
+  if (!handler) {
     throw new Error(`Unknown tool: ${name}`);
   }
 
-  const { player1, player2, season = '2024-25' } = args;
+  // Failures inside a tool are reported as tool results so the model can read
+  // them and retry; only an unknown tool name is a protocol error
+  try {
+    return await handler(args ?? {});
+  } catch (err) {
+    return toolError(err.message);
+  }
+}
 
-  // Basic validation
-  for (const field of REQUIRED_PLAYER_FIELDS) {
-    if (player1[field] === undefined || player1[field] === null) {
-      throw new Error(`player1 is missing required field: ${field}`);
+const listResources = async () => ({
+  // Newest first
+  resources: (await loadHistory()).reverse().map(comparisonResource),
+});
+
+const readResource = async (request) => {
+  const { uri } = request.params;
+  const id = parseComparisonUri(uri);
+  if (id === null) {
+    throw new Error(`Unknown resource: ${uri} (expected comparison://<id>)`);
+  }
+  const entry = await findComparison(id);
+  return {
+    contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(entry, null, 2) }],
+  };
+};
+
+function toolError(message) {
+  return {
+    isError: true,
+    content: [{ type: 'text', text: message }],
+  };
+}
+
+function invalidStats(errors) {
+  return toolError(
+    `Invalid player stats (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n` +
+    errors.map((e) => `- ${e}`).join('\n'),
+  );
+}
+
+function adjustedInputs(warnings) {
+  return { type: 'text', text: 'Adjusted inputs:\n' + warnings.map((w) => `- ${w}`).join('\n') };
+}
+
+// ─── Tool handlers ────────────────────────────────────────────────────────────
+
+function needsLookup(player) {
+  return !Array.isArray(player.seasons)
+    && REQUIRED_PLAYER_FIELDS.some((field) => player[field] === undefined || player[field] === null)
+    && typeof player.name === 'string';
+}
+
+function hasAnyStats(player) {
+  return REQUIRED_PLAYER_FIELDS.some((field) => field !== 'name' && player[field] != null);
+}
+
+// The season every player shares, if they all carry one
+function commonSeason(players) {
+  const seasons = new Set(players.map((p) => p.season));
+  return seasons.size === 1 ? [...seasons][0] : undefined;
+}
+
+// A YYYY-MM-DD string that names a real date
+function isDate(d) {
+  return typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d) && !Number.isNaN(Date.parse(d));
+}
+
+/**
+ * The `{ start, end }` window for weekly projections: the Monday–Sunday week
+ * containing `week`, or `date_range`. Null when neither is given.
+ */
+function scheduleWindow({ week, date_range: range }) {
+  if (week !== undefined && range !== undefined) {
+    throw new Error('Pass either week or date_range, not both');
+  }
+  if (week !== undefined) {
+    if (!isDate(week)) throw new Error(`week must be a YYYY-MM-DD date, got ${JSON.stringify(week)}`);
+    return weekWindow(week);
+  }
+  if (range === undefined) return null;
+  if (!range || !isDate(range.start) || !isDate(range.end)) {
+    throw new Error('date_range needs YYYY-MM-DD start and end dates');
+  }
+  if (range.start > range.end) {
+    throw new Error(`date_range starts after it ends (${range.start} > ${range.end})`);
+  }
+  return { start: range.start, end: range.end };
+}
+
+/**
+ * Projects one validated player. The prior season is `prior_season` (filled
+ * from the database when it is just a label) or, for a player with a
+ * "2023-24" style season, the database's row for the season before, when
+ * there is one. The recent line is the last-30-day split of the game log.
+ * Returns `{ projection, errors, warnings }`; `projection` is null when
+ * there are errors.
+ */
+async function projectFromInputs(player, where, { settings, asOf, seasonGames }) {
+  const errors = [];
+  const warnings = [];
+  const db = await loadStatsDatabase();
+
+  let prior = null;
+  if (player.prior_season) {
+    let line = { name: player.name, ...player.prior_season };
+    if (needsLookup(line)) {
+      try {
+        const row = resolvePlayer(db, line);
+        line = { ...row, ...player.prior_season, name: row.name };
+      } catch (err) {
+        if (!hasAnyStats(line)) errors.push(`${where}.prior_season: ${err.message}`);
+      }
     }
-    if (player2[field] === undefined || player2[field] === null) {
-      throw new Error(`player2 is missing required field: ${field}`);
+    const checked = validatePlayer(line, { seasonGames });
+    if (!errors.length) errors.push(...checked.errors.map((msg) => `${where}.prior_season.${msg}`));
+    warnings.push(...checked.warnings.map((msg) => `${where}.prior_season.${msg}`));
+    prior = checked.player;
+  } else if (previousSeason(player.season) && db.rows.length) {
+    try {
+      prior = resolvePlayer(db, { name: player.name, season: previousSeason(player.season) });
+    } catch {
+      // No stored prior season: project from the other lines
     }
   }
 
-  const artifactCode = buildArtifact(player1, player2, season);
+  const recent = player.game_log?.length
+    ? computeSplits(player.game_log, asOf ?? latestGameDate([player.game_log])).last_30
+    : null;
+
+  if (errors.length) return { projection: null, errors, warnings };
+  try {
+    const projection = projectPlayer({ current: player, prior, recent }, player.position, settings);
+    return { projection, errors, warnings };
+  } catch (err) {
+    return { projection: null, errors: [`${where}: ${err.message}`], warnings };
+  }
+}
+
+/**
+ * Fills players given by name only from the local stats database; any stats
+ * the caller did supply take precedence over the stored row. Returns
+ * `{ players, errors, unresolved }` where `unresolved` has the indices of
+ * players whose lookup failed (their missing stats are implied by that
+ * error). `where` prefixes messages, e.g. "players" → "players[1]: …".
+ */
+async function fillFromDatabase(players, season, where = 'players') {
+  const errors = [];
+  const unresolved = new Set();
+  if (!players.some(needsLookup)) return { players, errors, unresolved };
+
+  const db = await loadStatsDatabase();
+  const filled = players.map((player, i) => {
+    if (!needsLookup(player)) return player;
+    try {
+      const row = resolvePlayer(db, player, season);
+      return { ...row, ...player, name: row.name, season: row.season };
+    } catch (err) {
+      // A player with stats of their own gets field-level errors instead
+      if (!hasAnyStats(player)) {
+        errors.push(`${where}[${i}]: ${err.message}`);
+        unresolved.add(i);
+      }
+      return player;
+    }
+  });
+  return { players: filled, errors, unresolved };
+}
+
+/**
+ * Dates each player plays within `range`, from their team's schedule, less
+ * the games their injury status is expected to cost (expectedDates).
+ * Players in `skip` get none. Returns `{ games, errors }`; errors name the player as
+ * "<where>[i].team".
+ */
+async function scheduledGames(players, range, { where = 'players', skip = new Set() } = {}) {
+  const schedule = await loadSchedule();
+  if (!schedule.games.length) {
+    throw new Error(`No schedule available (add JSON or ICS schedule files to ${SCHEDULE_DIR})`);
+  }
+  const errors = [];
+  const games = players.map((player, i) => {
+    if (skip.has(i)) return [];
+    if (typeof player.team !== 'string' || !hasTeam(schedule, player.team)) {
+      errors.push(
+        `${where}[${i}].team: ` +
+        (player.team ? `${player.team} has no games in the schedule` : 'required for the weekly schedule'),
+      );
+      return [];
+    }
+    return expectedDates(player, teamGames(schedule, player.team, range));
+  });
+  return { games, errors };
+}
+
+/**
+ * Fills a player list from the local stats database and validates each
+ * player against the stats the league needs. Messages are prefixed with
+ * `where`, e.g. "side_a" → "side_a[1].fga: …". Returns `{ players, errors,
+ * warnings }`.
+ */
+async function checkPlayers(list, { where, season, league, seasonGames }) {
+  const filled = await fillFromDatabase(list, season, where);
+  const { errors } = filled;
+  const warnings = [];
+  const players = filled.players.map((player, i) => {
+    if (filled.unresolved.has(i)) return player;
+    const prefix = `${where}[${i}]`;
+    const checked = validatePlayer(player, { seasonGames });
+    errors.push(...checked.errors.map((msg) => `${prefix}.${msg}`));
+    warnings.push(...checked.warnings.map((msg) => `${prefix}.${msg}`));
+    for (const field of league.missingStats(checked.player).filter((f) => !REQUIRED_PLAYER_FIELDS.includes(f))) {
+      errors.push(`${prefix}.${field}: required by ${league.requiredBy}`);
+    }
+    return checked.player;
+  });
+  return { players, errors, warnings };
+}
+
+/**
+ * A season table from the local stats database as a player pool (`season`
+ * defaults to the latest). Rows the league cannot value are left out
+ * rather than failing the whole pool. Returns `{ season, pool, skipped }`.
+ */
+async function storedPool(season, league) {
+  const db = await loadStatsDatabase();
+  if (!db.rows.length) {
+    throw new Error('No player pool in the local stats database (import a season table with import_nba_stats)');
+  }
+  const label = season ?? db.seasons[db.seasons.length - 1];
+  if (!db.seasons.includes(label)) {
+    throw new Error(`No ${label} table in the local stats database (available: ${db.seasons.join(', ')})`);
+  }
+  const pool = [];
+  let skipped = 0;
+  for (const row of db.rows.filter((r) => r.season === label)) {
+    const checked = validatePlayer(row);
+    if (checked.errors.length || league.missingStats(checked.player).length) {
+      skipped += 1;
+    } else {
+      pool.push(checked.player);
+    }
+  }
+  if (!pool.length) {
+    throw new Error(`No ${label} player has the stats ${league.requiredBy} needs`);
+  }
+  return { season: label, pool, skipped };
+}
+
+/**
+ * How the league values a stat line: `value(line)` is the fantasy score in
+ * points formats and the z-score total in category formats;
+ * `missingStats(line)` lists the fields that valuation needs but the line
+ * lacks, and `requiredBy` names the format in error messages.
+ */
+function leagueValue(format, scoring, baseline) {
+  if (format in CATEGORY_FORMATS) {
+    return {
+      value: (line) => zScores(line, format, baseline).total,
+      missingStats: (line) => missingCategoryStats(line, format),
+      requiredBy: format,
+    };
+  }
+  return {
+    value: (line) => fantasyScore(line, scoring.weights),
+    missingStats: (line) => missingScoringStats(line, scoring.weights),
+    requiredBy: scoring.label + ' scoring',
+  };
+}
+
+/** Per-category z-scores and their total, to two decimals. */
+function roundedZScores(line, format, baseline) {
+  return Object.fromEntries(
+    Object.entries(zScores(line, format, baseline)).map(([stat, z]) => [stat, Math.round(z * 100) / 100]),
+  );
+}
+
+/**
+ * Positional replacement levels for the compared players, drawing the player
+ * pool from the local stats database: the comparison season's rows, or the
+ * latest season's when it has none. Rows the league cannot value are left
+ * out. Returns null when there is no pool; otherwise the levels, pool
+ * details and each player's `{ position, replacement }`. A player without
+ * a recognized position is measured against the deepest position.
+ */
+async function positionalScarcity(players, { value, missingStats, season, settings }) {
+  const db = await loadStatsDatabase();
+  const poolSeason = db.seasons.includes(season) ? season : db.seasons[db.seasons.length - 1];
+  const pool = db.rows.filter((row) => row.season === poolSeason && row.gp > 0 && !missingStats(row).length);
+  if (!pool.length) return null;
+
+  const { levels, rostered, slots, poolSize } = replacementLevels(pool, value, settings);
+  if (!Object.keys(levels).length) return null;
+  const deepest = Object.keys(levels).reduce((a, b) => (levels[b] > levels[a] ? b : a));
+  return {
+    ...settings,
+    season: poolSeason,
+    poolSize,
+    slots,
+    rostered,
+    levels,
+    players: players.map((p) => playerReplacement(p.position, levels)
+      ?? { position: null, replacement: levels[deepest] }),
+  };
+}
+
+/**
+ * Replaces each career player's line (a player with `seasons`) with the
+ * requested career view. Season entries without stats are filled from the
+ * local stats database; every season line is validated on its own. Returns
+ * `{ players, careers, failed, errors, warnings }` where `careers[i]` holds
+ * all of a career player's views (null for single-season players) and
+ * `failed` has the indices of players whose seasons had problems.
+ */
+async function expandCareers(players, { options, value, missingStats, requiredBy, seasonGames }) {
+  const errors = [];
+  const warnings = [];
+  const careers = players.map(() => null);
+  const failed = new Set();
+  const db = players.some((p) => p.seasons?.some((line) => needsLookup({ name: p.name, ...line })))
+    ? await loadStatsDatabase()
+    : null;
+
+  const expanded = players.map((player, i) => {
+    if (!Array.isArray(player.seasons)) return player;
+    const where = `players[${i}].seasons`;
+    if (!player.seasons.length) {
+      errors.push(`${where}: must list at least one season`);
+      failed.add(i);
+      return player;
+    }
+
+    let name = player.name;
+    const problems = [];
+    const lines = player.seasons.map((entry, j) => {
+      let line = { name, ...entry };
+      if (db && needsLookup(line)) {
+        try {
+          const row = resolvePlayer(db, line);
+          name = row.name;
+          line = { ...row, ...entry, name: row.name, season: row.season };
+        } catch (err) {
+          // A season with stats of its own gets field-level errors instead
+          if (!hasAnyStats(line)) {
+            problems.push(`${where}[${j}]: ${err.message}`);
+            return null;
+          }
+        }
+      }
+      const checked = validatePlayer(line, { seasonGames });
+      problems.push(...checked.errors.map((msg) => `${where}[${j}].${msg}`));
+      problems.push(...missingStats(checked.player)
+        .filter((field) => !REQUIRED_PLAYER_FIELDS.includes(field))
+        .map((field) => `${where}[${j}].${field}: required by ${requiredBy}`));
+      warnings.push(...checked.warnings.map((msg) => `${where}[${j}].${msg}`));
+      return checked.player;
+    });
+    if (problems.length) {
+      errors.push(...problems);
+      failed.add(i);
+      return player;
+    }
+
+    const views = careerViews(lines, value, options.best_n);
+    let line = views[options.view];
+    if (options.view === 'age') {
+      line = views.ages[options.age];
+      if (!line) {
+        const ages = Object.keys(views.ages);
+        errors.push(
+          `${where}: no season at age ${options.age}` +
+          (ages.length ? ` (ages: ${ages.join(', ')})` : ' (seasons carry no age)'),
+        );
+        failed.add(i);
+        return player;
+      }
+    }
+    careers[i] = views;
+    // Averaged views carry no team or position, so show the latest ones
+    const latest = views.seasons[views.seasons.length - 1];
+    const { seasons, ...rest } = player;
+    return { team: latest.team, position: latest.position, ...rest, ...line, name };
+  });
+
+  return { players: expanded, careers, failed, errors, warnings };
+}
+
+/**
+ * Resolves, checks and values the players of a comparison: everything the
+ * compare_nba_players dashboard and export_comparison draw from. Returns
+ * `{ failure }` with the tool result when player inputs are invalid.
+ */
+async function prepareComparison(args) {
+  const { player1, player2, format = 'points', basis = 'per_game', rank_by: rankBy = 'per_game' } = args;
+  const scoring = resolveScoring(args.scoring);
+
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected one of ${FORMATS.join(', ')})`);
+  }
+  if (!BASES.includes(basis)) {
+    throw new Error(`Unknown basis: ${basis} (expected one of ${BASES.join(', ')})`);
+  }
+  if (!RANKINGS.includes(rankBy)) {
+    throw new Error(`Unknown rank_by: ${rankBy} (expected one of ${RANKINGS.join(', ')})`);
+  }
+  const gamesRemaining = args.games_remaining;
+  if (gamesRemaining !== undefined && (!Number.isInteger(gamesRemaining) || gamesRemaining < 0)) {
+    throw new Error(`games_remaining must be a non-negative whole number, got ${JSON.stringify(gamesRemaining)}`);
+  }
+  if (args.as_of !== undefined && !isDate(args.as_of)) {
+    throw new Error(`as_of must be a YYYY-MM-DD date, got ${JSON.stringify(args.as_of)}`);
+  }
+  const weekRange = scheduleWindow(args);
+  const leagueSettings = resolveLeague(args.league);
+  const projectionSettings = args.use_projections ? resolveProjectionSettings(args.projection) : null;
+  const career = { view: 'peak', best_n: DEFAULT_BEST_N, ...args.career };
+  if (!CAREER_VIEWS.includes(career.view)) {
+    throw new Error(`Unknown career view: ${career.view} (expected one of ${CAREER_VIEWS.join(', ')})`);
+  }
+  if (!Number.isInteger(career.best_n) || career.best_n < 1) {
+    throw new Error(`career.best_n must be a positive whole number, got ${JSON.stringify(career.best_n)}`);
+  }
+  if (career.view === 'age' && typeof career.age !== 'number') {
+    throw new Error('career.age is required for the age view');
+  }
+  const isCategoryFormat = format in CATEGORY_FORMATS;
+  const baseline = isCategoryFormat && (args.baseline ? buildBaseline(args.baseline) : BUNDLED_BASELINE);
+  let players = args.players ?? [player1, player2].filter(Boolean);
+
+  if (players.length < MIN_PLAYERS || players.length > MAX_PLAYERS) {
+    throw new Error(
+      `Expected ${MIN_PLAYERS}–${MAX_PLAYERS} players, got ${players.length}`,
+    );
+  }
+
+  const filled = await fillFromDatabase(players, args.season);
+  players = filled.players;
+  const { errors, unresolved } = filled;
+
+  // Career players are ranked season by season in the league's own terms
+  const league = leagueValue(format, scoring, baseline);
+  const expanded = await expandCareers(players, {
+    options: career,
+    value: league.value,
+    missingStats: league.missingStats,
+    requiredBy: league.requiredBy,
+    seasonGames: args.season_games,
+  });
+  players = expanded.players;
+  errors.push(...expanded.errors);
+  expanded.failed.forEach((i) => unresolved.add(i));
+  const season = args.season ?? commonSeason(players) ?? '2024-25';
+
+  const checked = validatePlayers(players, { seasonGames: args.season_games });
+  players = checked.players;
+  const warnings = [...expanded.warnings, ...checked.warnings];
+  errors.push(...checked.errors.filter(
+    (e) => ![...unresolved].some((i) => e.startsWith(`players[${i}].`)),
+  ));
+  players.forEach((player, i) => {
+    if (unresolved.has(i)) return;
+    // Required fields have already been reported by validatePlayers
+    for (const field of league.missingStats(player).filter((f) => !REQUIRED_PLAYER_FIELDS.includes(f))) {
+      errors.push(`players[${i}].${field}: required by ${league.requiredBy}`);
+    }
+    // Splits and the trend chart score the log itself, so it needs every
+    // stat the league scores
+    if (player.game_log?.length) {
+      const logStats = [...Object.keys(scoring.weights), ...(CATEGORY_FORMATS[format] ?? [])];
+      const { fields, games } = missingGameFields(player.game_log, logStats);
+      if (fields.length) {
+        errors.push(
+          `players[${i}].game_log: ${fields.join(', ')} missing from ${games} of ${player.game_log.length} games; ` +
+          `required by ${league.requiredBy}`,
+        );
+      }
+    }
+    for (const field of BASIS_FIELDS[basis]) {
+      if (!(player[field] > 0)) {
+        errors.push(`players[${i}].${field}: required by the ${BASIS_LABELS[basis].toLowerCase()} basis`);
+      }
+    }
+  });
+
+  // Games each player has in the requested week
+  let week = null;
+  if (weekRange) {
+    const scheduled = await scheduledGames(players, weekRange, { skip: unresolved });
+    errors.push(...scheduled.errors);
+    week = { ...weekRange, games: scheduled.games };
+  }
+
+  // Projections replace each player's line; the actual line stays alongside
+  // for the side-by-side panel
+  let projections = null;
+  if (projectionSettings) {
+    projections = [];
+    for (const [i, player] of players.entries()) {
+      if (unresolved.has(i)) {
+        projections.push(null);
+        continue;
+      }
+      const result = await projectFromInputs(player, `players[${i}]`, {
+        settings: projectionSettings,
+        asOf: args.as_of,
+        seasonGames: args.season_games,
+      });
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+      projections.push(result.projection && {
+        ...result.projection,
+        actual: Object.fromEntries(PROJECTED_STATS.filter((s) => s in player).map((s) => [s, player[s]])),
+      });
+    }
+    players = players.map((player, i) => (projections[i] ? { ...player, ...projections[i].line } : player));
+  }
+  if (errors.length) return { failure: invalidStats(errors) };
+
+  const roundedZ = (line) => roundedZScores(line, format, baseline);
+  let valuation = null;
+  if (isCategoryFormat) {
+    valuation = {
+      baseline: baseline.label,
+      zscores: players.map(roundedZ),
+    };
+  }
+
+  const logs = players.map((p) => (p.game_log?.length ? p.game_log : null));
+  let trends = null;
+  if (logs.some(Boolean)) {
+    const asOf = args.as_of ?? latestGameDate(logs.filter(Boolean));
+    // In category formats each split carries its own z-scores, as career views do
+    const splits = logs.map((log, i) => log && Object.fromEntries(
+      Object.entries(computeSplits(log, asOf)).map(([key, split]) => [
+        key,
+        split && isCategoryFormat ? { ...split, zscores: roundedZ(splitLine(players[i], split)) } : split,
+      ]),
+    ));
+    trends = {
+      asOf,
+      splits,
+      logs: logs.map((log) => log && timeline(log)),
+      // Only offer splits at least one player has games in
+      available: ['season', ...Object.keys(SPLITS).filter((key) => splits.some((s) => s?.[key]))],
+      labels: {
+        season: 'Season',
+        ...Object.fromEntries(Object.entries(SPLITS).map(([key, { label }]) => [key, label])),
+      },
+    };
+  }
+
+  let careers = null;
+  if (expanded.careers.some(Boolean)) {
+    // Each view's line carries its own z-scores so the artifact can switch views
+    const withZ = (line) => (isCategoryFormat ? { ...line, zscores: roundedZ(line) } : line);
+    const lines = expanded.careers.map((c) => c && {
+      seasons: c.seasons.map(withZ),
+      peak:    withZ(c.peak),
+      best_n:  withZ(c.best_n),
+      career:  withZ(c.career),
+      ages:    Object.fromEntries(Object.entries(c.ages).map(([age, line]) => [age, withZ(line)])),
+    });
+    const present = lines.filter(Boolean);
+    // The chart aligns by age only when every season of every career player has one
+    const alignByAge = present.every((c) => c.seasons.every((line) => line.age != null));
+    const ages = Object.keys(present[0].ages).filter((age) => present.every((c) => age in c.ages)).map(Number);
+    careers = {
+      lines,
+      view: career.view,
+      age: career.age ?? ages[0] ?? null,
+      ages,
+      alignByAge,
+      views: CAREER_VIEWS.filter((view) => view !== 'age' || ages.length),
+      labels: {
+        peak:   'Peak Season',
+        best_n: `Best ${career.best_n} Seasons`,
+        career: 'Career Average',
+        age:    'Same Age',
+      },
+    };
+  }
+
+  const seasonGames = args.season_games ?? DEFAULT_SEASON_GAMES;
+  // Injury return dates and the schedule's remaining games count from as_of,
+  // or from the latest game in any game log; never from the clock
+  const asOf = args.as_of ?? trends?.asOf ?? null;
+  const remaining = await remainingGames(players, { gamesRemaining, asOf });
+  players.forEach((player, i) => {
+    if (player.injury_status === 'out' && player.return_date && remaining[i] !== null && !asOf) {
+      throw new Error(`players[${i}].return_date: counting the games until it needs as_of`);
+    }
+  });
+  const availability = {
+    rankBy,
+    note: gamesRemaining !== undefined
+      ? `${gamesRemaining} games remaining` + (asOf ? ` · as of ${asOf}` : '')
+      : remaining.some((n) => n !== null)
+        ? `Games remaining from the schedule after ${asOf}`
+        : 'No rest-of-season value: pass games_remaining, or as_of with schedule files',
+    // The replacement line itself (as z-scores in category formats), so the
+    // artifact can value it under edited weights or punted categories
+    replacement: isCategoryFormat ? zScores(REPLACEMENT_LINE, format, baseline) : REPLACEMENT_LINE,
+  };
+  availability.outlooks = players.map((player, i) => availabilityOutlook(player, {
+    seasonGames,
+    gamesRemaining: remaining[i],
+    asOf,
+  }));
+
+  const scarcity = await positionalScarcity(players, {
+    value: league.value,
+    missingStats: league.missingStats,
+    season,
+    settings: leagueSettings,
+  });
+  if (!scarcity && rankBy === 'positional') {
+    throw new Error(
+      'rank_by "positional" needs a player pool: import season stats into the local database with import_nba_stats',
+    );
+  }
+  if (scarcity) {
+    players.forEach((player, i) => {
+      if (!scarcity.players[i].position) {
+        warnings.push(
+          `players[${i}].position: ${player.position ? `"${player.position}" is not a recognized position` : 'missing'}` +
+          '; compared against the deepest position\'s replacement level',
+        );
+      }
+    });
+  }
 
   return {
-    content: [
+    players, season, scoring, format, valuation, basis, trends, careers, availability, week, projections, scarcity,
+    warnings,
+  };
+}
+
+async function comparePlayers(args) {
+  const { output = 'artifact', history = true } = args;
+  if (!OUTPUTS.includes(output)) {
+    throw new Error(`Unknown output: ${output} (expected one of ${OUTPUTS.join(', ')})`);
+  }
+  const prepared = await prepareComparison(args);
+  if (prepared.failure) return prepared.failure;
+  const {
+    players, season, scoring, format, valuation, basis, trends, careers, availability, week, projections, scarcity,
+    warnings,
+  } = prepared;
+
+  const result = comparisonResult(players.map((p) => applyBasis(p, basis)), {
+    season, format, basis, scoring, valuation, projected: Boolean(projections),
+  });
+  let content;
+  if (output === 'artifact') {
+    const artifactCode = buildComparisonArtifact(players, {
+      season, scoring, format, valuation, basis, trends, careers, availability, week, projections, scarcity,
+    });
+    content = [
       {
         type: 'text',
         text: artifactCode,
         // Claude renders this MIME type as an interactive React artifact
         mimeType: 'application/vnd.ant.react',
       },
-    ],
+    ];
+  } else {
+    const text = {
+      markdown: markdownReport,
+      json:     (r) => JSON.stringify(r, null, 2),
+      text:     textReport,
+    }[output](result);
+    content = [{ type: 'text', text }];
+  }
+  if (history) {
+    const inputs = { ...args };
+    delete inputs.output;
+    delete inputs.history;
+    // A comparison that cannot be saved is still a comparison
+    try {
+      const entry = await recordComparison({ inputs, result });
+      content.push({ type: 'text', text: `Saved as ${comparisonUri(entry)} (re-run with rerun_comparison)` });
+    } catch (err) {
+      warnings.push(`Not saved to history: ${err.message}`);
+    }
+  }
+  if (warnings.length) content.push(adjustedInputs(warnings));
+  return { content };
+}
+
+async function rerunComparison(args) {
+  const { id, output = 'markdown' } = args;
+  if (!['markdown', 'json'].includes(output)) {
+    throw new Error(`Unknown output: ${output} (expected one of markdown, json)`);
+  }
+  const saved = await findComparison(id);
+  const inputs = { ...saved.inputs };
+  if (args.players) {
+    if (!Array.isArray(args.players)) throw new Error('players must be an array');
+    delete inputs.player1;
+    delete inputs.player2;
+    inputs.players = updatePlayers(saved, args.players);
+  }
+  if (args.season) inputs.season = args.season;
+
+  const prepared = await prepareComparison(inputs);
+  if (prepared.failure) return prepared.failure;
+  const { players, season, scoring, format, valuation, basis, projections, warnings } = prepared;
+  const result = comparisonResult(players.map((p) => applyBasis(p, basis)), {
+    season, format, basis, scoring, valuation, projected: Boolean(projections),
+  });
+  const rerun = await recordComparison({ inputs, result, rerunOf: saved.id });
+  const diff = diffResults(saved.result, result);
+
+  const content = [{
+    type: 'text',
+    text: output === 'json'
+      ? JSON.stringify({ id: saved.id, rerun_id: rerun.id, ...diff }, null, 2)
+      : markdownDiff(diff, saved, rerun),
+  }];
+  if (warnings.length) content.push(adjustedInputs(warnings));
+  return { content };
+}
+
+async function exportComparison(args) {
+  const { formats = EXPORT_FORMATS, save = false } = args;
+  if (!Array.isArray(formats) || !formats.length) {
+    throw new Error('formats must be a non-empty array');
+  }
+  for (const format of formats) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown export format: ${format} (expected one of ${EXPORT_FORMATS.join(', ')})`);
+    }
+  }
+  const prepared = await prepareComparison(args);
+  if (prepared.failure) return prepared.failure;
+  const { players, season, scoring, format, valuation, basis, projections, warnings } = prepared;
+
+  const lines = players.map((p) => applyBasis(p, basis));
+  const result = comparisonResult(lines, {
+    season, format, basis, scoring, valuation, projected: Boolean(projections),
+  });
+  const rendered = renderExports(lines, result);
+  const files = Object.fromEntries(formats.map((f) => [f, rendered[f]]));
+
+  const content = formats.map((f) => (f === 'png'
+    ? { type: 'image', data: files.png.toString('base64'), mimeType: 'image/png' }
+    : { type: 'text', text: files[f], mimeType: f === 'html' ? 'text/html' : 'image/svg+xml' }));
+  if (save) {
+    const saved = await saveExports(result, files);
+    content.push({ type: 'text', text: `Saved:\n${saved.map((file) => `- ${file}`).join('\n')}` });
+  }
+  if (warnings.length) content.push(adjustedInputs(warnings));
+  return { content };
+}
+
+async function lookupPlayer({ name, season, limit = 5 }) {
+  const db = await loadStatsDatabase();
+  if (!db.rows.length) {
+    throw new Error(`No local stats available (add JSON or CSV season files to ${DATA_DIR})`);
+  }
+  if (season && !db.seasons.includes(season)) {
+    throw new Error(`No stats for ${season} (available: ${db.seasons.join(', ')})`);
+  }
+
+  const matches = findPlayers(db, name, { season });
+  const candidates = bestCandidates(matches);
+  const result = {
+    query: name,
+    season: season ?? null,
+    status: !candidates.length ? 'not_found' : candidates.length > 1 ? 'ambiguous' : 'found',
+    candidates,
+    matches: matches.slice(0, limit).map(({ player, score }) => ({
+      ...player,
+      match: Math.round(score * 100) / 100,
+    })),
+    seasons: db.seasons,
   };
-});
+
+  return {
+    content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+  };
+}
+
+async function importNbaStats({ text, source, per_mode: perMode, season, save = false, overwrite = false }) {
+  if (save && !season) {
+    throw new Error('season is required when save is true');
+  }
+
+  const imported = importStats(text, { source, perMode });
+  const players = season ? imported.players.map((p) => ({ ...p, season })) : imported.players;
+  const result = {
+    source: imported.source,
+    season: season ?? null,
+    imported: players.length,
+    skipped: imported.skipped,
+    ignored_columns: imported.ignoredColumns,
+  };
+  if (save) {
+    result.saved_to = await saveSeasonTable(season, players, { overwrite });
+  } else {
+    result.players = players;
+  }
+
+  return {
+    content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+  };
+}
+
+/**
+ * Games each player's team has left: `gamesRemaining` when given, else the
+ * team's games after `asOf` in the local schedule files, else null.
+ */
+async function remainingGames(players, { gamesRemaining, asOf }) {
+  if (gamesRemaining !== undefined) return players.map(() => gamesRemaining);
+  const schedule = asOf ? await loadSchedule() : { games: [] };
+  return players.map((player) => (
+    typeof player.team === 'string' && hasTeam(schedule, player.team) ? gamesAfter(schedule, player.team, asOf) : null
+  ));
+}
+
+async function evaluateTrade(args) {
+  const { format = 'points' } = args;
+  const scoring = resolveScoring(args.scoring);
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected one of ${FORMATS.join(', ')})`);
+  }
+  const isCategoryFormat = format in CATEGORY_FORMATS;
+  const baseline = isCategoryFormat && (args.baseline ? buildBaseline(args.baseline) : BUNDLED_BASELINE);
+  const league = leagueValue(format, scoring, baseline);
+  const seasonGames = args.season_games ?? DEFAULT_SEASON_GAMES;
+
+  const errors = [];
+  const warnings = [];
+  const sides = {};
+  for (const key of ['side_a', 'side_b']) {
+    const given = args[key];
+    if (!Array.isArray(given) || !given.length || given.length > MAX_PLAYERS) {
+      throw new Error(`${key} must list 1–${MAX_PLAYERS} players`);
+    }
+    const checked = await checkPlayers(given, { where: key, season: args.season, league, seasonGames });
+    errors.push(...checked.errors);
+    warnings.push(...checked.warnings);
+    sides[key] = checked.players;
+  }
+  if (errors.length) return invalidStats(errors);
+
+  if (args.replacement_value !== undefined && !Number.isFinite(args.replacement_value)) {
+    throw new Error(`replacement_value must be a finite number, got ${JSON.stringify(args.replacement_value)}`);
+  }
+  const replacementValue = args.replacement_value ?? Math.round(league.value(REPLACEMENT_LINE) * 100) / 100;
+  const analysis = analyzeTrade(sides.side_a, sides.side_b, {
+    value: league.value,
+    zscores: isCategoryFormat && ((player) => zScores(player, format, baseline)),
+    seasonGames,
+    replacementValue,
+  });
+
+  const artifactCode = buildTradeArtifact(analysis, {
+    season: args.season ?? commonSeason([...sides.side_a, ...sides.side_b]) ?? '2024-25',
+    scoring,
+    format,
+    baselineLabel: baseline ? baseline.label : null,
+    replacementValue,
+  });
+  const content = [
+    { type: 'text', text: artifactCode, mimeType: 'application/vnd.ant.react' },
+  ];
+  if (warnings.length) content.push(adjustedInputs(warnings));
+  return { content };
+}
+
+async function rankPlayers(args) {
+  const { format = 'points', tier_gap: tierGap = DEFAULT_TIER_GAP } = args;
+  const scoring = resolveScoring(args.scoring);
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected one of ${FORMATS.join(', ')})`);
+  }
+  if (typeof tierGap !== 'number' || !(tierGap > 0)) {
+    throw new Error(`tier_gap must be a positive number, got ${JSON.stringify(tierGap)}`);
+  }
+  const leagueSettings = resolveLeague(args.league);
+  const isCategoryFormat = format in CATEGORY_FORMATS;
+  const baseline = isCategoryFormat && (args.baseline ? buildBaseline(args.baseline) : BUNDLED_BASELINE);
+  const league = leagueValue(format, scoring, baseline);
+
+  const warnings = [];
+  let pool;
+  let season;
+  if (args.players !== undefined) {
+    if (!Array.isArray(args.players) || !args.players.length || args.players.length > MAX_POOL_PLAYERS) {
+      throw new Error(`players must list 1–${MAX_POOL_PLAYERS} players`);
+    }
+    const checked = await checkPlayers(args.players, { where: 'players', season: args.season, league });
+    if (checked.errors.length) return invalidStats(checked.errors);
+    warnings.push(...checked.warnings);
+    pool = checked.players;
+    season = args.season ?? commonSeason(pool) ?? '2024-25';
+  } else {
+    const stored = await storedPool(args.season, league);
+    ({ season, pool } = stored);
+    if (stored.skipped) {
+      warnings.push(`Left out ${stored.skipped} ${season} player(s) missing stats ${league.requiredBy} needs`);
+    }
+  }
+
+  const { levels } = replacementLevels(pool, league.value, leagueSettings);
+  const round2 = (n) => Math.round(n * 100) / 100;
+  const rankings = rankPool(pool, league.value, { tierGap }).map(({ player, value, rank, tier, positionRanks }) => {
+    const replacement = playerReplacement(player.position, levels);
+    return {
+      rank,
+      tier,
+      name: player.name,
+      team: player.team ?? null,
+      position: player.position ?? null,
+      gp: player.gp,
+      value: round2(value),
+      over_replacement: replacement && round2(value - replacement.replacement),
+      position_ranks: positionRanks,
+      zscores: isCategoryFormat ? roundedZScores(player, format, baseline) : null,
+      stats: Object.fromEntries(CATEGORY_FORMATS['9cat'].map((stat) => [stat, player[stat]])),
+    };
+  });
+
+  const artifactCode = buildRankingsArtifact(rankings, {
+    season,
+    scoring,
+    format,
+    baselineLabel: baseline ? baseline.label : null,
+    league: leagueSettings,
+  });
+  const content = [
+    { type: 'text', text: artifactCode, mimeType: 'application/vnd.ant.react' },
+  ];
+  if (warnings.length) content.push(adjustedInputs(warnings));
+  return { content };
+}
+
+async function recommendPickups(args) {
+  const { format = '9cat', limit = DEFAULT_PICKUPS } = args;
+  if (!(format in CATEGORY_FORMATS)) {
+    throw new Error(
+      `recommend_pickups works on category formats (${Object.keys(CATEGORY_FORMATS).join(', ')}), got ${format}`,
+    );
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`limit must be a positive whole number, got ${JSON.stringify(limit)}`);
+  }
+  const baseline = args.baseline ? buildBaseline(args.baseline) : BUNDLED_BASELINE;
+  const league = leagueValue(format, null, baseline);
+
+  const errors = [];
+  const warnings = [];
+  const lists = {};
+  for (const [key, max] of [['roster', MAX_ROSTER_PLAYERS], ['opponent', MAX_ROSTER_PLAYERS], ['free_agents', MAX_POOL_PLAYERS]]) {
+    if (args[key] === undefined) continue;
+    if (!Array.isArray(args[key]) || !args[key].length || args[key].length > max) {
+      throw new Error(`${key} must list 1–${max} players`);
+    }
+    const checked = await checkPlayers(args[key], { where: key, season: args.season, league });
+    errors.push(...checked.errors);
+    warnings.push(...checked.warnings);
+    lists[key] = checked.players;
+  }
+  if (!lists.roster) throw new Error('roster is required');
+  if (errors.length) return invalidStats(errors);
+  const { roster, opponent = null } = lists;
+
+  // Without a free-agent list, everyone in the stored season not on either roster
+  let freeAgents = lists.free_agents;
+  let season = args.season ?? commonSeason(roster) ?? '2024-25';
+  if (!freeAgents) {
+    const stored = await storedPool(args.season ?? commonSeason(roster), league);
+    const taken = new Set([...roster, ...(opponent ?? [])].map((p) => normalizeName(p.name)));
+    freeAgents = stored.pool.filter((p) => !taken.has(normalizeName(p.name)));
+    season = stored.season;
+    if (!freeAgents.length) {
+      throw new Error(`Every ${season} player in the local stats database is on a roster`);
+    }
+  }
+
+  const zscores = (player) => zScores(player, format, baseline);
+  const needs = categoryNeeds(roster, opponent, { zscores, categories: CATEGORY_FORMATS[format] });
+  let dropIndex;
+  if (args.drop !== undefined) {
+    dropIndex = roster.findIndex((p) => normalizeName(p.name) === normalizeName(String(args.drop)));
+    if (dropIndex < 0) {
+      throw new Error(`drop: ${JSON.stringify(args.drop)} is not on the roster (${roster.map((p) => p.name).join(', ')})`);
+    }
+  } else {
+    dropIndex = leastValuable(roster, needs, zscores);
+  }
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+  // The artifact only needs the stat cards' and radar's fields
+  const card = ({ game_log, seasons, prior_season, ...p }) => p;
+  const result = {
+    opponent: Boolean(opponent),
+    freeAgents: freeAgents.length,
+    needs: needs.map((n) => ({
+      ...n, team: round2(n.team), target: round2(n.target), gap: round2(n.gap), weight: round2(n.weight),
+    })),
+    drop: {
+      player: card(roster[dropIndex]),
+      zscores: roundedZScores(roster[dropIndex], format, baseline),
+      chosen: args.drop !== undefined,
+    },
+    candidates: rankPickups(freeAgents, roster[dropIndex], needs, zscores).slice(0, limit).map((c) => ({
+      player: card(c.player),
+      zscores: roundedZScores(c.player, format, baseline),
+      gain: round2(c.gain),
+      deltas: Object.fromEntries(Object.entries(c.deltas).map(([stat, d]) => [stat, round2(d)])),
+      flips: c.flips,
+    })),
+  };
+
+  const artifactCode = buildPickupsArtifact(result, { season, format, baselineLabel: baseline.label });
+  const content = [
+    { type: 'text', text: artifactCode, mimeType: 'application/vnd.ant.react' },
+  ];
+  if (warnings.length) content.push(adjustedInputs(warnings));
+  return { content };
+}
+
+async function simulateMatchupTool(args) {
+  const {
+    format = '9cat', iterations = DEFAULT_ITERATIONS, seed = DEFAULT_SEED, games: weekGames = DEFAULT_WEEK_GAMES,
+  } = args;
+  const scoring = resolveScoring(args.scoring);
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected one of ${FORMATS.join(', ')})`);
+  }
+  if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) {
+    throw new Error(`iterations must be a whole number from 1 to ${MAX_ITERATIONS}, got ${JSON.stringify(iterations)}`);
+  }
+  if (!Number.isInteger(seed)) {
+    throw new Error(`seed must be a whole number, got ${JSON.stringify(seed)}`);
+  }
+  if (!Number.isInteger(weekGames) || weekGames < 0) {
+    throw new Error(`games must be a non-negative whole number, got ${JSON.stringify(weekGames)}`);
+  }
+  const weekRange = scheduleWindow(args);
+  const isCategoryFormat = format in CATEGORY_FORMATS;
+  // Only the stat requirements matter here; no z-scores are taken
+  const league = leagueValue(format, scoring, isCategoryFormat && BUNDLED_BASELINE);
+
+  const errors = [];
+  const warnings = [];
+  const rosters = {};
+  for (const key of ['team_a', 'team_b']) {
+    const given = args[key];
+    if (!Array.isArray(given) || !given.length || given.length > MAX_ROSTER_PLAYERS) {
+      throw new Error(`${key} must list 1–${MAX_ROSTER_PLAYERS} players`);
+    }
+    const checked = await checkPlayers(given, { where: key, season: args.season, league });
+    errors.push(...checked.errors);
+    warnings.push(...checked.warnings);
+    rosters[key] = checked.players;
+  }
+  if (errors.length) return invalidStats(errors);
+
+  // Games per player: from the schedule when a window is given, otherwise
+  // the flat count less what injuries are expected to cost
+  const teams = {};
+  for (const [key, players] of Object.entries(rosters)) {
+    let counts;
+    if (weekRange) {
+      const scheduled = await scheduledGames(players, weekRange, { where: key });
+      errors.push(...scheduled.errors);
+      counts = scheduled.games.map((dates) => dates.length);
+    } else {
+      counts = players.map((p) => expectedGames(p, weekGames));
+    }
+    teams[key] = players.map((player, i) => ({ player, model: playerModel(player), games: counts[i] }));
+  }
+  if (errors.length) return invalidStats(errors);
+
+  const result = simulateMatchup(teams.team_a, teams.team_b, {
+    categories: isCategoryFormat ? CATEGORY_FORMATS[format] : null,
+    weights: scoring.weights,
+    iterations,
+    seed,
+  });
+  const summary = {
+    format,
+    scoring: isCategoryFormat ? null : scoring.label,
+    seed,
+    iterations,
+    window: weekRange,
+    ...result,
+    rosters: Object.fromEntries(Object.entries(teams).map(([key, team]) => [key, team.map((t) => ({
+      name: t.player.name,
+      team: t.player.team ?? null,
+      games: t.games,
+      // Where the game-to-game spread came from
+      spread: [...new Set(Object.values(t.model.spread))].join('+') || 'none',
+    }))])),
+  };
+
+  const content = [
+    { type: 'text', text: buildMatchupArtifact(summary, { scoring }), mimeType: 'application/vnd.ant.react' },
+    { type: 'text', text: JSON.stringify(summary, null, 2) },
+  ];
+  if (warnings.length) content.push(adjustedInputs(warnings));
+  return { content };
+}
+
+async function projectPlayerTool(args) {
+  const settings = resolveProjectionSettings(args);
+  if (!args.player || typeof args.player !== 'object') {
+    throw new Error('player must be an object with at least a name');
+  }
+  if (args.as_of !== undefined && !isDate(args.as_of)) {
+    throw new Error(`as_of must be a YYYY-MM-DD date, got ${JSON.stringify(args.as_of)}`);
+  }
+
+  const filled = await fillFromDatabase([args.player], args.season);
+  const errors = filled.errors.map((e) => e.replace(/^players\[0\]/, 'player'));
+  let player = filled.players[0];
+  const warnings = [];
+  if (!filled.unresolved.size) {
+    const checked = validatePlayer(player, { seasonGames: args.season_games });
+    errors.push(...checked.errors.map((msg) => `player.${msg}`));
+    warnings.push(...checked.warnings.map((msg) => `player.${msg}`));
+    player = checked.player;
+  }
+  if (errors.length) return invalidStats(errors);
+
+  const result = await projectFromInputs(player, 'player', {
+    settings,
+    asOf: args.as_of,
+    seasonGames: args.season_games,
+  });
+  if (result.errors.length) return invalidStats(result.errors);
+  warnings.push(...result.warnings);
+
+  const { position, line, sources } = result.projection;
+  const projection = {
+    name: player.name,
+    team: player.team ?? null,
+    season: player.season ?? null,
+    position,
+    weights: settings.weights,
+    regression_games: settings.regressionGames,
+    sources,
+    actual: Object.fromEntries(PROJECTED_STATS.filter((s) => s in player).map((s) => [s, player[s]])),
+    projected: line,
+  };
+  const content = [{ type: 'text', text: JSON.stringify(projection, null, 2) }];
+  if (warnings.length) content.push(adjustedInputs(warnings));
+  return { content };
+}
+
+const TOOL_HANDLERS = {
+  compare_nba_players: comparePlayers,
+  rerun_comparison:    rerunComparison,
+  export_comparison:   exportComparison,
+  analyze_trade:       evaluateTrade,
+  rank_players:        rankPlayers,
+  recommend_pickups:   recommendPickups,
+  simulate_matchup:    simulateMatchupTool,
+  project_player:      projectPlayerTool,
+  lookup_nba_player:   lookupPlayer,
+  import_nba_stats:    importNbaStats,
+};
 
 // ─── Start ────────────────────────────────────────────────────────────────────
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
+const options = serverOptions(process.argv.slice(2), process.env);
+if (options.transport === 'http') {
+  const httpServer = await startHttpServer({
+    ...options,
+    createServer,
+    compare: (args) => runTool('compare_nba_players', args),
+  });
+  const { address, port } = httpServer.address();
+  // stdout is left alone, as it is in stdio mode
+  console.error(`nba-player-compare listening on http://${address}:${port}/mcp`);
+} else {
+  await createServer().connect(new StdioServerTransport());
+}
@@ -0,0 +1,228 @@
+/**
+ * Matchup artifact
+ *
+ * The simulate_matchup artifact: win probabilities overall and per category
+ * (or expected points), the spread of outcomes and both rosters.
+ */
+
+import { CATEGORY_LABELS } from './artifact-shared.js';
+import { describeWeights } from './scoring.js';
+
+/**
+ * Builds the artifact for a simulated matchup (see matchup.js): the overall
+ * win probabilities, then per-category win probabilities and the spread of
+ * categories won, or expected points and the margin distribution in points
+ * leagues, and each roster with its games.
+ */
+export function buildMatchupArtifact(summary, { scoring }) {
+  return `
+import {
+  BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer,
+} from 'recharts';
+
+// ── Embedded simulation (injected by MCP server) ──────────────────────────────
+const summary = ${JSON.stringify(summary)};
+const scoringSummary = ${JSON.stringify(summary.scoring && `${scoring.label} (${describeWeights(scoring.weights)})`)};
+
+const TEAMS = {
+  a: { label: 'Team A', main: '#3b82f6', dark: '#2563eb' },
+  b: { label: 'Team B', main: '#9333ea', dark: '#7c3aed' },
+};
+
+const CATEGORY_LABELS = ${JSON.stringify(CATEGORY_LABELS)};
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function percent(p) {
+  return (p * 100).toFixed(1) + '%';
+}
+
+// ── Sub-components ────────────────────────────────────────────────────────────
+
+function Verdict() {
+  const { a, b, tie } = summary.overall;
+  const favorite = a === b ? null : a > b ? 'a' : 'b';
+  const colors = favorite ? TEAMS[favorite] : { main: '#6b7280', dark: '#4b5563' };
+  return (
+    <div style={{
+      background: \`linear-gradient(90deg, \${colors.main}, \${colors.dark})\`,
+      borderRadius: 12, padding: 24, color: '#fff', textAlign: 'center', marginBottom: 32,
+    }}>
+      <div style={{ fontSize: 24, fontWeight: 700, marginBottom: 4 }}>
+        {favorite ? TEAMS[favorite].label + ' wins ' + percent(summary.overall[favorite]) : 'Dead even'}
+      </div>
+      <div style={{ fontSize: 13, opacity: 0.9 }}>
+        {TEAMS.a.label} {percent(a)} · {TEAMS.b.label} {percent(b)}{tie > 0 ? ' · tie ' + percent(tie) : ''}
+      </div>
+    </div>
+  );
+}
+
+function CategoryPanel() {
+  const data = summary.categories.map((c) => ({ ...c, label: CATEGORY_LABELS[c.stat] }));
+  const cell = { padding: '8px 12px', textAlign: 'right' };
+  const head = { ...cell, color: '#6b7280', fontWeight: 500 };
+  const isPct = (stat) => stat.endsWith('_pct');
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 16 }}>
+        Category Win Probability
+      </h2>
+      <ResponsiveContainer width="100%" height={40 + data.length * 36}>
+        <BarChart data={data} layout="vertical" stackOffset="expand">
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis type="number" tickFormatter={percent} />
+          <YAxis type="category" dataKey="label" width={90} />
+          <Tooltip formatter={(v) => percent(v)} />
+          <Legend />
+          <Bar dataKey="a" name={TEAMS.a.label} stackId="p" fill={TEAMS.a.main} />
+          <Bar dataKey="tie" name="Tie" stackId="p" fill="#d1d5db" />
+          <Bar dataKey="b" name={TEAMS.b.label} stackId="p" fill={TEAMS.b.main} />
+        </BarChart>
+      </ResponsiveContainer>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14, marginTop: 16 }}>
+        <thead>
+          <tr style={{ borderBottom: '1px solid #e5e7eb' }}>
+            <th style={{ ...head, textAlign: 'left' }}>Category</th>
+            <th style={head}>{TEAMS.a.label} (exp.)</th>
+            <th style={head}>{TEAMS.b.label} (exp.)</th>
+            <th style={head}>{TEAMS.a.label} Wins</th>
+            <th style={head}>{TEAMS.b.label} Wins</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.map((c) => (
+            <tr key={c.stat} style={{ borderBottom: '1px solid #f3f4f6' }}>
+              <td style={{ ...cell, textAlign: 'left', fontWeight: 600 }}>{c.label}</td>
+              <td style={cell}>{c.meanA}{isPct(c.stat) ? '%' : ''}</td>
+              <td style={cell}>{c.meanB}{isPct(c.stat) ? '%' : ''}</td>
+              <td style={{ ...cell, fontWeight: c.a > c.b ? 700 : 400, color: TEAMS.a.dark }}>{percent(c.a)}</td>
+              <td style={{ ...cell, fontWeight: c.b > c.a ? 700 : 400, color: TEAMS.b.dark }}>{percent(c.b)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// How many categories team A takes; bars past half the categories are wins
+function CategoryWinsChart() {
+  const total = summary.categories.length;
+  const data = summary.categoryWins.map((share, won) => ({ won: String(won), share, result: won * 2 - total }));
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 16 }}>
+        Categories Won by {TEAMS.a.label}
+      </h2>
+      <ResponsiveContainer width="100%" height={240}>
+        <BarChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="won" />
+          <YAxis tickFormatter={percent} />
+          <Tooltip formatter={(v) => percent(v)} />
+          <Bar dataKey="share" name="Share of weeks" radius={[4, 4, 0, 0]}>
+            {data.map((d) => (
+              <Cell key={d.won} fill={d.result > 0 ? TEAMS.a.main : d.result < 0 ? TEAMS.b.main : '#9ca3af'} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+function PointsPanel() {
+  const data = summary.margins.map((m) => ({ ...m, mid: (m.from + m.to) / 2, label: Math.round((m.from + m.to) / 2) }));
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 4 }}>
+        Expected Points
+      </h2>
+      <p style={{ fontSize: 13, color: '#6b7280', marginTop: 0, marginBottom: 16 }}>{scoringSummary}</p>
+      <div style={{ display: 'flex', gap: 16, marginBottom: 24 }}>
+        {['a', 'b'].map((key) => (
+          <div key={key} style={{ flex: 1, background: '#fff', borderRadius: 8, padding: 16, borderTop: \`4px solid \${TEAMS[key].main}\` }}>
+            <div style={{ fontSize: 12, color: '#6b7280' }}>{TEAMS[key].label}</div>
+            <div style={{ fontSize: 28, fontWeight: 700, color: '#111827' }}>{summary.points[key]}</div>
+          </div>
+        ))}
+      </div>
+      <div style={{ fontSize: 13, fontWeight: 600, color: '#374151', marginBottom: 8 }}>
+        {TEAMS.a.label} margin
+      </div>
+      <ResponsiveContainer width="100%" height={240}>
+        <BarChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" />
+          <YAxis tickFormatter={percent} />
+          <Tooltip formatter={(v) => percent(v)} labelFormatter={(l, p) => (p && p[0] ? p[0].payload.from + ' to ' + p[0].payload.to : l)} />
+          <ReferenceLine x={data.reduce((best, d) => (Math.abs(d.mid) < Math.abs(best.mid) ? d : best)).label} stroke="#9ca3af" />
+          <Bar dataKey="share" name="Share of weeks">
+            {data.map((d, i) => <Cell key={i} fill={d.mid >= 0 ? TEAMS.a.main : TEAMS.b.main} />)}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+function Rosters() {
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16 }}>
+      {['team_a', 'team_b'].map((key, i) => {
+        const team = TEAMS[i ? 'b' : 'a'];
+        return (
+          <div key={key} style={{ flex: '1 1 300px', background: '#f9fafb', borderRadius: 12, padding: 24, borderTop: \`4px solid \${team.main}\` }}>
+            <div style={{ fontSize: 18, fontWeight: 700, color: '#111827', marginBottom: 8 }}>{team.label}</div>
+            {summary.rosters[key].map((p, j) => (
+              <div key={j} style={{ display: 'flex', justifyContent: 'space-between', padding: '6px 0', borderBottom: '1px solid #e5e7eb' }}>
+                <div>
+                  <span style={{ fontWeight: 600, color: '#111827' }}>{p.name}</span>
+                  <span style={{ fontSize: 12, color: '#9ca3af', marginLeft: 6 }}>{p.team || ''}</span>
+                </div>
+                <div style={{ fontSize: 13, color: '#374151' }}>
+                  {p.games} game{p.games === 1 ? '' : 's'}
+                  <span style={{ color: '#9ca3af' }}> · {p.spread === 'game_log' ? 'log spread' : p.spread === 'default' ? 'typical spread' : 'mixed spread'}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ── Main component ────────────────────────────────────────────────────────────
+
+export default function App() {
+  return (
+    <div style={{ maxWidth: 960, margin: '0 auto', padding: 24, fontFamily: 'sans-serif' }}>
+      {/* Title */}
+      <div style={{ marginBottom: 32 }}>
+        <h1 style={{ fontSize: 28, fontWeight: 700, color: '#111827', margin: 0 }}>
+          Matchup Simulation
+        </h1>
+        <p style={{ color: '#6b7280', marginTop: 4, marginBottom: 0 }}>
+          {summary.format === 'points' ? 'Points league' : summary.format.replace('cat', '-cat')} ·
+          {' '}{summary.iterations.toLocaleString()} simulated weeks · seed {summary.seed}
+          {summary.window ? ' · ' + summary.window.start + ' to ' + summary.window.end : ''}
+        </p>
+      </div>
+
+      <Verdict />
+      {summary.categories ? (
+        <>
+          <CategoryPanel />
+          <CategoryWinsChart />
+        </>
+      ) : (
+        <PointsPanel />
+      )}
+      <Rosters />
+    </div>
+  );
+}
+`.trim();
+}
@@ -0,0 +1,236 @@
+/**
+ * Head-to-head matchup simulation
+ *
+ * Every simulated week draws each game of each player independently.
+ * Counting stats come from a normal distribution with the player's
+ * per-game mean and spread, floored at 0. The spread comes from the game
+ * log when it has at least MIN_LOG_GAMES games, otherwise from a typical
+ * coefficient of variation for the stat. Shots are drawn as attempts, then
+ * makes spread binomially around the player's percentage, so team FG% and
+ * FT% are total makes over total attempts. A double-double (points leagues)
+ * happens in each game with probability dd ÷ gp.
+ *
+ * Draws come from a seeded generator, so the same seed and inputs always
+ * give the same result.
+ */
+
+import { gameToStatLine } from './gamelog.js';
+
+export const DEFAULT_ITERATIONS = 10000;
+export const MAX_ITERATIONS = 50000;
+export const DEFAULT_SEED = 1;
+// Games each player gets when no schedule window is given
+export const DEFAULT_WEEK_GAMES = 3;
+
+// Game-log games needed before a stat's spread comes from the log
+export const MIN_LOG_GAMES = 5;
+
+// Typical game-to-game standard deviation ÷ mean for rotation players
+const DEFAULT_CV = {
+  ppg: 0.3, rpg: 0.35, apg: 0.4, spg: 0.7, bpg: 0.8, three_pm: 0.6, tov: 0.5, fga: 0.25, fta: 0.5,
+};
+
+const COUNTING_STATS = ['ppg', 'rpg', 'apg', 'spg', 'bpg', 'three_pm', 'tov'];
+// Percentage → [makes, attempts]
+const SHOTS = { fg_pct: ['fgm', 'fga'], ft_pct: ['ftm', 'fta'] };
+const LOWER_IS_BETTER = new Set(['tov']);
+
+// Margin histogram buckets for points leagues
+const MARGIN_BUCKETS = 20;
+
+// ─── Player model ─────────────────────────────────────────────────────────────
+
+/**
+ * Per-game means and standard deviations for one player. `spread` says,
+ * per stat, whether the deviation came from the game log or the default.
+ */
+export function playerModel(player) {
+  const games = (player.game_log ?? []).map(gameToStatLine);
+  const means = {};
+  const sds = {};
+  const spread = {};
+  for (const stat of [...COUNTING_STATS, 'fga', 'fta']) {
+    const mean = player[stat];
+    if (typeof mean !== 'number') continue;
+    means[stat] = mean;
+    const values = games.map((g) => g[stat]).filter((v) => typeof v === 'number');
+    if (values.length >= MIN_LOG_GAMES) {
+      const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
+      sds[stat] = Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+      spread[stat] = 'game_log';
+    } else {
+      sds[stat] = DEFAULT_CV[stat] * mean;
+      spread[stat] = 'default';
+    }
+  }
+  return {
+    means,
+    sds,
+    spread,
+    // Make probability per attempt
+    shooting: Object.fromEntries(Object.keys(SHOTS)
+      .filter((pct) => typeof player[pct] === 'number')
+      .map((pct) => [pct, player[pct] / 100])),
+    ddRate: typeof player.dd === 'number' && player.gp > 0 ? Math.min(1, player.dd / player.gp) : 0,
+  };
+}
+
+// ─── Simulation ───────────────────────────────────────────────────────────────
+
+/**
+ * Simulates `iterations` weeks of team A against team B. Each team is a
+ * list of `{ model, games }`. In category formats pass `categories` (a
+ * 9-cat/8-cat list); in points formats pass scoring `weights`. Returns
+ * per-category win rates (categories) or point totals and a margin
+ * histogram (points), plus the overall `{ a, b, tie }` win probabilities.
+ */
+export function simulateMatchup(teamA, teamB, { categories, weights, iterations, seed }) {
+  const random = mulberry32(seed);
+  const normal = normalSampler(random);
+  const week = (team) => {
+    const totals = { ppg: 0, rpg: 0, apg: 0, spg: 0, bpg: 0, three_pm: 0, tov: 0, fgm: 0, fga: 0, ftm: 0, fta: 0, dd: 0 };
+    for (const { model, games } of team) {
+      for (let g = 0; g < games; g += 1) {
+        for (const stat of COUNTING_STATS) {
+          if (stat in model.means) totals[stat] += Math.max(0, model.means[stat] + model.sds[stat] * normal());
+        }
+        for (const [pct, [made, att]] of Object.entries(SHOTS)) {
+          const p = model.shooting[pct];
+          if (p === undefined || model.means[att] === undefined) continue;
+          const attempts = Math.max(0, model.means[att] + model.sds[att] * normal());
+          const makes = attempts * p + Math.sqrt(attempts * p * (1 - p)) * normal();
+          totals[att] += attempts;
+          totals[made] += Math.min(attempts, Math.max(0, makes));
+        }
+        if (random() < model.ddRate) totals.dd += 1;
+      }
+    }
+    totals.fg_pct = totals.fga > 0 ? (totals.fgm / totals.fga) * 100 : 0;
+    totals.ft_pct = totals.fta > 0 ? (totals.ftm / totals.fta) * 100 : 0;
+    return totals;
+  };
+
+  return categories
+    ? simulateCategories(week, teamA, teamB, categories, iterations)
+    : simulatePoints(week, teamA, teamB, weights, iterations);
+}
+
+function simulateCategories(week, teamA, teamB, categories, iterations) {
+  const rows = categories.map((stat) => ({ stat, a: 0, b: 0, tie: 0, meanA: 0, meanB: 0 }));
+  const overall = { a: 0, b: 0, tie: 0 };
+  // How often team A takes each number of categories, 0 … categories.length
+  const wins = categories.map(() => 0).concat(0);
+  for (let i = 0; i < iterations; i += 1) {
+    const a = week(teamA);
+    const b = week(teamB);
+    let score = 0;
+    let won = 0;
+    for (const row of rows) {
+      row.meanA += a[row.stat];
+      row.meanB += b[row.stat];
+      const diff = LOWER_IS_BETTER.has(row.stat) ? b[row.stat] - a[row.stat] : a[row.stat] - b[row.stat];
+      if (diff > 0) {
+        row.a += 1;
+        score += 1;
+        won += 1;
+      } else if (diff < 0) {
+        row.b += 1;
+        score -= 1;
+      } else {
+        row.tie += 1;
+      }
+    }
+    wins[won] += 1;
+    overall[score > 0 ? 'a' : score < 0 ? 'b' : 'tie'] += 1;
+  }
+  return {
+    categories: rows.map((row) => ({
+      stat: row.stat,
+      a: round(row.a / iterations, 4),
+      b: round(row.b / iterations, 4),
+      tie: round(row.tie / iterations, 4),
+      meanA: round(row.meanA / iterations, 1),
+      meanB: round(row.meanB / iterations, 1),
+    })),
+    categoryWins: wins.map((n) => round(n / iterations, 4)),
+    overall: share(overall, iterations),
+  };
+}
+
+function simulatePoints(week, teamA, teamB, weights, iterations) {
+  const score = (totals) => Object.entries(weights).reduce((sum, [stat, w]) => sum + totals[stat] * w, 0);
+  const margins = new Float64Array(iterations);
+  let sumA = 0;
+  let sumB = 0;
+  const overall = { a: 0, b: 0, tie: 0 };
+  for (let i = 0; i < iterations; i += 1) {
+    const a = score(week(teamA));
+    const b = score(week(teamB));
+    sumA += a;
+    sumB += b;
+    margins[i] = a - b;
+    overall[a > b ? 'a' : a < b ? 'b' : 'tie'] += 1;
+  }
+  return {
+    points: { a: round(sumA / iterations, 1), b: round(sumB / iterations, 1) },
+    margins: histogram(margins),
+    overall: share(overall, iterations),
+  };
+}
+
+// Equal-width buckets of team A's winning margin, as { from, to, share }
+function histogram(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  const width = (max - min) / MARGIN_BUCKETS || 1;
+  const counts = new Array(MARGIN_BUCKETS).fill(0);
+  for (const v of values) counts[Math.min(MARGIN_BUCKETS - 1, Math.floor((v - min) / width))] += 1;
+  return counts.map((n, k) => ({
+    from: round(min + k * width, 1),
+    to: round(min + (k + 1) * width, 1),
+    share: round(n / values.length, 4),
+  }));
+}
+
+function share({ a, b, tie }, iterations) {
+  return { a: round(a / iterations, 4), b: round(b / iterations, 4), tie: round(tie / iterations, 4) };
+}
+
+// ─── Random numbers ───────────────────────────────────────────────────────────
+
+// mulberry32: a small, fast 32-bit generator; uniform on [0, 1)
+function mulberry32(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normals by the Box–Muller transform, two per pair of uniforms
+function normalSampler(random) {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+    const u = 1 - random();
+    const v = random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spare = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  };
+}
+
+function round(n, places) {
+  const scale = 10 ** places;
+  return Math.round(n * scale) / scale;
+}
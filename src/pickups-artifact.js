@@ -0,0 +1,167 @@
+/**
+ * Pickups artifact
+ *
+ * The recommend_pickups artifact: the roster's category needs, the ranked
+ * free agents and a side-by-side of a candidate and the player they replace.
+ */
+
+import { SHARED_ARTIFACT_CODE } from './artifact-shared.js';
+
+/**
+ * Builds the artifact for waiver-wire recommendations (see pickups.js): the
+ * roster's category needs, the ranked free agents, and a side-by-side of
+ * the chosen candidate and the player they would replace, drawn with the
+ * comparison dashboard's radar and stat cards.
+ */
+export function buildPickupsArtifact(result, { season, format, baselineLabel }) {
+  return `
+import { useState } from 'react';
+import {
+  RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar,
+  Legend, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer,
+} from 'recharts';
+
+// ── Embedded recommendations (injected by MCP server) ─────────────────────────
+const result = ${JSON.stringify(result)};
+const season = ${JSON.stringify(season)};
+const format = ${JSON.stringify(format)};
+const baselineLabel = ${JSON.stringify(baselineLabel)};
+
+${SHARED_ARTIFACT_CODE}
+
+// Categories in play for the chosen format (8-cat drops turnovers)
+const ACTIVE_CATEGORIES = format === '8cat'
+  ? CATEGORIES.filter((c) => c.stat !== 'tov')
+  : CATEGORIES;
+const LABELS = Object.fromEntries(CATEGORIES.map((c) => [c.stat, c.label]));
+
+// ── Sub-components ────────────────────────────────────────────────────────────
+
+// Roster total minus target per category; weak categories in red
+function NeedsChart() {
+  const data = result.needs.map((n) => ({ stat: LABELS[n.stat], gap: n.gap, weak: n.weak }));
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 4 }}>
+        Category Needs
+      </h2>
+      <p style={{ fontSize: 13, color: '#6b7280', marginTop: 0, marginBottom: 16 }}>
+        Roster z-score total minus {result.opponent ? 'the opponent\\'s' : 'a league-average roster\\'s'} ·
+        weak: {result.needs.filter((n) => n.weak).map((n) => LABELS[n.stat]).join(', ') || 'none'}
+      </p>
+      <ResponsiveContainer width="100%" height={260}>
+        <BarChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="stat" />
+          <YAxis />
+          <Tooltip formatter={(v) => formatZ(v)} />
+          <ReferenceLine y={0} stroke="#9ca3af" />
+          <Bar dataKey="gap" name="Gap" radius={[4, 4, 0, 0]}>
+            {data.map((d, i) => <Cell key={i} fill={d.weak ? '#ef4444' : '#10b981'} />)}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+function CandidateTable({ selected, onSelect }) {
+  const cell = { padding: '8px 10px', textAlign: 'right', whiteSpace: 'nowrap' };
+  const head = { ...cell, color: '#6b7280', fontWeight: 500 };
+  const weak = new Set(result.needs.filter((n) => n.weak).map((n) => n.stat));
+  return (
+    <div style={{ overflowX: 'auto', border: '1px solid #e5e7eb', borderRadius: 12, marginBottom: 32 }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+        <thead>
+          <tr style={{ borderBottom: '1px solid #e5e7eb', background: '#f9fafb' }}>
+            <th style={head}>#</th>
+            <th style={{ ...head, textAlign: 'left' }}>Free Agent</th>
+            <th style={{ ...head, textAlign: 'left' }}>Team</th>
+            <th style={head}>Gain</th>
+            {ACTIVE_CATEGORIES.map((c) => (
+              <th key={c.stat} style={{ ...head, color: weak.has(c.stat) ? '#dc2626' : head.color }}>{c.label}</th>
+            ))}
+            <th style={{ ...head, textAlign: 'left' }}>Fixes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.candidates.map((c, i) => (
+            <tr key={i} onClick={() => onSelect(i)} style={{
+              borderBottom: '1px solid #f3f4f6', cursor: 'pointer',
+              background: i === selected ? '#eff6ff' : 'transparent',
+            }}>
+              <td style={{ ...cell, color: '#9ca3af', fontWeight: 700 }}>{i + 1}</td>
+              <td style={{ ...cell, textAlign: 'left', fontWeight: 600, color: '#111827' }}>{c.player.name}</td>
+              <td style={{ ...cell, textAlign: 'left' }}>{c.player.team || '—'}</td>
+              <td style={{ ...cell, fontWeight: 700, color: '#111827' }}>{formatZ(c.gain)}</td>
+              {ACTIVE_CATEGORIES.map(({ stat }) => (
+                <td key={stat} style={{ ...cell, color: c.deltas[stat] >= 0 ? '#059669' : '#dc2626' }}>
+                  {formatZ(c.deltas[stat])}
+                </td>
+              ))}
+              <td style={{ ...cell, textAlign: 'left' }}>{c.flips.map((s) => LABELS[s]).join(', ') || '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ── Main component ────────────────────────────────────────────────────────────
+
+export default function App() {
+  const [selected, setSelected] = useState(0);
+  const candidate = result.candidates[selected];
+  const players = [candidate.player, result.drop.player];
+  const zscores = [candidate.zscores, result.drop.zscores];
+
+  return (
+    <div style={{ maxWidth: 960, margin: '0 auto', padding: 24, fontFamily: 'sans-serif' }}>
+      {/* Title */}
+      <div style={{ marginBottom: 32 }}>
+        <h1 style={{ fontSize: 28, fontWeight: 700, color: '#111827', margin: 0 }}>
+          Waiver Wire Recommendations
+        </h1>
+        <p style={{ color: '#6b7280', marginTop: 4, marginBottom: 0 }}>
+          {season} · {format.replace('cat', '-cat')} · z-scores vs {baselineLabel} ·
+          {' '}{result.freeAgents} free agents
+        </p>
+      </div>
+
+      {/* Recommendation */}
+      <div style={{
+        background: \`linear-gradient(90deg, \${PALETTE[0].main}, \${PALETTE[0].dark})\`,
+        borderRadius: 12, padding: 24, color: '#fff', textAlign: 'center', marginBottom: 32,
+      }}>
+        <div style={{ fontSize: 22, fontWeight: 700, marginBottom: 4 }}>
+          Add {candidate.player.name}, drop {result.drop.player.name}
+        </div>
+        <div style={{ fontSize: 13, opacity: 0.9 }}>
+          {formatZ(candidate.gain)} need-weighted z-score
+          {candidate.flips.length > 0 && ' · fixes ' + candidate.flips.map((s) => LABELS[s]).join(', ')}
+          {result.drop.chosen ? '' : ' · ' + result.drop.player.name + ' is worth least to this roster'}
+        </div>
+      </div>
+
+      {/* Category needs */}
+      <NeedsChart />
+
+      {/* Candidates */}
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginBottom: 16 }}>
+        Best Pickups
+      </h2>
+      <CandidateTable selected={selected} onSelect={setSelected} />
+
+      {/* Candidate vs drop */}
+      <CategoryRadar players={players} title={players[0].name + ' vs ' + players[1].name} />
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 12 }}>
+        {ACTIVE_CATEGORIES.map((c) => (
+          <StatCard key={c.stat} players={players} zscores={zscores} label={c.label} stat={c.stat} suffix={c.suffix} />
+        ))}
+      </div>
+    </div>
+  );
+}
+`.trim();
+}
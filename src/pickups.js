@@ -0,0 +1,71 @@
+/**
+ * Waiver-wire recommendations
+ *
+ * A roster's strength in a category is the sum of its players' z-scores.
+ * The target is an opponent roster's sum, or 0 without one: a roster of
+ * average players from the baseline pool. Categories where the roster
+ * trails are its needs. Each category weighs 1 plus the deficit per roster
+ * player, so a category trailing by a full z-score per player counts double.
+ *
+ * A pickup is scored by the weighted z-score change of adding the free
+ * agent and dropping one roster player: by default the one worth least to
+ * this roster under the same weights.
+ */
+
+// Free agents listed by default
+export const DEFAULT_PICKUPS = 10;
+
+/**
+ * Per-category needs of `roster` against `opponent` (null: league average).
+ * `zscores(player)` gives a player's per-category z-scores. Returns one
+ * `{ stat, team, target, gap, weight, weak }` per category.
+ */
+export function categoryNeeds(roster, opponent, { zscores, categories }) {
+  const sum = (players, stat) => players.reduce((acc, p) => acc + zscores(p)[stat], 0);
+  return categories.map((stat) => {
+    const team = sum(roster, stat);
+    const target = opponent ? sum(opponent, stat) : 0;
+    const gap = team - target;
+    return {
+      stat,
+      team,
+      target,
+      gap,
+      weight: 1 + Math.max(0, -gap) / roster.length,
+      weak: gap < 0,
+    };
+  });
+}
+
+/** A player's value to this roster: z-scores weighted by its needs. */
+export function weightedValue(zs, needs) {
+  return needs.reduce((acc, { stat, weight }) => acc + weight * zs[stat], 0);
+}
+
+/** Index of the roster player worth least under the roster's needs. */
+export function leastValuable(roster, needs, zscores) {
+  const values = roster.map((p) => weightedValue(zscores(p), needs));
+  return values.indexOf(Math.min(...values));
+}
+
+/**
+ * Scores each candidate as a swap for `dropped`, best first. Each result is
+ * `{ player, gain, deltas, flips }`: the weighted z-score gain, the z-score
+ * change per category, and the weak categories the swap would bring level
+ * with the target or ahead of it.
+ */
+export function rankPickups(candidates, dropped, needs, zscores) {
+  const out = zscores(dropped);
+  return candidates
+    .map((player) => {
+      const zs = zscores(player);
+      const deltas = Object.fromEntries(needs.map(({ stat }) => [stat, zs[stat] - out[stat]]));
+      return {
+        player,
+        gain: needs.reduce((acc, { stat, weight }) => acc + weight * deltas[stat], 0),
+        deltas,
+        flips: needs.filter(({ stat, weak, gap }) => weak && gap + deltas[stat] >= 0).map(({ stat }) => stat),
+      };
+    })
+    .sort((a, b) => b.gain - a.gain);
+}
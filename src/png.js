@@ -0,0 +1,278 @@
+/**
+ * PNG rendering for chart scenes
+ *
+ * A small rasterizer for the shapes charts.js lays out. Everything is drawn
+ * at SUPERSAMPLE× resolution and averaged down, which smooths edges:
+ * polygons and rects are filled by scanline, lines are drawn as thin quads
+ * and text uses a built-in 5×7 bitmap font (capitals, digits and common
+ * punctuation; lower case is drawn in capitals and accents are dropped).
+ * The image is compressed with node:zlib, so no native or browser
+ * dependencies are needed.
+ */
+
+import { deflateSync } from 'node:zlib';
+
+const SUPERSAMPLE = 3;
+
+// Glyph rows, top to bottom; '#' is ink
+const FONT = {
+  'A': '.###. #...# #...# ##### #...# #...# #...#',
+  'B': '####. #...# #...# ####. #...# #...# ####.',
+  'C': '.###. #...# #.... #.... #.... #...# .###.',
+  'D': '####. #...# #...# #...# #...# #...# ####.',
+  'E': '##### #.... #.... ####. #.... #.... #####',
+  'F': '##### #.... #.... ####. #.... #.... #....',
+  'G': '.###. #...# #.... #.### #...# #...# .####',
+  'H': '#...# #...# #...# ##### #...# #...# #...#',
+  'I': '.###. ..#.. ..#.. ..#.. ..#.. ..#.. .###.',
+  'J': '..### ...#. ...#. ...#. ...#. #..#. .##..',
+  'K': '#...# #..#. #.#.. ##... #.#.. #..#. #...#',
+  'L': '#.... #.... #.... #.... #.... #.... #####',
+  'M': '#...# ##.## #.#.# #.#.# #...# #...# #...#',
+  'N': '#...# #...# ##..# #.#.# #..## #...# #...#',
+  'O': '.###. #...# #...# #...# #...# #...# .###.',
+  'P': '####. #...# #...# ####. #.... #.... #....',
+  'Q': '.###. #...# #...# #...# #.#.# #..#. .##.#',
+  'R': '####. #...# #...# ####. #.#.. #..#. #...#',
+  'S': '.#### #.... #.... .###. ....# ....# ####.',
+  'T': '##### ..#.. ..#.. ..#.. ..#.. ..#.. ..#..',
+  'U': '#...# #...# #...# #...# #...# #...# .###.',
+  'V': '#...# #...# #...# #...# #...# .#.#. ..#..',
+  'W': '#...# #...# #...# #.#.# #.#.# #.#.# .#.#.',
+  'X': '#...# #...# .#.#. ..#.. .#.#. #...# #...#',
+  'Y': '#...# #...# .#.#. ..#.. ..#.. ..#.. ..#..',
+  'Z': '##### ....# ...#. ..#.. .#... #.... #####',
+  '0': '.###. #...# #..## #.#.# ##..# #...# .###.',
+  '1': '..#.. .##.. ..#.. ..#.. ..#.. ..#.. .###.',
+  '2': '.###. #...# ....# ...#. ..#.. .#... #####',
+  '3': '##### ...#. ..#.. ...#. ....# #...# .###.',
+  '4': '...#. ..##. .#.#. #..#. ##### ...#. ...#.',
+  '5': '##### #.... ####. ....# ....# #...# .###.',
+  '6': '..##. .#... #.... ####. #...# #...# .###.',
+  '7': '##### ....# ...#. ..#.. .#... .#... .#...',
+  '8': '.###. #...# #...# .###. #...# #...# .###.',
+  '9': '.###. #...# #...# .#### ....# ...#. .##..',
+  ' ': '..... ..... ..... ..... ..... ..... .....',
+  '.': '..... ..... ..... ..... ..... .##.. .##..',
+  ',': '..... ..... ..... ..... .##.. ..#.. .#...',
+  ':': '..... .##.. .##.. ..... .##.. .##.. .....',
+  ';': '..... .##.. .##.. ..... .##.. ..#.. .#...',
+  '-': '..... ..... ..... ##### ..... ..... .....',
+  '+': '..... ..#.. ..#.. ##### ..#.. ..#.. .....',
+  '%': '##... ##..# ...#. ..#.. .#... #..## ...##',
+  '/': '..... ....# ...#. ..#.. .#... #.... .....',
+  '(': '...#. ..#.. .#... .#... .#... ..#.. ...#.',
+  ')': '.#... ..#.. ...#. ...#. ...#. ..#.. .#...',
+  '\'': '..#.. ..#.. .#... ..... ..... ..... .....',
+  '!': '..#.. ..#.. ..#.. ..#.. ..#.. ..... ..#..',
+  '?': '.###. #...# ....# ...#. ..#.. ..... ..#..',
+  '&': '.##.. #..#. #.#.. .#... #.#.# #..#. .##.#',
+  '#': '.#.#. .#.#. ##### .#.#. ##### .#.#. .#.#.',
+  '*': '..... ..#.. #.#.# .###. #.#.# ..#.. .....',
+  '=': '..... ..... ##### ..... ##### ..... .....',
+  '|': '..#.. ..#.. ..#.. ..#.. ..#.. ..#.. ..#..',
+  '_': '..... ..... ..... ..... ..... ..... #####',
+  '·': '..... ..... ..... ..#.. ..... ..... .....',
+  '×': '..... #...# .#.#. ..#.. .#.#. #...# .....',
+};
+// Typographic dashes and minus draw as a hyphen
+for (const dash of ['–', '—', '−']) FONT[dash] = FONT['-'];
+
+// Glyph cell: 5 units of ink plus 1 of spacing; caps are 7 units tall
+const GLYPH_ADVANCE = 6;
+const GLYPH_HEIGHT = 7;
+// Font unit per point of text size, so caps come out about 0.7 × size
+const UNIT_PER_SIZE = 0.1;
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+
+/** Renders a chart scene (see charts.js) to PNG file bytes. */
+export function renderPng({ width, height, background, shapes }) {
+  const canvas = createCanvas(width * SUPERSAMPLE, height * SUPERSAMPLE, parseColor(background));
+  for (const shape of shapes) drawShape(canvas, shape);
+  return encodePng(width, height, downsample(canvas, width, height));
+}
+
+function createCanvas(width, height, [r, g, b]) {
+  const data = new Uint8ClampedArray(width * height * 3);
+  for (let i = 0; i < data.length; i += 3) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+  }
+  return { width, height, data };
+}
+
+function drawShape(canvas, shape) {
+  const s = SUPERSAMPLE;
+  switch (shape.type) {
+    case 'rect': {
+      const { x, y, width, height } = shape;
+      fillPolygon(canvas, scale([[x, y], [x + width, y], [x + width, y + height], [x, y + height]]), parseColor(shape.fill), 1);
+      break;
+    }
+    case 'line':
+      strokeSegment(canvas, [shape.x1 * s, shape.y1 * s], [shape.x2 * s, shape.y2 * s], shape.strokeWidth * s, parseColor(shape.stroke));
+      break;
+    case 'polygon': {
+      const points = scale(shape.points);
+      if (shape.fill) fillPolygon(canvas, points, parseColor(shape.fill), shape.fillOpacity ?? 1);
+      if (shape.stroke) {
+        const color = parseColor(shape.stroke);
+        points.forEach((p, i) => strokeSegment(canvas, p, points[(i + 1) % points.length], shape.strokeWidth * s, color));
+      }
+      break;
+    }
+    case 'text':
+      drawText(canvas, shape);
+      break;
+    default:
+      throw new Error(`Unknown shape type: ${shape.type}`);
+  }
+}
+
+function scale(points) {
+  return points.map(([x, y]) => [x * SUPERSAMPLE, y * SUPERSAMPLE]);
+}
+
+// Even-odd scanline fill, sampling at pixel centers
+function fillPolygon(canvas, points, color, alpha) {
+  const ys = points.map(([, y]) => y);
+  const top = Math.max(0, Math.floor(Math.min(...ys)));
+  const bottom = Math.min(canvas.height - 1, Math.ceil(Math.max(...ys)));
+  for (let row = top; row <= bottom; row += 1) {
+    const cy = row + 0.5;
+    const crossings = [];
+    points.forEach(([x1, y1], i) => {
+      const [x2, y2] = points[(i + 1) % points.length];
+      if ((y1 <= cy && y2 > cy) || (y2 <= cy && y1 > cy)) {
+        crossings.push(x1 + ((cy - y1) / (y2 - y1)) * (x2 - x1));
+      }
+    });
+    crossings.sort((a, b) => a - b);
+    for (let k = 0; k + 1 < crossings.length; k += 2) {
+      const from = Math.max(0, Math.ceil(crossings[k] - 0.5));
+      const to = Math.min(canvas.width - 1, Math.floor(crossings[k + 1] - 0.5));
+      for (let col = from; col <= to; col += 1) blend(canvas, col, row, color, alpha);
+    }
+  }
+}
+
+// A line segment as a filled quad `width` wide (at least one output pixel)
+function strokeSegment(canvas, [x1, y1], [x2, y2], width, color) {
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  if (!length) return;
+  const half = Math.max(width, SUPERSAMPLE) / 2;
+  const nx = (-(y2 - y1) / length) * half;
+  const ny = ((x2 - x1) / length) * half;
+  fillPolygon(canvas, [[x1 + nx, y1 + ny], [x2 + nx, y2 + ny], [x2 - nx, y2 - ny], [x1 - nx, y1 - ny]], color, 1);
+}
+
+function drawText(canvas, { x, y, text, size, fill, anchor = 'start', weight }) {
+  const glyphs = [...text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase()]
+    .map((ch) => FONT[ch] ?? FONT['?']);
+  const unit = size * UNIT_PER_SIZE * SUPERSAMPLE;
+  const width = (glyphs.length * GLYPH_ADVANCE - 1) * unit;
+  let left = x * SUPERSAMPLE - (anchor === 'middle' ? width / 2 : anchor === 'end' ? width : 0);
+  const top = y * SUPERSAMPLE - GLYPH_HEIGHT * unit;
+  const color = parseColor(fill);
+  // Bold text is struck twice, a fraction of a unit apart
+  const strikes = weight === 'bold' ? [0, unit * 0.5] : [0];
+  for (const glyph of glyphs) {
+    glyph.split(' ').forEach((bits, row) => {
+      [...bits].forEach((bit, col) => {
+        if (bit !== '#') return;
+        for (const dx of strikes) {
+          const gx = left + col * unit + dx;
+          const gy = top + row * unit;
+          fillPolygon(canvas, [[gx, gy], [gx + unit, gy], [gx + unit, gy + unit], [gx, gy + unit]], color, 1);
+        }
+      });
+    });
+    left += GLYPH_ADVANCE * unit;
+  }
+}
+
+function blend(canvas, col, row, [r, g, b], alpha) {
+  const i = (row * canvas.width + col) * 3;
+  const { data } = canvas;
+  data[i] += (r - data[i]) * alpha;
+  data[i + 1] += (g - data[i + 1]) * alpha;
+  data[i + 2] += (b - data[i + 2]) * alpha;
+}
+
+function parseColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Averages each SUPERSAMPLE × SUPERSAMPLE block into one RGB pixel
+function downsample(canvas, width, height) {
+  const out = new Uint8Array(width * height * 3);
+  const samples = SUPERSAMPLE * SUPERSAMPLE;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const sum = [0, 0, 0];
+      for (let dy = 0; dy < SUPERSAMPLE; dy += 1) {
+        for (let dx = 0; dx < SUPERSAMPLE; dx += 1) {
+          const i = ((y * SUPERSAMPLE + dy) * canvas.width + x * SUPERSAMPLE + dx) * 3;
+          sum[0] += canvas.data[i];
+          sum[1] += canvas.data[i + 1];
+          sum[2] += canvas.data[i + 2];
+        }
+      }
+      const o = (y * width + x) * 3;
+      out[o] = Math.round(sum[0] / samples);
+      out[o + 1] = Math.round(sum[1] / samples);
+      out[o + 2] = Math.round(sum[2] / samples);
+    }
+  }
+  return out;
+}
+
+// ─── PNG encoding ─────────────────────────────────────────────────────────────
+
+// 8-bit RGB, no filtering, one zlib stream
+function encodePng(width, height, rgb) {
+  const raw = Buffer.alloc(height * (width * 3 + 1));
+  for (let y = 0; y < height; y += 1) {
+    raw[y * (width * 3 + 1)] = 0;
+    Buffer.from(rgb.buffer, y * width * 3, width * 3).copy(raw, y * (width * 3 + 1) + 1);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,135 @@
+/**
+ * Rest-of-season projections
+ *
+ * A projection blends up to three stat lines:
+ *   current – the season-to-date line
+ *   prior   – last season's line (`prior_season`)
+ *   recent  – the last-30-day game-log split
+ * Each line is first regressed toward the mean for the player's position,
+ * in proportion to how few games it covers: with k = regression games, a
+ * line over n games keeps n ÷ (n + k) of itself. The regressed lines are
+ * then mixed by the configured weights, re-normalized over the lines the
+ * player actually has.
+ */
+
+export const PROJECTION_SOURCES = ['current', 'prior', 'recent'];
+
+export const DEFAULT_PROJECTION_WEIGHTS = { current: 0.6, prior: 0.25, recent: 0.15 };
+
+// Games of positional-average play added to every line before blending
+export const DEFAULT_REGRESSION_GAMES = 5;
+
+// Stats a projection covers
+export const PROJECTED_STATS = [
+  'ppg', 'rpg', 'apg', 'spg', 'bpg', 'three_pm', 'tov', 'fg_pct', 'ft_pct',
+  'fga', 'fta', 'three_pa', 'mpg',
+];
+
+// Per-game averages for rotation players at each position; ALL covers a
+// missing or unrecognized position
+export const POSITIONAL_MEANS = {
+  PG:  { ppg: 14.5, rpg: 3.8, apg: 5.6, spg: 1.0, bpg: 0.3, three_pm: 1.9, tov: 2.2, fg_pct: 45.0, ft_pct: 82.0, fga: 12.0, fta: 3.2, three_pa: 5.2, mpg: 28 },
+  SG:  { ppg: 14.0, rpg: 3.9, apg: 3.0, spg: 0.9, bpg: 0.3, three_pm: 2.0, tov: 1.6, fg_pct: 44.5, ft_pct: 81.0, fga: 11.5, fta: 2.9, three_pa: 5.4, mpg: 27 },
+  SF:  { ppg: 12.5, rpg: 4.8, apg: 2.4, spg: 0.9, bpg: 0.5, three_pm: 1.6, tov: 1.4, fg_pct: 46.0, ft_pct: 78.0, fga: 9.8,  fta: 2.6, three_pa: 4.4, mpg: 26 },
+  PF:  { ppg: 12.0, rpg: 6.3, apg: 2.2, spg: 0.8, bpg: 0.7, three_pm: 1.1, tov: 1.4, fg_pct: 48.5, ft_pct: 75.0, fga: 9.2,  fta: 2.9, three_pa: 3.0, mpg: 25 },
+  C:   { ppg: 11.5, rpg: 8.3, apg: 2.0, spg: 0.7, bpg: 1.2, three_pm: 0.5, tov: 1.5, fg_pct: 55.0, ft_pct: 70.0, fga: 8.2,  fta: 3.1, three_pa: 1.4, mpg: 24 },
+  ALL: { ppg: 13.0, rpg: 5.3, apg: 3.0, spg: 0.9, bpg: 0.6, three_pm: 1.4, tov: 1.6, fg_pct: 47.5, ft_pct: 78.0, fga: 10.3, fta: 2.9, three_pa: 3.9, mpg: 26 },
+};
+
+// Single-letter and spelled-out positions
+const POSITION_ALIASES = {
+  G: 'SG', F: 'SF', GUARD: 'SG', FORWARD: 'SF', CENTER: 'C',
+  'POINT GUARD': 'PG', 'SHOOTING GUARD': 'SG', 'SMALL FORWARD': 'SF', 'POWER FORWARD': 'PF',
+};
+
+/**
+ * The POSITIONAL_MEANS key for a position string. Dual positions ("PF-C",
+ * "G/F") use the first one listed.
+ */
+export function positionKey(position) {
+  if (typeof position !== 'string') return 'ALL';
+  const first = position.toUpperCase().split(/[-/,]/)[0].trim();
+  const key = POSITION_ALIASES[first] ?? first;
+  return key in POSITIONAL_MEANS ? key : 'ALL';
+}
+
+/**
+ * Checks projection settings and fills in the defaults. Weights may name
+ * any subset of the sources; a missing source weighs 0 unless no weights
+ * are given at all.
+ */
+export function resolveProjectionSettings({ weights, regression_games: regressionGames } = {}) {
+  const resolved = weights === undefined ? { ...DEFAULT_PROJECTION_WEIGHTS } : {};
+  if (weights !== undefined) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      throw new Error('Projection weights must be a map of source → weight');
+    }
+    for (const [source, weight] of Object.entries(weights)) {
+      if (!PROJECTION_SOURCES.includes(source)) {
+        throw new Error(`Unknown projection source: ${source} (expected one of ${PROJECTION_SOURCES.join(', ')})`);
+      }
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        throw new Error(`Projection weight for ${source} must be a non-negative number`);
+      }
+      resolved[source] = weight;
+    }
+    if (!Object.values(resolved).some((w) => w > 0)) {
+      throw new Error('Projection weights need at least one positive weight');
+    }
+  }
+
+  const k = regressionGames ?? DEFAULT_REGRESSION_GAMES;
+  if (typeof k !== 'number' || !Number.isFinite(k) || k < 0) {
+    throw new Error(`regression_games must be a non-negative number, got ${JSON.stringify(regressionGames)}`);
+  }
+  return { weights: resolved, regressionGames: k };
+}
+
+/**
+ * Projects one player from `{ current, prior, recent }` lines (any may be
+ * missing; each needs `gp`). Returns `{ position, line, sources }` where
+ * `line` holds the projected PROJECTED_STATS and `sources` lists, per line
+ * used, its games, blend weight and how much of it was kept after
+ * regression.
+ */
+export function projectPlayer(lines, position, { weights, regressionGames }) {
+  const key = positionKey(position);
+  const means = POSITIONAL_MEANS[key];
+  const used = PROJECTION_SOURCES.filter((s) => lines[s] && weights[s] > 0);
+  if (!used.length) {
+    throw new Error('No stat lines to project from (the weighted sources are all missing)');
+  }
+  const totalWeight = used.reduce((sum, s) => sum + weights[s], 0);
+
+  const sources = used.map((source) => {
+    const gp = lines[source].gp;
+    return {
+      source,
+      gp,
+      weight: round(weights[source] / totalWeight, 3),
+      kept: round(gp + regressionGames > 0 ? gp / (gp + regressionGames) : 1, 3),
+    };
+  });
+
+  const line = {};
+  for (const stat of PROJECTED_STATS) {
+    // A stat only some lines carry is projected from those lines
+    const having = sources.filter(({ source }) => typeof lines[source][stat] === 'number');
+    if (!having.length) continue;
+    const weight = having.reduce((sum, s) => sum + s.weight, 0);
+    const value = having.reduce((sum, { source, weight: w, kept }) => (
+      sum + w * (kept * lines[source][stat] + (1 - kept) * means[stat])
+    ), 0) / weight;
+    line[stat] = round(value, 1);
+  }
+  // Makes follow the projected percentage and attempts
+  if (typeof line.fga === 'number') line.fgm = round((line.fg_pct / 100) * line.fga, 1);
+  if (typeof line.fta === 'number') line.ftm = round((line.ft_pct / 100) * line.fta, 1);
+
+  return { position: key, line, sources };
+}
+
+function round(n, places) {
+  const scale = 10 ** places;
+  return Math.round(n * scale) / scale;
+}
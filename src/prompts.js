@@ -0,0 +1,197 @@
+/**
+ * MCP prompts
+ *
+ * Ready-made requests that clients can offer as slash-commands, in place of
+ * pasting EXAMPLE_PROMPT.txt by hand. Prompt arguments arrive as strings:
+ * players are a list of names ("Jokic, Embiid" or "Jokic vs Embiid"), and
+ * season and format are optional. Each prompt expands into one user message
+ * naming the tool to call, its arguments, what to do when a player is not
+ * in the local stats database and what to say about the result.
+ */
+
+import { CATEGORY_FORMATS, FORMATS } from './categories.js';
+import { SCORING_PRESETS } from './scoring.js';
+import { MAX_PLAYERS, MIN_PLAYERS } from './schema.js';
+
+const SEASON_ARGUMENT = {
+  name: 'season',
+  description: 'Season to compare, e.g. "2023-24" (default: the latest season available)',
+};
+
+const SCORING_ARGUMENT = {
+  name: 'scoring',
+  description: `Points scoring preset: ${Object.keys(SCORING_PRESETS).join(', ')} (default: default)`,
+};
+
+// The stats to look up for a player the local database does not have
+const REQUIRED_LINE = 'name, team, position, gp, ppg, rpg, apg, spg, bpg, fg_pct, ft_pct, three_pm and tov';
+
+export const PROMPTS = {
+  'compare-for-fantasy': {
+    description: 'Compare 2–6 players for fantasy basketball with the interactive comparison dashboard.',
+    arguments: [
+      { name: 'players', description: 'Players to compare, e.g. "Nikola Jokic, Joel Embiid"', required: true },
+      SEASON_ARGUMENT,
+      { name: 'format', description: `League format: ${FORMATS.join(', ')} (default: points)` },
+      SCORING_ARGUMENT,
+    ],
+    build(args) {
+      const names = playerList(args.players, 'players', MIN_PLAYERS, MAX_PLAYERS);
+      const format = choice(args.format, 'format', FORMATS, 'points');
+      const scoring = format === 'points' ? choice(args.scoring, 'scoring', Object.keys(SCORING_PRESETS)) : undefined;
+      return [
+        `Compare ${joinNames(names)} for fantasy basketball (${describe(args.season, format, scoring)}).`,
+        toolCall('compare_nba_players', {
+          players: playerInputs(names, args.season),
+          season: args.season,
+          format,
+          scoring,
+        }),
+        lookupAdvice(args.season, format),
+        'Then tell me in a few sentences who comes out ahead and why: the categories that decide it, ' +
+          'how close the scores are, and anything that changes the picture, such as games played.',
+      ];
+    },
+  },
+
+  'evaluate-trade': {
+    description: 'Evaluate a fantasy basketball trade offer, side by side and category by category.',
+    arguments: [
+      { name: 'give', description: 'Players you would give up, e.g. "Anthony Davis"', required: true },
+      { name: 'get', description: 'Players you would get back, e.g. "Anthony Edwards, Stephen Curry"', required: true },
+      SEASON_ARGUMENT,
+      { name: 'format', description: `League format: ${FORMATS.join(', ')} (default: points)` },
+      SCORING_ARGUMENT,
+    ],
+    build(args) {
+      const give = playerList(args.give, 'give', 1, MAX_PLAYERS);
+      const get = playerList(args.get, 'get', 1, MAX_PLAYERS);
+      const format = choice(args.format, 'format', FORMATS, 'points');
+      const scoring = format === 'points' ? choice(args.scoring, 'scoring', Object.keys(SCORING_PRESETS)) : undefined;
+      return [
+        `I've been offered a fantasy basketball trade: I give ${joinNames(give)} and get ${joinNames(get)} ` +
+          `(${describe(args.season, format, scoring)}). Should I accept?`,
+        toolCall('analyze_trade', {
+          side_a: playerInputs(give, args.season),
+          side_b: playerInputs(get, args.season),
+          season: args.season,
+          format,
+          scoring,
+        }),
+        'Side A is my side: the players I give up.',
+        lookupAdvice(args.season, format),
+        'Then give me a verdict: accept, decline or counter. Say which side wins on per-game and on ' +
+          'games-weighted value, which categories I gain and lose, and how the roster spots change.',
+      ];
+    },
+  },
+
+  '9cat-breakdown': {
+    description: 'Break down a category-league comparison category by category, with punt ideas.',
+    arguments: [
+      { name: 'players', description: 'Players to compare, e.g. "Luka Doncic vs Shai Gilgeous-Alexander"', required: true },
+      SEASON_ARGUMENT,
+      { name: 'format', description: `Category format: ${Object.keys(CATEGORY_FORMATS).join(', ')} (default: 9cat)` },
+    ],
+    build(args) {
+      const names = playerList(args.players, 'players', MIN_PLAYERS, MAX_PLAYERS);
+      const format = choice(args.format, 'format', Object.keys(CATEGORY_FORMATS), '9cat');
+      return [
+        `Break down ${joinNames(names)} for ${format.replace('cat', '-cat')} leagues ` +
+          `(${args.season ?? 'latest season'}).`,
+        toolCall('compare_nba_players', {
+          players: playerInputs(names, args.season),
+          season: args.season,
+          format,
+          output: 'markdown',
+        }),
+        lookupAdvice(args.season, format),
+        'Then go through the categories one at a time: who wins each and by how much, which are close ' +
+          'enough to swing week to week, and which categories each player would suit punting. Finish ' +
+          'with the overall head-to-head record and who I should prefer.',
+      ];
+    },
+  },
+};
+
+/** The prompts/list entries. */
+export function listPrompts() {
+  return Object.entries(PROMPTS).map(([name, { description, arguments: args }]) => ({
+    name,
+    description,
+    arguments: args,
+  }));
+}
+
+/**
+ * The prompts/get result for prompt `name` with string `args`. Throws on an
+ * unknown prompt, a missing required argument or a value out of range.
+ */
+export function getPrompt(name, args = {}) {
+  const prompt = PROMPTS[name];
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name} (expected one of ${Object.keys(PROMPTS).join(', ')})`);
+  }
+  // Blank arguments count as not given
+  const values = Object.fromEntries(
+    Object.entries(args).map(([key, value]) => [key, String(value).trim()]).filter(([, value]) => value),
+  );
+  for (const arg of prompt.arguments) {
+    if (arg.required && !values[arg.name]) {
+      throw new Error(`Missing required argument: ${arg.name}`);
+    }
+  }
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text: prompt.build(values).join('\n\n') } }],
+  };
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+// Names separated by commas, semicolons, "&", "and" or "vs"
+function playerList(text, field, min, max) {
+  const names = text.split(/\s*(?:[,;&]|\band\b|\bvs\.?(?=\s|$))\s*/i).map((n) => n.trim()).filter(Boolean);
+  if (names.length < min || names.length > max) {
+    throw new Error(`Expected ${min}–${max} players in ${field}, got ${names.length}`);
+  }
+  return names;
+}
+
+function choice(value, field, allowed, fallback) {
+  const chosen = value ?? fallback;
+  if (chosen !== undefined && !allowed.includes(chosen)) {
+    throw new Error(`Unknown ${field}: ${chosen} (expected one of ${allowed.join(', ')})`);
+  }
+  return chosen;
+}
+
+function playerInputs(names, season) {
+  return names.map((name) => (season ? { name, season } : { name }));
+}
+
+function joinNames(names) {
+  return names.length < 3 ? names.join(' and ') : `${names.slice(0, -1).join(', ')} and ${names.at(-1)}`;
+}
+
+// "2023-24, 9-cat" or "latest season, ESPN Points scoring"
+function describe(season, format, scoring) {
+  const league = format === 'points'
+    ? `${SCORING_PRESETS[scoring ?? 'default'].label} scoring`
+    : format.replace('cat', '-cat');
+  return `${season ?? 'latest season'}, ${league}`;
+}
+
+function toolCall(tool, args) {
+  // Leave out unset options so the tool's own defaults apply
+  const given = Object.fromEntries(Object.entries(args).filter(([, v]) => v !== undefined));
+  return `Call the ${tool} tool with:\n\n${JSON.stringify(given, null, 2)}`;
+}
+
+function lookupAdvice(season, format) {
+  const attempts = format in CATEGORY_FORMATS ? ', plus fga and fta' : '';
+  return 'Players given by name are filled in from the local stats database. If the tool says a ' +
+    `player is not there, look up their ${season ?? 'latest'} per-game stats on Basketball Reference ` +
+    `and pass the full line instead: ${REQUIRED_LINE}${attempts}. If a name matches more than one ` +
+    'player, ask me which one I mean.';
+}
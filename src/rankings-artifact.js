@@ -0,0 +1,192 @@
+/**
+ * Rankings artifact
+ *
+ * The rank_players draft board: a sortable, filterable table with positional
+ * ranks and tiers.
+ */
+
+import { TOGGLE_CODE, valueUnit } from './artifact-shared.js';
+import { CATEGORY_FORMATS } from './categories.js';
+import { BASE_POSITIONS } from './scarcity.js';
+
+/**
+ * Builds the artifact for a ranked player pool (see rankings.js). Each row
+ * carries its value, value over positional replacement, positional ranks,
+ * tier, per-category z-scores (category formats) and category stats; the
+ * table sorts by any column and filters by position and team.
+ */
+export function buildRankingsArtifact(rankings, { season, scoring, format, baselineLabel, league }) {
+  const isCategoryFormat = format in CATEGORY_FORMATS;
+  const unit = valueUnit(format, scoring, baselineLabel);
+  return `
+import { Fragment, useState } from 'react';
+
+// ── Embedded rankings (injected by MCP server) ────────────────────────────────
+const rankings = ${JSON.stringify(rankings)};
+const season = ${JSON.stringify(season)};
+const unit = ${JSON.stringify(unit)};
+const league = ${JSON.stringify(league)};
+const categoryFormat = ${JSON.stringify(isCategoryFormat)};
+const POSITIONS = ${JSON.stringify(BASE_POSITIONS)};
+
+// Points leagues show the 9-cat stats
+const CATEGORIES = ${JSON.stringify(CATEGORY_FORMATS[format] ?? CATEGORY_FORMATS['9cat'])};
+const CATEGORY_LABELS = {
+  ppg: 'PTS', rpg: 'REB', apg: 'AST', spg: 'STL', bpg: 'BLK',
+  three_pm: '3PM', fg_pct: 'FG%', ft_pct: 'FT%', tov: 'TOV',
+};
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function formatValue(v) {
+  if (v === null || v === undefined) return '—';
+  return categoryFormat ? (v >= 0 ? '+' : '') + v.toFixed(2) : v.toFixed(1);
+}
+
+// Green for good z-scores, red for bad, stronger further from zero
+function zColor(z) {
+  const alpha = Math.min(Math.abs(z) / 3, 1) * 0.35;
+  return z >= 0 ? \`rgba(16,185,129,\${alpha})\` : \`rgba(239,68,68,\${alpha})\`;
+}
+
+// Sort keys for each column; text columns sort A→Z first, numbers high→low
+const COLUMNS = [
+  { key: 'rank',     label: 'Rank',     get: (r) => -r.rank },
+  { key: 'name',     label: 'Player',   get: (r) => r.name, text: true },
+  { key: 'team',     label: 'Team',     get: (r) => r.team || '', text: true },
+  { key: 'position', label: 'Pos',      get: (r) => r.position || '', text: true },
+  { key: 'pos_rank', label: 'Pos Rank', get: (r) => -Math.min(...Object.values(r.position_ranks), Number.MAX_SAFE_INTEGER) },
+  { key: 'value',    label: categoryFormat ? 'Z Total' : 'Fantasy', get: (r) => r.value },
+  { key: 'vorp',     label: 'Over Repl.', get: (r) => r.over_replacement ?? -Number.MAX_VALUE },
+  ...CATEGORIES.map((stat) => ({
+    key: stat,
+    label: CATEGORY_LABELS[stat],
+    get: (r) => (categoryFormat ? r.zscores[stat] : stat === 'tov' ? -r.stats[stat] : r.stats[stat]),
+  })),
+];
+
+// ── Sub-components ────────────────────────────────────────────────────────────
+
+${TOGGLE_CODE}
+
+// ── Main component ────────────────────────────────────────────────────────────
+
+export default function App() {
+  const [sortKey, setSortKey] = useState('rank');
+  const [descending, setDescending] = useState(true);
+  const [position, setPosition] = useState('ALL');
+  const [team, setTeam] = useState('ALL');
+
+  const teams = [...new Set(rankings.map((r) => r.team).filter(Boolean))].sort();
+  const column = COLUMNS.find((c) => c.key === sortKey);
+  const rows = rankings
+    .filter((r) => (position === 'ALL' || r.position_ranks[position]) && (team === 'ALL' || r.team === team))
+    .sort((a, b) => {
+      const x = column.get(a);
+      const y = column.get(b);
+      const order = column.text ? String(x).localeCompare(String(y)) : y - x;
+      return descending ? order : -order;
+    });
+  // Tier breaks only read correctly in rank order
+  const showTiers = sortKey === 'rank' && descending;
+
+  const sortBy = (key) => {
+    if (key === sortKey) {
+      setDescending(!descending);
+    } else {
+      setSortKey(key);
+      setDescending(true);
+    }
+  };
+
+  const cell = { padding: '8px 10px', textAlign: 'right', whiteSpace: 'nowrap' };
+  const head = { ...cell, color: '#6b7280', fontWeight: 500, cursor: 'pointer', userSelect: 'none' };
+
+  return (
+    <div style={{ maxWidth: 1200, margin: '0 auto', padding: 24, fontFamily: 'sans-serif' }}>
+      {/* Title */}
+      <div style={{
+        display: 'flex', flexWrap: 'wrap', gap: 16, marginBottom: 24,
+        justifyContent: 'space-between', alignItems: 'flex-end',
+      }}>
+        <div>
+          <h1 style={{ fontSize: 28, fontWeight: 700, color: '#111827', margin: 0 }}>
+            Player Rankings
+          </h1>
+          <p style={{ color: '#6b7280', marginTop: 4, marginBottom: 0 }}>
+            {season} · {rankings.length} players · {unit}
+          </p>
+          <p style={{ color: '#9ca3af', fontSize: 13, marginTop: 4, marginBottom: 0 }}>
+            Replacement level from {league.teams} teams starting {Object.entries(league.roster)
+              .filter(([, n]) => n > 0).map(([slot, n]) => n + ' ' + slot).join(', ')}
+          </p>
+        </div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center' }}>
+          <Toggle options={['ALL', ...POSITIONS]}
+            labels={Object.fromEntries(['ALL', ...POSITIONS].map((p) => [p, p === 'ALL' ? 'All' : p]))}
+            value={position} onChange={setPosition} />
+          <select value={team} onChange={(e) => setTeam(e.target.value)} style={{
+            border: '1px solid #e5e7eb', borderRadius: 8, padding: '8px 12px', fontSize: 13, background: '#fff',
+          }}>
+            <option value="ALL">All teams</option>
+            {teams.map((t) => <option key={t} value={t}>{t}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {/* Rankings table */}
+      <div style={{ overflowX: 'auto', border: '1px solid #e5e7eb', borderRadius: 12 }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+          <thead>
+            <tr style={{ borderBottom: '1px solid #e5e7eb', background: '#f9fafb' }}>
+              {COLUMNS.map((c) => (
+                <th key={c.key} onClick={() => sortBy(c.key)}
+                  style={{ ...head, textAlign: c.text ? 'left' : 'right', color: c.key === sortKey ? '#111827' : '#6b7280' }}>
+                  {c.label}{c.key === sortKey ? (descending ? ' ▾' : ' ▴') : ''}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <Fragment key={r.rank}>
+                {showTiers && (i === 0 || rows[i - 1].tier !== r.tier) && (
+                  <tr style={{ background: '#eef2ff' }}>
+                    <td colSpan={COLUMNS.length} style={{ ...cell, textAlign: 'left', fontSize: 12, fontWeight: 600, color: '#4f46e5' }}>
+                      Tier {r.tier}
+                    </td>
+                  </tr>
+                )}
+                <tr style={{ borderBottom: '1px solid #f3f4f6' }}>
+                  <td style={{ ...cell, color: '#9ca3af', fontWeight: 700 }}>{r.rank}</td>
+                  <td style={{ ...cell, textAlign: 'left', fontWeight: 600, color: '#111827' }}>{r.name}</td>
+                  <td style={{ ...cell, textAlign: 'left' }}>{r.team || '—'}</td>
+                  <td style={{ ...cell, textAlign: 'left' }}>{r.position || '—'}</td>
+                  <td style={cell}>
+                    {position !== 'ALL'
+                      ? position + r.position_ranks[position]
+                      : Object.entries(r.position_ranks).map(([p, n]) => p + n).join(' · ') || '—'}
+                  </td>
+                  <td style={{ ...cell, fontWeight: 700, color: '#111827' }}>{formatValue(r.value)}</td>
+                  <td style={cell}>{formatValue(r.over_replacement)}</td>
+                  {CATEGORIES.map((stat) => (categoryFormat ? (
+                    <td key={stat} style={{ ...cell, background: zColor(r.zscores[stat]) }}>
+                      {formatValue(r.zscores[stat])}
+                    </td>
+                  ) : (
+                    <td key={stat} style={cell}>{r.stats[stat] ?? '—'}</td>
+                  )))}
+                </tr>
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+        {!rows.length && (
+          <div style={{ padding: 24, textAlign: 'center', color: '#6b7280' }}>No players match these filters</div>
+        )}
+      </div>
+    </div>
+  );
+}
+`.trim();
+}
@@ -0,0 +1,37 @@
+/**
+ * Player-pool rankings
+ *
+ * Ranks a whole pool by league value, numbers each player among the
+ * players eligible at each of their positions, and splits the list into
+ * tiers wherever the drop to the next player is unusually large: more than
+ * `tierGap` times the average drop between neighbours across the pool.
+ */
+
+import { BASE_POSITIONS, eligiblePositions } from './scarcity.js';
+
+export const DEFAULT_TIER_GAP = 2;
+
+/**
+ * Ranked rows for `players`, best first, each `{ player, value, rank, tier,
+ * positionRanks }` where `positionRanks` maps each eligible base position
+ * to the player's rank there. Equal values keep pool order.
+ */
+export function rankPool(players, value, { tierGap = DEFAULT_TIER_GAP } = {}) {
+  const ranked = players
+    .map((player) => ({ player, value: value(player) }))
+    .sort((a, b) => b.value - a.value);
+  const drops = ranked.slice(1).map((row, i) => ranked[i].value - row.value);
+  const meanDrop = drops.length ? drops.reduce((sum, d) => sum + d, 0) / drops.length : 0;
+
+  const counts = Object.fromEntries(BASE_POSITIONS.map((p) => [p, 0]));
+  let tier = 1;
+  return ranked.map((row, i) => {
+    if (i > 0 && meanDrop > 0 && drops[i - 1] > tierGap * meanDrop) tier += 1;
+    const positionRanks = {};
+    for (const position of eligiblePositions(row.player.position)) {
+      counts[position] += 1;
+      positionRanks[position] = counts[position];
+    }
+    return { ...row, rank: i + 1, tier, positionRanks };
+  });
+}
@@ -0,0 +1,268 @@
+/**
+ * Comparison reports for clients that cannot render artifacts
+ *
+ * The comparison behind the artifact's per-game leaderboard, as a JSON
+ * result, a Markdown report or a plain-text summary. Category winners, ties
+ * and the overall winner follow the comparison engine (comparison.js):
+ * category formats rank by summed head-to-head record, then z-score total;
+ * points formats rank by fantasy score.
+ */
+
+import { BASIS_LABELS } from './basis.js';
+import { CATEGORY_FORMATS } from './categories.js';
+import {
+  LOWER_IS_BETTER,
+  categoryWinner,
+  countCategoryWins,
+  fantasyScore,
+  headToHead,
+  leaders,
+  roundScore,
+} from './comparison.js';
+import { describeWeights } from './scoring.js';
+
+export const OUTPUTS = ['artifact', 'markdown', 'json', 'text'];
+
+const CATEGORIES = [
+  { stat: 'ppg',      label: 'Points' },
+  { stat: 'rpg',      label: 'Rebounds' },
+  { stat: 'apg',      label: 'Assists' },
+  { stat: 'spg',      label: 'Steals' },
+  { stat: 'bpg',      label: 'Blocks' },
+  { stat: 'three_pm', label: '3-Pointers' },
+  { stat: 'fg_pct',   label: 'FG%', suffix: '%' },
+  { stat: 'ft_pct',   label: 'FT%', suffix: '%' },
+  { stat: 'tov',      label: 'Turnovers' },
+];
+
+// ─── Result ───────────────────────────────────────────────────────────────────
+
+/**
+ * The comparison of `players` (lines already on `basis`). `valuation` holds
+ * the per-game z-scores in category formats, null in points formats.
+ * Players and categories keep input order; `order` lists player indices
+ * best first, `leaders` those sharing the top spot, and `winner` fields are
+ * player indices, null on a tie. Margins are the leader's edge over the
+ * runner-up: per category in the stat, overall in net category record
+ * (wins − losses) or fantasy points. `projected` marks lines that are
+ * rest-of-season projections rather than stats to date.
+ */
+export function comparisonResult(players, { season, format, basis, scoring, valuation, projected = false }) {
+  const stats = CATEGORY_FORMATS[format] ?? CATEGORIES.map((c) => c.stat);
+  const categories = CATEGORIES.filter((c) => stats.includes(c.stat)).map(({ stat, label, suffix }) => {
+    const values = players.map((p) => (typeof p[stat] === 'number' ? p[stat] : null));
+    const winner = categoryWinner(stat, players);
+    return {
+      stat,
+      label,
+      suffix: suffix ?? '',
+      values,
+      leaders: leaders(values, LOWER_IS_BETTER.includes(stat)),
+      winner,
+      margin: winner === null ? null : margin(values, winner, LOWER_IS_BETTER.includes(stat)),
+    };
+  });
+
+  const scores = valuation
+    ? valuation.zscores.map((z) => z.total)
+    : players.map((p) => roundScore(fantasyScore(p, scoring.weights)));
+  const categoryWins = countCategoryWins(players, stats);
+  const records = valuation && players.map((p, i) => players.reduce(
+    (acc, q, j) => (i === j ? acc : headToHead(p, q, stats).map((n, k) => acc[k] + n)),
+    [0, 0, 0],
+  ));
+  const compare = (a, b) => (records
+    ? (records[b][0] - records[b][1]) - (records[a][0] - records[a][1]) || scores[b] - scores[a]
+    : scores[b] - scores[a]);
+  const order = players.map((_, i) => i).sort(compare);
+  const top = order.filter((i) => compare(order[0], i) === 0);
+
+  return {
+    season,
+    projected,
+    format,
+    basis,
+    scoring: valuation ? null : { label: scoring.label, weights: scoring.weights },
+    baseline: valuation ? valuation.baseline : null,
+    players: players.map((p, i) => ({
+      name: p.name,
+      team: p.team ?? null,
+      position: p.position ?? null,
+      gp: p.gp ?? null,
+      score: scores[i],
+      rank: order.indexOf(i) + 1,
+      categoryWins: categoryWins[i],
+      record: records ? records[i] : null,
+    })),
+    categories,
+    order,
+    leaders: top,
+    winner: top.length === 1 ? order[0] : null,
+    margin: order.length < 2 ? null : records
+      ? net(records[order[0]]) - net(records[order[1]])
+      : round(scores[order[0]] - scores[order[1]]),
+  };
+}
+
+function margin(values, winner, lowerIsBetter) {
+  const others = values.filter((v, i) => i !== winner && v !== null);
+  if (!others.length) return null;
+  const runnerUp = lowerIsBetter ? Math.min(...others) : Math.max(...others);
+  return round(Math.abs(values[winner] - runnerUp));
+}
+
+function net([wins, losses]) {
+  return wins - losses;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// ─── Formatting ───────────────────────────────────────────────────────────────
+
+/** What the score column holds: fantasy score or z-score total. */
+export function scoreLabel(result) {
+  return result.scoring ? 'Fantasy Score' : 'Z-Score Total';
+}
+
+/** A score as shown: one decimal, or a signed z-score total. */
+export function formatScore(result, score) {
+  return result.scoring ? score.toFixed(1) : (score >= 0 ? '+' : '') + score.toFixed(2);
+}
+
+function formatValue(value, suffix) {
+  return value === null ? '—' : value + suffix;
+}
+
+function formatRecord([wins, losses, ties]) {
+  return ties ? `${wins}–${losses}–${ties}` : `${wins}–${losses}`;
+}
+
+/** The report header: season, projection, basis and scoring, e.g. "2023-24 · Projected · Per Game · …". */
+export function describeComparison(result) {
+  return [
+    result.season,
+    ...(result.projected ? ['Projected'] : []),
+    BASIS_LABELS[result.basis],
+    describeScoring(result),
+  ].join(' · ');
+}
+
+/** What the scores measure, e.g. "Default scoring (PTS×1 | …)". */
+export function describeScoring(result) {
+  return result.scoring
+    ? `${result.scoring.label} scoring (${describeWeights(result.scoring.weights)})`
+    : `${result.format.replace('cat', '-cat')} · z-scores vs ${result.baseline}`;
+}
+
+// The score row of the table: who has the best score and by how much
+function scoreRow(result) {
+  const scores = result.players.map((p) => p.score);
+  const leading = leaders(scores);
+  const winner = leading.length === 1 ? leading[0] : null;
+  return { leading, winner, edge: winner === null ? null : margin(scores, winner, false) };
+}
+
+// Winner column text for a category, or for the score row
+function winnerText(result, winner, leading, edge) {
+  if (winner === null) return leading.length ? 'Tie' : '—';
+  const name = result.players[winner].name;
+  return edge === null ? name : `${name} (+${edge})`;
+}
+
+/** One line naming the winner and how they won, or the players level at the top. */
+export function verdict(result) {
+  const { players, winner, order } = result;
+  if (winner === null) return `Dead even: ${result.leaders.map((i) => players[i].name).join(' and ')}`;
+  const leader = players[winner];
+  const runnerUp = players[order[1]];
+  const scores = `${formatScore(result, leader.score)} to ${formatScore(result, runnerUp.score)}`;
+  if (result.scoring) return `${leader.name} wins, ${scores}`;
+  const record = formatRecord(leader.record) + (players.length > 2 ? ' vs the field' : '');
+  // Level records are settled by z-score total
+  return net(leader.record) === net(runnerUp.record)
+    ? `${leader.name} wins, ${record}, on z-score total ${scores}`
+    : `${leader.name} wins, ${record}`;
+}
+
+function standings(result) {
+  const { players, categories } = result;
+  return result.order.map((i, rank) => {
+    const p = players[i];
+    const detail = p.record ? formatRecord(p.record) + ' vs the field' : `${p.categoryWins}/${categories.length} categories`;
+    return `${rank + 1}. ${p.name}: ${formatScore(result, p.score)} · ${detail}`;
+  });
+}
+
+// Plain-text stand-ins for the typographic characters in the reports
+function asciiOnly(text) {
+  return text.replace(/×/g, 'x').replace(/·/g, '|').replace(/[–—−]/g, '-');
+}
+
+/** The result as a Markdown report: a category table, the verdict and standings. */
+export function markdownReport(result) {
+  const { players, categories } = result;
+  const names = players.map((p) => p.name);
+  const bold = (text, on) => (on ? `**${text}**` : text);
+  const rows = categories.map((c) => {
+    const shared = c.leaders.length === players.length;
+    const cells = c.values.map((v, i) => bold(formatValue(v, c.suffix), !shared && c.leaders.includes(i)));
+    return `| ${c.label} | ${cells.join(' | ')} | ${winnerText(result, c.winner, c.leaders, c.margin)} |`;
+  });
+  const score = scoreRow(result);
+  const scoreCells = players.map((p, i) => bold(formatScore(result, p.score), i === score.winner));
+  const lines = [
+    `## ${names.join(' vs ')}`,
+    '',
+    describeComparison(result),
+    '',
+    `| Category | ${names.join(' | ')} | Winner |`,
+    `|---|${names.map(() => '---:').join('|')}|---|`,
+    ...rows,
+    `| **${scoreLabel(result)}** | ${scoreCells.join(' | ')} | ` +
+      `${winnerText(result, score.winner, score.leading, score.edge)} |`,
+    '',
+    `**${verdict(result)}**`,
+  ];
+  if (players.length > 2) lines.push('', ...standings(result));
+  return lines.join('\n');
+}
+
+/** The result as a plain-text summary with fixed-width columns; * marks each leader. */
+export function textReport(result) {
+  const { players, categories } = result;
+  const label = scoreLabel(result);
+  const score = scoreRow(result);
+  const firstWidth = Math.max(label.length, ...categories.map((c) => c.label.length));
+  // One extra column per player for the leader mark
+  const widths = players.map((p) => Math.max(p.name.length, 8) + 1);
+  const row = (first, cells, last) => [
+    first.padEnd(firstWidth),
+    ...cells.map((cell, i) => cell.padStart(widths[i])),
+    last,
+  ].join('  ').trimEnd();
+  const mark = (text, on) => text + (on ? '*' : ' ');
+
+  const lines = [
+    players.map((p) => p.name).join(' vs '),
+    describeComparison(result),
+    '',
+    row('Category', players.map((p) => p.name + ' '), 'Winner'),
+    row('-'.repeat(firstWidth), widths.map((w) => '-'.repeat(w)), '------'),
+    ...categories.map((c) => {
+      const shared = c.leaders.length === players.length;
+      return row(
+        c.label,
+        c.values.map((v, i) => mark(formatValue(v, c.suffix), !shared && c.leaders.includes(i))),
+        winnerText(result, c.winner, c.leaders, c.margin),
+      );
+    }),
+    row(label, players.map((p, i) => mark(formatScore(result, p.score), i === score.winner)),
+      winnerText(result, score.winner, score.leading, score.edge)),
+    '',
+    verdict(result),
+  ];
+  if (players.length > 2) lines.push('', ...standings(result));
+  return asciiOnly(lines.join('\n'));
+}
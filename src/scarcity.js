@@ -0,0 +1,126 @@
+/**
+ * Positional scarcity and value over replacement
+ *
+ * Replacement level is the value of the best player left over once every
+ * team's starting slots are filled from the player pool. Slots are filled
+ * greedily: players in value order, each into the most specific open slot
+ * they are eligible for (PG before G before UTIL), so flexible players end
+ * up where they are scarcest. A player's value over replacement is measured
+ * against the lowest replacement level among the positions they can play.
+ *
+ * Positions are read from strings like "PG", "PF/C", "G-F" or "SG,SF";
+ * G means PG or SG and F means SF or PF.
+ */
+
+export const BASE_POSITIONS = ['PG', 'SG', 'SF', 'PF', 'C'];
+
+// Which base positions each roster slot takes, most specific first
+export const SLOT_ELIGIBILITY = {
+  PG:   ['PG'],
+  SG:   ['SG'],
+  SF:   ['SF'],
+  PF:   ['PF'],
+  C:    ['C'],
+  G:    ['PG', 'SG'],
+  F:    ['SF', 'PF'],
+  UTIL: BASE_POSITIONS,
+};
+
+export const DEFAULT_LEAGUE = {
+  teams: 12,
+  roster: { PG: 1, SG: 1, G: 1, SF: 1, PF: 1, F: 1, C: 2, UTIL: 2 },
+};
+
+const POSITION_TOKENS = {
+  PG: ['PG'], SG: ['SG'], SF: ['SF'], PF: ['PF'], C: ['C'],
+  G: ['PG', 'SG'], F: ['SF', 'PF'],
+};
+
+/** Base positions a position string is eligible at, in BASE_POSITIONS order. */
+export function eligiblePositions(position) {
+  if (typeof position !== 'string') return [];
+  const found = new Set(
+    position.toUpperCase().split(/[-/,\s]+/).flatMap((token) => POSITION_TOKENS[token] ?? []),
+  );
+  return BASE_POSITIONS.filter((p) => found.has(p));
+}
+
+/** Checks `{ teams, roster }` league settings and fills in the defaults. */
+export function resolveLeague(league = {}) {
+  const teams = league.teams ?? DEFAULT_LEAGUE.teams;
+  if (!Number.isInteger(teams) || teams < 2) {
+    throw new Error(`league.teams must be a whole number of at least 2, got ${JSON.stringify(league.teams)}`);
+  }
+  const roster = league.roster ?? DEFAULT_LEAGUE.roster;
+  for (const [slot, count] of Object.entries(roster)) {
+    if (!(slot in SLOT_ELIGIBILITY)) {
+      throw new Error(`Unknown roster slot: ${slot} (expected one of ${Object.keys(SLOT_ELIGIBILITY).join(', ')})`);
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`league.roster.${slot} must be a non-negative whole number`);
+    }
+  }
+  if (!Object.values(roster).some((n) => n > 0)) {
+    throw new Error('league.roster needs at least one slot');
+  }
+  return { teams, roster: { ...roster } };
+}
+
+/**
+ * Replacement level at each base position. `pool` is a list of players and
+ * `value(player)` their per-game value; players without an eligible
+ * position are ignored. Returns `{ levels, rostered, slots, poolSize }`
+ * where `levels` maps position → replacement value. When the pool runs out
+ * before the slots do, a position's level is its weakest rostered player.
+ */
+export function replacementLevels(pool, value, { teams, roster }) {
+  const players = pool
+    .map((p) => ({ eligible: eligiblePositions(p.position), value: value(p) }))
+    .filter((p) => p.eligible.length && Number.isFinite(p.value))
+    .sort((a, b) => b.value - a.value);
+
+  const open = Object.fromEntries(Object.entries(roster).map(([slot, n]) => [slot, n * teams]));
+  const slotOrder = Object.keys(SLOT_ELIGIBILITY).filter((slot) => open[slot] > 0);
+  const leftover = [];
+  const rostered = [];
+  for (const player of players) {
+    const slot = slotOrder.find((s) => open[s] > 0 && SLOT_ELIGIBILITY[s].some((p) => player.eligible.includes(p)));
+    if (slot) {
+      open[slot] -= 1;
+      rostered.push(player);
+    } else {
+      leftover.push(player);
+    }
+  }
+
+  const levels = {};
+  for (const position of BASE_POSITIONS) {
+    const best = leftover.find((p) => p.eligible.includes(position));
+    const weakest = [...rostered].reverse().find((p) => p.eligible.includes(position));
+    const level = best ?? weakest;
+    if (level) levels[position] = round(level.value);
+  }
+  return {
+    levels,
+    rostered: rostered.length,
+    slots: Object.values(roster).reduce((sum, n) => sum + n * teams, 0),
+    poolSize: players.length,
+  };
+}
+
+/**
+ * The replacement level a player is measured against: the lowest level
+ * among their eligible positions, so they count at their scarcest spot.
+ * Returns `{ position, replacement }`, or null when none of their positions
+ * has a level.
+ */
+export function playerReplacement(position, levels) {
+  const options = eligiblePositions(position).filter((p) => p in levels);
+  if (!options.length) return null;
+  const best = options.reduce((a, b) => (levels[b] < levels[a] ? b : a));
+  return { position: best, replacement: levels[best] };
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,168 @@
+/**
+ * NBA schedule
+ *
+ * Loads games from JSON or ICS files in <DATA_DIR>/schedule (override with
+ * NBA_SCHEDULE_DIR):
+ *   .json – an array of { date: "YYYY-MM-DD", home: "DEN", away: "LAL" }
+ *   .ics  – calendar events whose DTSTART is the game and whose SUMMARY
+ *           names the teams as "LAL @ DEN", "LAL at DEN" or "DEN vs LAL"
+ * Teams use the same abbreviations as the player `team` field. Timed ICS
+ * events in UTC are dated in US Eastern time, so a 7:30 pm tip-off stays on
+ * its own day.
+ *
+ * Like the stats database, files are read once, on first use.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { DATA_DIR } from './stats-db.js';
+
+export const SCHEDULE_DIR = process.env.NBA_SCHEDULE_DIR || path.join(DATA_DIR, 'schedule');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "LAL @ DEN" / "LAL at DEN" (away first) and "DEN vs LAL" (home first),
+// matched against the upper-cased summary
+const AWAY_AT_HOME = /\b([A-Z]{2,4})\s+(?:@|AT)\s+([A-Z]{2,4})\b/;
+const HOME_VS_AWAY = /\b([A-Z]{2,4})\s+(?:VS\.?|V\.?)\s+([A-Z]{2,4})\b/;
+
+const EASTERN_DATE = new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'America/New_York', year: 'numeric', month: '2-digit', day: '2-digit',
+});
+
+// ─── Loading ──────────────────────────────────────────────────────────────────
+
+let cache = null;
+
+/**
+ * Returns `{ games }` for every schedule file, each game `{ date, home, away }`
+ * sorted by date. A missing schedule directory yields no games.
+ */
+export function loadSchedule() {
+  if (!cache) {
+    cache = readSchedule(SCHEDULE_DIR).catch((err) => {
+      cache = null;
+      throw err;
+    });
+  }
+  return cache;
+}
+
+async function readSchedule(dir) {
+  let files;
+  try {
+    files = await readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return { games: [] };
+    throw err;
+  }
+
+  const games = [];
+  for (const file of files.sort()) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext !== '.json' && ext !== '.ics') continue;
+
+    const text = await readFile(path.join(dir, file), 'utf8');
+    if (ext === '.ics') {
+      games.push(...parseIcs(text));
+      continue;
+    }
+    let records;
+    try {
+      records = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Could not parse schedule file ${file}: ${err.message}`);
+    }
+    if (!Array.isArray(records)) {
+      throw new Error(`Schedule file ${file} must contain an array of games`);
+    }
+    records.forEach((game, i) => {
+      if (!game || !ISO_DATE.test(game.date) || typeof game.home !== 'string' || typeof game.away !== 'string') {
+        throw new Error(`Schedule file ${file}: game ${i} needs a YYYY-MM-DD date, home and away`);
+      }
+      games.push({ date: game.date, home: game.home.toUpperCase(), away: game.away.toUpperCase() });
+    });
+  }
+
+  games.sort((a, b) => a.date.localeCompare(b.date));
+  return { games };
+}
+
+/** Games from iCalendar text; events whose teams cannot be read are skipped. */
+export function parseIcs(text) {
+  // Long lines are folded onto continuation lines starting with a space or tab
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const games = [];
+  let event = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+    } else if (line === 'END:VEVENT') {
+      const game = event && eventToGame(event);
+      if (game) games.push(game);
+      event = null;
+    } else if (event) {
+      const colon = line.indexOf(':');
+      if (colon < 0) continue;
+      // Drop parameters such as DTSTART;TZID=America/New_York
+      const key = line.slice(0, colon).split(';')[0].toUpperCase();
+      event[key] = line.slice(colon + 1).trim();
+    }
+  }
+  return games;
+}
+
+function eventToGame({ DTSTART: start, SUMMARY: summary = '' }) {
+  const date = icsDate(start);
+  if (!date) return null;
+  const teams = summary.toUpperCase();
+  let match = teams.match(AWAY_AT_HOME);
+  if (match) return { date, home: match[2], away: match[1] };
+  match = teams.match(HOME_VS_AWAY);
+  if (match) return { date, home: match[1], away: match[2] };
+  return null;
+}
+
+// 20240205, 20240205T193000 (local) or 20240206T003000Z (UTC)
+function icsDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value ?? '');
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, utc] = m;
+  if (!utc) return `${y}-${mo}-${d}`;
+  return EASTERN_DATE.format(new Date(Date.UTC(+y, mo - 1, +d, +h, +mi, +s)));
+}
+
+// ─── Windows ──────────────────────────────────────────────────────────────────
+
+/** The Monday–Sunday week containing a YYYY-MM-DD date, as `{ start, end }`. */
+export function weekWindow(date) {
+  const t = Date.parse(date);
+  // getUTCDay: Sunday = 0, so Monday is (day + 6) % 7 days back
+  const start = t - ((new Date(t).getUTCDay() + 6) % 7) * DAY_MS;
+  return { start: isoDate(start), end: isoDate(start + 6 * DAY_MS) };
+}
+
+/** Dates a team plays within `{ start, end }` (inclusive). */
+export function teamGames(schedule, team, { start, end }) {
+  const abbr = team.toUpperCase();
+  return schedule.games
+    .filter((g) => g.date >= start && g.date <= end && (g.home === abbr || g.away === abbr))
+    .map((g) => g.date);
+}
+
+/** Games a team plays after a YYYY-MM-DD date, to the end of the schedule. */
+export function gamesAfter(schedule, team, date) {
+  const abbr = team.toUpperCase();
+  return schedule.games.filter((g) => g.date > date && (g.home === abbr || g.away === abbr)).length;
+}
+
+/** Whether a team appears anywhere in the schedule. */
+export function hasTeam(schedule, team) {
+  const abbr = team.toUpperCase();
+  return schedule.games.some((g) => g.home === abbr || g.away === abbr);
+}
+
+function isoDate(t) {
+  return new Date(t).toISOString().slice(0, 10);
+}
@@ -0,0 +1,102 @@
+/**
+ * Shared JSON-schema fragments for player inputs
+ */
+
+import { INJURY_STATUSES } from './availability.js';
+
+export const GAME_PROPERTIES = {
+  date:      { type: 'string',  description: 'Game date (YYYY-MM-DD)' },
+  opponent:  { type: 'string',  description: 'Opponent abbreviation (e.g. "@BOS", "LAL")' },
+  min:       { type: 'number',  description: 'Minutes played' },
+  pts:       { type: 'number',  description: 'Points' },
+  reb:       { type: 'number',  description: 'Rebounds' },
+  ast:       { type: 'number',  description: 'Assists' },
+  stl:       { type: 'number',  description: 'Steals' },
+  blk:       { type: 'number',  description: 'Blocks' },
+  fg3m:      { type: 'number',  description: 'Three-pointers made' },
+  fg3a:      { type: 'number',  description: 'Three-pointers attempted' },
+  tov:       { type: 'number',  description: 'Turnovers' },
+  fgm:       { type: 'number',  description: 'Field goals made' },
+  fga:       { type: 'number',  description: 'Field goals attempted' },
+  ftm:       { type: 'number',  description: 'Free throws made' },
+  fta:       { type: 'number',  description: 'Free throws attempted' },
+  oreb:      { type: 'number',  description: 'Offensive rebounds' },
+  pf:        { type: 'number',  description: 'Personal fouls' },
+};
+
+// Fields of one season's stat line. A player is a season line plus, optionally,
+// a game log and (for career comparisons) a list of season lines.
+const SEASON_PROPERTIES = {
+  name:      { type: 'string',  description: 'Player full name (e.g. "Nikola Jokic")' },
+  team:      { type: 'string',  description: 'Team abbreviation (e.g. "DEN", "LAL")' },
+  position:  { type: 'string',  description: 'Position (PG, SG, SF, PF, C)' },
+  ppg:       { type: 'number',  description: 'Points per game' },
+  rpg:       { type: 'number',  description: 'Rebounds per game' },
+  apg:       { type: 'number',  description: 'Assists per game' },
+  spg:       { type: 'number',  description: 'Steals per game' },
+  bpg:       { type: 'number',  description: 'Blocks per game' },
+  fg_pct:    { type: 'number',  description: 'Field goal percentage (0–100, e.g. 58.3)' },
+  ft_pct:    { type: 'number',  description: 'Free throw percentage (0–100, e.g. 81.7)' },
+  three_pm:  { type: 'number',  description: 'Three-pointers made per game' },
+  tov:       { type: 'number',  description: 'Turnovers per game' },
+  gp:        { type: 'number',  description: 'Games played' },
+  fgm:       { type: 'number',  description: 'Field goals made per game (needed by scoring that weights FGM)' },
+  fga:       { type: 'number',  description: 'Field goals attempted per game (needed by scoring that weights FGA)' },
+  ftm:       { type: 'number',  description: 'Free throws made per game (needed by scoring that weights FTM)' },
+  fta:       { type: 'number',  description: 'Free throws attempted per game (needed by scoring that weights FTA)' },
+  dd:        { type: 'number',  description: 'Double-doubles this season, total (needed by scoring that weights DD)' },
+  mpg:       { type: 'number',  description: 'Minutes per game (needed for the per-36 and per-100 bases)' },
+  pace:      { type: 'number',  description: 'Team possessions per 48 minutes (needed for the per-100 basis)' },
+  three_pa:  { type: 'number',  description: 'Three-pointers attempted per game (for 3P%)' },
+  orb:       { type: 'number',  description: 'Offensive rebounds per game (for Game Score)' },
+  pf:        { type: 'number',  description: 'Personal fouls per game (for Game Score)' },
+  team_fga:  { type: 'number',  description: "Team field goals attempted per game (for usage rate)" },
+  team_fta:  { type: 'number',  description: "Team free throws attempted per game (for usage rate)" },
+  team_tov:  { type: 'number',  description: "Team turnovers per game (for usage rate)" },
+  team_mp:   { type: 'number',  description: 'Team minutes per game (for usage rate; defaults to 240)' },
+  season:    { type: 'string',  description: 'Season to look up in the local stats database when stats are omitted (e.g. "2023-24")' },
+  age:       { type: 'number',  description: 'Age during the season (for age-aligned career comparisons)' },
+};
+
+export const PLAYER_PROPERTIES = {
+  ...SEASON_PROPERTIES,
+  game_log:  {
+    type: 'array',
+    description:
+      'Recent box scores for last-7/15/30-day splits and trend lines. Every game needs each box-score ' +
+      'field the league scores: fgm/fga/ftm/fta for FG%/FT% in category formats or FGM/FGA/FTM/FTA weights.',
+    items: { type: 'object', properties: GAME_PROPERTIES, required: ['date', 'pts', 'reb', 'ast', 'stl', 'blk', 'fg3m', 'tov'] },
+  },
+  seasons:   {
+    type: 'array',
+    description:
+      'Season-by-season stat lines for a career comparison. An entry with only a season label ' +
+      '(e.g. { "season": "2022-23", "age": 28 }) is filled in from the local stats database.',
+    items: { type: 'object', properties: SEASON_PROPERTIES, required: ['season'] },
+  },
+  prior_season: {
+    type: 'object',
+    description:
+      'Last season\'s stat line, blended into projections. Just { "season": "2022-23" } fills it ' +
+      'in from the local stats database.',
+    properties: SEASON_PROPERTIES,
+  },
+  injury_status: {
+    type: 'string',
+    enum: INJURY_STATUSES,
+    description: 'Current injury status (defaults to healthy)',
+  },
+  return_date: { type: 'string', description: 'Expected return date (YYYY-MM-DD) for a player who is out' },
+};
+
+export const REQUIRED_PLAYER_FIELDS = [
+  'name', 'ppg', 'rpg', 'apg', 'spg', 'bpg',
+  'fg_pct', 'ft_pct', 'three_pm', 'tov', 'gp',
+];
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+// Largest roster recommend_pickups accepts
+export const MAX_ROSTER_PLAYERS = 20;
+// Largest pool rank_players and recommend_pickups accept inline
+export const MAX_POOL_PLAYERS = 1000;
@@ -0,0 +1,116 @@
+/**
+ * Fantasy scoring profiles
+ *
+ * A profile is a weight map keyed by player stat field (ppg, rpg, …) plus a
+ * label. Weights are signed: a negative weight (e.g. turnovers) subtracts.
+ * Named presets cover the common points-league hosts; callers can also pass
+ * their own weight map. describeWeights is self-contained, so the comparison
+ * artifact inlines its source (SCORING_SOURCE) to label edited weights.
+ */
+
+// ─── Stats that can carry a weight ────────────────────────────────────────────
+
+export const SCORABLE_STATS = {
+  ppg:      'PTS',
+  rpg:      'REB',
+  apg:      'AST',
+  spg:      'STL',
+  bpg:      'BLK',
+  three_pm: '3PM',
+  tov:      'TOV',
+  fgm:      'FGM',
+  fga:      'FGA',
+  ftm:      'FTM',
+  fta:      'FTA',
+  dd:       'DD',
+};
+
+// ─── Presets ──────────────────────────────────────────────────────────────────
+
+export const SCORING_PRESETS = {
+  default: {
+    label: 'Default',
+    weights: { ppg: 1, rpg: 1.2, apg: 1.5, spg: 3, bpg: 3, three_pm: 1, tov: -1 },
+  },
+  espn: {
+    label: 'ESPN Points',
+    weights: {
+      ppg: 1, three_pm: 1, fgm: 2, fga: -1, ftm: 1, fta: -1,
+      rpg: 1, apg: 2, spg: 4, bpg: 4, tov: -2,
+    },
+  },
+  yahoo: {
+    label: 'Yahoo Points',
+    weights: { ppg: 1, rpg: 1.2, apg: 1.5, spg: 3, bpg: 3, tov: -1 },
+  },
+  sleeper: {
+    label: 'Sleeper',
+    weights: { ppg: 0.5, rpg: 1, apg: 1, spg: 2, bpg: 2, three_pm: 0.5, tov: -1, dd: 1 },
+  },
+};
+
+// ─── Resolution ───────────────────────────────────────────────────────────────
+
+/**
+ * Turns the tool's `scoring` argument into a `{ label, weights }` profile.
+ * Accepts a preset key, a custom weight map, or nothing (the default preset).
+ * Zero weights are dropped so they never show up in the banner text.
+ */
+export function resolveScoring(scoring = 'default') {
+  if (typeof scoring === 'string') {
+    const preset = SCORING_PRESETS[scoring];
+    if (!preset) {
+      throw new Error(
+        `Unknown scoring preset: ${scoring} (expected one of ${Object.keys(SCORING_PRESETS).join(', ')})`,
+      );
+    }
+    return { label: preset.label, weights: { ...preset.weights } };
+  }
+
+  if (!scoring || typeof scoring !== 'object' || Array.isArray(scoring)) {
+    throw new Error('scoring must be a preset name or a map of stat → weight');
+  }
+
+  const weights = {};
+  for (const [stat, weight] of Object.entries(scoring)) {
+    if (!(stat in SCORABLE_STATS)) {
+      throw new Error(
+        `Unknown scoring stat: ${stat} (expected one of ${Object.keys(SCORABLE_STATS).join(', ')})`,
+      );
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+      throw new Error(`Scoring weight for ${stat} must be a finite number`);
+    }
+    if (weight !== 0) weights[stat] = weight;
+  }
+  if (!Object.keys(weights).length) {
+    throw new Error('Custom scoring needs at least one non-zero weight');
+  }
+  return { label: 'Custom', weights };
+}
+
+/**
+ * Human-readable weight summary for the winner banner,
+ * e.g. "PTS×1 | REB×1.2 | TOV×−1".
+ */
+export function describeWeights(weights) {
+  return Object.entries(weights)
+    .map(([stat, w]) => `${SCORABLE_STATS[stat]}×${w < 0 ? '−' + Math.abs(w) : w}`)
+    .join(' | ');
+}
+
+/**
+ * Stat fields a profile reads that are missing from the player. Double-doubles
+ * are scored per game, so they also need `gp`.
+ */
+export function missingScoringStats(player, weights) {
+  const needed = Object.keys(weights);
+  if ('dd' in weights) needed.push('gp');
+  return needed.filter((stat) => typeof player[stat] !== 'number');
+}
+
+// Source of describeWeights and the labels it uses, for inlining into artifacts
+export const SCORING_SOURCE = [
+  `const SCORABLE_STATS = ${JSON.stringify(SCORABLE_STATS)};`,
+  String(describeWeights),
+].join('\n\n');
@@ -0,0 +1,257 @@
+/**
+ * Local season stats database
+ *
+ * Loads stat tables from JSON or CSV files in a data directory (default:
+ * <repo>/data, override with NBA_DATA_DIR). Columns use the PLAYER_PROPERTIES
+ * field names. Each file holds one season named after the file
+ * (data/2023-24.csv) unless a row carries its own `season` column.
+ *
+ * Files are read once, on first use; restart the server after editing them
+ * by hand. Tables written through saveSeasonTable are picked up immediately.
+ */
+
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseCsv } from './csv.js';
+import { PLAYER_PROPERTIES } from './schema.js';
+
+export const DATA_DIR = process.env.NBA_DATA_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+// Lowest match score that still counts as a candidate (1 = exact name)
+const MATCH_THRESHOLD = 0.6;
+// Candidates within this much of the best score make a lookup ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+
+// ─── Loading ──────────────────────────────────────────────────────────────────
+
+let cache = null;
+
+/**
+ * Returns `{ seasons, rows }` for every table in the data directory, where
+ * `seasons` is sorted oldest first and each row is a player object tagged
+ * with its season. A missing data directory yields an empty database.
+ */
+export function loadStatsDatabase() {
+  if (!cache) {
+    cache = readDatabase(DATA_DIR).catch((err) => {
+      cache = null;
+      throw err;
+    });
+  }
+  return cache;
+}
+
+async function readDatabase(dir) {
+  let files;
+  try {
+    files = await readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return { seasons: [], rows: [] };
+    throw err;
+  }
+
+  const rows = [];
+  for (const file of files.sort()) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext !== '.json' && ext !== '.csv') continue;
+
+    const text = await readFile(path.join(dir, file), 'utf8');
+    let records;
+    try {
+      records = ext === '.json' ? JSON.parse(text) : parseCsv(text);
+    } catch (err) {
+      throw new Error(`Could not parse stats file ${file}: ${err.message}`);
+    }
+    if (!Array.isArray(records)) {
+      throw new Error(`Stats file ${file} must contain an array of players`);
+    }
+
+    const fileSeason = path.basename(file, ext);
+    for (const record of records) {
+      const row = coerceRow(record);
+      if (!row.name) continue;
+      rows.push({ ...row, season: row.season || fileSeason });
+    }
+  }
+
+  const seasons = [...new Set(rows.map((r) => r.season))].sort();
+  return { seasons, rows };
+}
+
+/**
+ * Writes a season table to <DATA_DIR>/<season>.json and drops the cached
+ * database so the next lookup sees it. Refuses to replace an existing file
+ * unless `overwrite` is set. Returns the path written.
+ */
+export async function saveSeasonTable(season, players, { overwrite = false } = {}) {
+  if (!/^[\w.-]+$/.test(season)) {
+    throw new Error(`Season label "${season}" cannot be used as a file name`);
+  }
+  const file = path.join(DATA_DIR, `${season}.json`);
+  await mkdir(DATA_DIR, { recursive: true });
+  try {
+    await writeFile(file, JSON.stringify(players, null, 2) + '\n', { flag: overwrite ? 'w' : 'wx' });
+  } catch (err) {
+    if (err.code === 'EEXIST') {
+      throw new Error(`${file} already exists (pass overwrite: true to replace it)`);
+    }
+    throw err;
+  }
+  cache = null;
+  return file;
+}
+
+// CSV values arrive as strings; convert the numeric schema fields and drop
+// empty cells so they read as missing rather than 0
+function coerceRow(record) {
+  const row = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (value === '' || value === null || value === undefined) continue;
+    if (PLAYER_PROPERTIES[key]?.type === 'number' && typeof value === 'string') {
+      const n = Number(value);
+      if (Number.isFinite(n)) row[key] = n;
+    } else {
+      row[key] = value;
+    }
+  }
+  return row;
+}
+
+// ─── Name matching ────────────────────────────────────────────────────────────
+
+/** Lowercase, accent-free, punctuation-free form of a name ("Dončić" → "doncic"). */
+export function normalizeName(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  const len = Math.max(a.length, b.length);
+  return len ? 1 - levenshtein(a, b) / len : 1;
+}
+
+/**
+ * Scores how well a query matches a player name, from 0 to 1. Whole-token
+ * matches ("jokic") beat prefixes ("giannis ant"), which beat typos.
+ */
+export function matchScore(query, name) {
+  const q = normalizeName(query);
+  const n = normalizeName(name);
+  if (!q) return 0;
+  if (q === n) return 1;
+
+  const qTokens = q.split(' ');
+  const nTokens = n.split(' ');
+  if (qTokens.every((t) => nTokens.includes(t))) return 0.95;
+  if (qTokens.every((t) => nTokens.some((nt) => nt.startsWith(t)))) return 0.85;
+
+  const tokenBest = qTokens.length === 1
+    ? Math.max(...nTokens.map((nt) => similarity(q, nt)))
+    : 0;
+  return Math.max(similarity(q, n), tokenBest) * 0.8;
+}
+
+// ─── Lookup ───────────────────────────────────────────────────────────────────
+
+/**
+ * Ranks database rows against a name query. Optionally restricted to one
+ * season. Returns `[{ player, score }]`, best first.
+ */
+export function findPlayers(db, query, { season } = {}) {
+  return db.rows
+    .filter((row) => !season || row.season === season)
+    .map((player) => ({ player, score: matchScore(query, player.name) }))
+    .filter((m) => m.score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score || b.player.season.localeCompare(a.player.season));
+}
+
+/**
+ * Distinct player names among the best matches. More than one entry means
+ * the query is ambiguous. An exact name match is never ambiguous.
+ */
+export function bestCandidates(matches) {
+  if (!matches.length) return [];
+  const top = matches[0].score;
+  const floor = top === 1 ? 1 : top - AMBIGUITY_MARGIN;
+  const names = [];
+  for (const { player, score } of matches) {
+    if (score >= floor && !names.includes(player.name)) names.push(player.name);
+  }
+  return names;
+}
+
+/** The season before a "2023-24" style label ("2022-23"), or null for other labels. */
+export function previousSeason(season) {
+  const m = /^(\d{4})-(\d{2})$/.exec(season ?? '');
+  if (!m) return null;
+  const start = Number(m[1]) - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+function describeCandidate(db, name) {
+  const rows = db.rows.filter((r) => r.name === name);
+  const latest = rows[rows.length - 1];
+  return `${name} (${latest.team || '—'}; ${rows.map((r) => r.season).join(', ')})`;
+}
+
+/**
+ * Resolves a `{ name, season? }` reference to one stat row. Without an
+ * explicit season, `preferredSeason` is used when the player has it,
+ * otherwise their latest season. Throws with the candidate list when the
+ * name is ambiguous or unknown.
+ */
+export function resolvePlayer(db, ref, preferredSeason) {
+  if (!db.rows.length) {
+    throw new Error(
+      `No local stats available to look up "${ref.name}" (add JSON or CSV season files to ${DATA_DIR})`,
+    );
+  }
+
+  const matches = findPlayers(db, ref.name);
+  const candidates = bestCandidates(matches);
+  if (!candidates.length) {
+    throw new Error(`No player matching "${ref.name}" in the local stats database`);
+  }
+  if (candidates.length > 1) {
+    throw new Error(
+      `"${ref.name}" is ambiguous. Candidates:\n` +
+      candidates.map((c) => `  - ${describeCandidate(db, c)}`).join('\n'),
+    );
+  }
+
+  const rows = db.rows.filter((r) => r.name === candidates[0]);
+  if (ref.season) {
+    const row = rows.find((r) => r.season === ref.season);
+    if (!row) {
+      throw new Error(
+        `${candidates[0]} has no stats for ${ref.season} (available: ${rows.map((r) => r.season).join(', ')})`,
+      );
+    }
+    return row;
+  }
+  return rows.find((r) => r.season === preferredSeason)
+    || rows.reduce((a, b) => (b.season > a.season ? b : a));
+}
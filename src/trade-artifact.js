@@ -0,0 +1,190 @@
+/**
+ * Trade artifact
+ *
+ * The analyze_trade artifact: each side's players and totals, category
+ * deltas and a verdict.
+ */
+
+import { CATEGORY_LABELS, valueUnit } from './artifact-shared.js';
+
+/**
+ * Builds the artifact for a trade analysis (see trade.js). Values are in
+ * fantasy points per game, or z-score totals in category formats.
+ */
+export function buildTradeArtifact(analysis, { season, scoring, format, baselineLabel, replacementValue }) {
+  const unit = valueUnit(format, scoring, baselineLabel);
+  return `
+import {
+  BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer,
+} from 'recharts';
+
+// ── Embedded trade analysis (injected by MCP server) ──────────────────────────
+const analysis = ${JSON.stringify(analysis)};
+const season = ${JSON.stringify(season)};
+const unit = ${JSON.stringify(unit)};
+const replacementValue = ${JSON.stringify(replacementValue)};
+
+const SIDES = {
+  a: { label: 'Side A', main: '#3b82f6', dark: '#2563eb', sub: '#bfdbfe' },
+  b: { label: 'Side B', main: '#9333ea', dark: '#7c3aed', sub: '#e9d5ff' },
+};
+
+const CATEGORY_LABELS = ${JSON.stringify(CATEGORY_LABELS)};
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function signed(n) {
+  return (n > 0 ? '+' : '') + n.toFixed(2);
+}
+
+// ── Sub-components ────────────────────────────────────────────────────────────
+
+function PlayerRows({ title, players }) {
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ fontSize: 12, fontWeight: 600, color: '#6b7280', textTransform: 'uppercase' }}>{title}</div>
+      {players.map((p) => (
+        <div key={p.name} style={{
+          display: 'flex', justifyContent: 'space-between', padding: '6px 0', borderBottom: '1px solid #e5e7eb',
+        }}>
+          <div>
+            <span style={{ fontWeight: 600, color: '#111827' }}>{p.name}</span>
+            <span style={{ fontSize: 12, color: '#9ca3af', marginLeft: 6 }}>{p.team || ''} · {p.gp} GP</span>
+          </div>
+          <div style={{ fontSize: 13, color: '#374151' }}>
+            {p.value.toFixed(2)} <span style={{ color: '#9ca3af' }}>/ {p.weighted.toFixed(2)} wtd</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function SideSummary({ id }) {
+  const side = analysis[id];
+  const { label, main } = SIDES[id];
+  return (
+    <div style={{ flex: '1 1 300px', background: '#f9fafb', borderRadius: 12, padding: 24, borderTop: \`4px solid \${main}\` }}>
+      <div style={{ fontSize: 20, fontWeight: 700, color: '#111827' }}>{label}</div>
+      <PlayerRows title="Receives" players={side.receives} />
+      <PlayerRows title="Gives" players={side.gives} />
+      {side.openSpots > 0 && (
+        <div style={{ marginTop: 12, fontSize: 13, color: '#374151' }}>
+          +{side.openSpots} open roster spot{side.openSpots > 1 ? 's' : ''} × {replacementValue} replacement value
+          = {signed(side.rosterValue)} per game, {signed(side.weightedRosterValue)} games-weighted
+        </div>
+      )}
+      <div style={{ display: 'flex', gap: 24, marginTop: 16 }}>
+        <div>
+          <div style={{ fontSize: 11, color: '#6b7280' }}>Net per game</div>
+          <div style={{ fontSize: 24, fontWeight: 700, color: '#111827' }}>{signed(side.perGameNet)}</div>
+        </div>
+        <div>
+          <div style={{ fontSize: 11, color: '#6b7280' }}>Net, games-weighted</div>
+          <div style={{ fontSize: 24, fontWeight: 700, color: '#111827' }}>{signed(side.net)}</div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Verdict() {
+  const { winner, margin } = analysis.verdict;
+  const colors = winner ? SIDES[winner] : { main: '#6b7280', dark: '#4b5563' };
+  return (
+    <div style={{
+      background: \`linear-gradient(90deg, \${colors.main}, \${colors.dark})\`,
+      borderRadius: 12, padding: 24, color: '#fff', textAlign: 'center', marginBottom: 32,
+    }}>
+      <div style={{ fontSize: 24, fontWeight: 700, marginBottom: 4 }}>
+        {winner ? SIDES[winner].label + ' wins the trade' : 'Fair trade'}
+      </div>
+      <div style={{ fontSize: 13, opacity: 0.9 }}>
+        Side A {margin >= 0 ? 'ahead' : 'behind'} by {Math.abs(margin).toFixed(2)} per game, weighted by
+        games played · {unit}
+      </div>
+    </div>
+  );
+}
+
+// ── Main component ────────────────────────────────────────────────────────────
+
+export default function App() {
+  const hasZ = analysis.categories.some((c) => c.z !== undefined);
+  const chartData = analysis.categories.map((c) => ({
+    category: CATEGORY_LABELS[c.stat],
+    value: hasZ ? c.z : c.delta,
+    favors: c.favors,
+  }));
+
+  return (
+    <div style={{ maxWidth: 960, margin: '0 auto', padding: 24, fontFamily: 'sans-serif' }}>
+      {/* Title */}
+      <div style={{ marginBottom: 32 }}>
+        <h1 style={{ fontSize: 28, fontWeight: 700, color: '#111827', margin: 0 }}>Trade Analysis</h1>
+        <p style={{ color: '#6b7280', marginTop: 4, marginBottom: 0 }}>{season} Season Stats · {unit}</p>
+      </div>
+
+      <Verdict />
+
+      {/* Side summaries */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, marginBottom: 32 }}>
+        <SideSummary id="a" />
+        <SideSummary id="b" />
+      </div>
+
+      {/* Category deltas */}
+      <div style={{ background: '#f9fafb', borderRadius: 12, padding: 24, marginBottom: 32 }}>
+        <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', marginTop: 0, marginBottom: 4 }}>
+          Category Deltas for Side A
+        </h2>
+        <p style={{ fontSize: 13, color: '#6b7280', marginTop: 0, marginBottom: 16 }}>
+          {hasZ ? 'Change in z-score per category' : 'Change in per-game production'} · bars colored by the side
+          each category favors
+        </p>
+        <ResponsiveContainer width="100%" height={280}>
+          <BarChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="category" />
+            <YAxis />
+            <Tooltip />
+            <ReferenceLine y={0} stroke="#9ca3af" />
+            <Bar dataKey="value" name={hasZ ? 'z-score change' : 'Change'} radius={[4, 4, 0, 0]}>
+              {chartData.map((d) => (
+                <Cell key={d.category} fill={d.favors ? SIDES[d.favors].main : '#9ca3af'} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: 16, fontSize: 14 }}>
+          <thead>
+            <tr style={{ color: '#6b7280', textAlign: 'right' }}>
+              <th style={{ textAlign: 'left', padding: 8 }}>Category</th>
+              <th style={{ padding: 8 }}>A receives</th>
+              <th style={{ padding: 8 }}>A gives</th>
+              <th style={{ padding: 8 }}>Change</th>
+              {hasZ && <th style={{ padding: 8 }}>z change</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {analysis.categories.map((c) => (
+              <tr key={c.stat} style={{ borderTop: '1px solid #e5e7eb', textAlign: 'right' }}>
+                <td style={{ textAlign: 'left', padding: 8, fontWeight: 500, color: '#374151' }}>
+                  {CATEGORY_LABELS[c.stat]}
+                </td>
+                <td style={{ padding: 8 }}>{c.receives}</td>
+                <td style={{ padding: 8 }}>{c.gives}</td>
+                <td style={{ padding: 8, fontWeight: 700, color: c.favors ? SIDES[c.favors].dark : '#6b7280' }}>
+                  {c.delta > 0 ? '+' : ''}{c.delta}
+                </td>
+                {hasZ && <td style={{ padding: 8 }}>{signed(c.z)}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+`.trim();
+}
@@ -0,0 +1,136 @@
+/**
+ * Trade evaluation
+ *
+ * Each package is valued two ways: per game (the sum of the players'
+ * per-game values) and weighted by availability (each value × games played
+ * ÷ season games, so a player who misses half the season counts half).
+ * A side that takes back fewer players than it sends opens roster spots,
+ * each filled by a replacement-level player, which is what makes a 2-for-1
+ * comparable to a 1-for-1. The weighted net weights those spots by the
+ * replacement line's games played too, so an open spot is not credited a
+ * full season against players who count a partial one.
+ */
+
+// A typical waiver-wire stat line (around the 150th–175th ranked player),
+// valued under the league's format when no replacement value is given
+export const REPLACEMENT_LINE = {
+  name: 'Replacement level',
+  ppg: 11.0, rpg: 4.5, apg: 2.5, spg: 0.8, bpg: 0.4, three_pm: 1.2,
+  fg_pct: 46.0, ft_pct: 77.0, tov: 1.3, gp: 60,
+  fgm: 4.2, fga: 9.1, ftm: 1.5, fta: 2.0, dd: 3,
+};
+
+export const TRADE_CATEGORIES = [
+  'ppg', 'rpg', 'apg', 'spg', 'bpg', 'three_pm', 'fg_pct', 'ft_pct', 'tov',
+];
+
+// Categories where less is better
+const LOWER_IS_BETTER = new Set(['tov']);
+
+// Combined percentages are weighted by attempts when every player has them
+const PERCENT_ATTEMPTS = { fg_pct: 'fga', ft_pct: 'fta' };
+
+// A net difference within this share of the bigger package is a fair trade
+const FAIR_MARGIN = 0.05;
+
+/**
+ * A package's per-game category line: counting stats add up, percentages
+ * combine over attempts (or average when attempts are missing).
+ */
+export function packageLine(players) {
+  const line = {};
+  for (const stat of TRADE_CATEGORIES) {
+    const attempts = PERCENT_ATTEMPTS[stat];
+    if (!attempts) {
+      line[stat] = round(players.reduce((sum, p) => sum + p[stat], 0));
+    } else if (players.every((p) => typeof p[attempts] === 'number')) {
+      const total = players.reduce((sum, p) => sum + p[attempts], 0);
+      line[stat] = total > 0 ? round(players.reduce((sum, p) => sum + p[stat] * p[attempts], 0) / total) : 0;
+    } else {
+      line[stat] = players.length ? round(players.reduce((sum, p) => sum + p[stat], 0) / players.length) : 0;
+    }
+  }
+  return line;
+}
+
+/**
+ * Evaluates a trade where side A gives `aGives` and side B gives `bGives`.
+ * `value(player)` is the league's per-game value, `zscores(player)` (category
+ * formats only) its per-category z-scores. Returns per-side summaries,
+ * category deltas from side A's point of view and a verdict whose `margin`
+ * is how far side A comes out ahead of an even trade (negative: behind).
+ * `replacementGames` is the games played by the replacement-level player
+ * who fills an open roster spot.
+ */
+export function analyzeTrade(aGives, bGives, {
+  value, zscores, seasonGames, replacementValue, replacementGames = REPLACEMENT_LINE.gp,
+}) {
+  const share = (gp) => Math.min(gp, seasonGames) / seasonGames;
+  const rate = (p) => {
+    const perGame = value(p);
+    return {
+      name: p.name,
+      team: p.team ?? null,
+      gp: p.gp,
+      value: round2(perGame),
+      weighted: round2(perGame * share(p.gp)),
+    };
+  };
+  const side = (gives, receives) => {
+    const sent = gives.map(rate);
+    const got = receives.map(rate);
+    const openSpots = Math.max(0, gives.length - receives.length);
+    const sum = (list, key) => list.reduce((acc, p) => acc + p[key], 0);
+    const rosterValue = openSpots * replacementValue;
+    const weightedRosterValue = rosterValue * share(replacementGames);
+    return {
+      gives: sent,
+      receives: got,
+      openSpots,
+      rosterValue: round2(rosterValue),
+      weightedRosterValue: round2(weightedRosterValue),
+      perGameNet: round2(sum(got, 'value') - sum(sent, 'value') + rosterValue),
+      net: round2(sum(got, 'weighted') - sum(sent, 'weighted') + weightedRosterValue),
+    };
+  };
+
+  const a = side(aGives, bGives);
+  const b = side(bGives, aGives);
+
+  const aLineGets = packageLine(bGives);
+  const aLineGives = packageLine(aGives);
+  const categories = TRADE_CATEGORIES.map((stat) => {
+    const delta = round(aLineGets[stat] - aLineGives[stat]);
+    const row = {
+      stat,
+      receives: aLineGets[stat],
+      gives: aLineGives[stat],
+      delta,
+      favors: delta === 0 ? null : (delta > 0) !== LOWER_IS_BETTER.has(stat) ? 'a' : 'b',
+    };
+    if (zscores) {
+      const zSum = (players) => players.reduce((acc, p) => acc + (zscores(p)[stat] ?? 0), 0);
+      // z-scores already count turnovers as negative
+      row.z = round2(zSum(bGives) - zSum(aGives));
+    }
+    return row;
+  });
+
+  // Each side's net counts the swap once from its own end, so halve the gap
+  const margin = round2((a.net - b.net) / 2);
+  const packageSize = Math.max(
+    Math.abs(a.gives.reduce((acc, p) => acc + p.weighted, 0)),
+    Math.abs(b.gives.reduce((acc, p) => acc + p.weighted, 0)),
+  );
+  const winner = Math.abs(margin) <= FAIR_MARGIN * packageSize ? null : margin > 0 ? 'a' : 'b';
+
+  return { a, b, categories, verdict: { winner, margin } };
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
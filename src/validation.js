@@ -0,0 +1,192 @@
+/**
+ * Player stat validation
+ *
+ * Checks every supplied stat for type, plausible range and percentage scale,
+ * and collects all problems instead of stopping at the first one. Safe fixes
+ * are applied and reported as warnings:
+ *   - numeric strings ("26.4") become numbers
+ *   - percentages on a 0–1 scale (0.583) are rescaled to 0–100 (58.3)
+ * Anything else that looks wrong is an error.
+ */
+
+import { PLAYER_PROPERTIES, REQUIRED_PLAYER_FIELDS } from './schema.js';
+import { validateGameLog } from './gamelog.js';
+import { INJURY_STATUSES } from './availability.js';
+
+export const DEFAULT_SEASON_GAMES = 82;
+
+// Hard limits for per-game stats (pace: possessions per 48). Upper bounds sit
+// just above the best single-season averages on record.
+const STAT_RANGES = {
+  ppg:      [0, 60],
+  rpg:      [0, 30],
+  apg:      [0, 20],
+  spg:      [0, 5],
+  bpg:      [0, 7],
+  three_pm: [0, 10],
+  tov:      [0, 10],
+  fgm:      [0, 25],
+  fga:      [0, 45],
+  ftm:      [0, 20],
+  fta:      [0, 25],
+  mpg:      [0, 48],
+  pace:     [0, 130],
+  three_pa: [0, 25],
+  orb:      [0, 8],
+  pf:       [0, 6],
+  team_fga: [0, 130],
+  team_fta: [0, 60],
+  team_tov: [0, 40],
+  team_mp:  [0, 340],
+  age:      [0, 50],
+};
+
+const PERCENT_FIELDS = ['fg_pct', 'ft_pct'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Reported shooting percentage may differ from makes ÷ attempts by rounding
+const PERCENT_TOLERANCE = 2;
+
+/**
+ * Validates and cleans a list of players. `seasonGames` caps games played
+ * (e.g. 20 for a season 20 games in). Returns `{ players, errors, warnings }`
+ * with messages prefixed by their location, e.g. "players[1].fg_pct".
+ */
+export function validatePlayers(players, { seasonGames = DEFAULT_SEASON_GAMES } = {}) {
+  const errors = [];
+  const warnings = [];
+  const cleaned = players.map((player, i) => {
+    const result = validatePlayer(player, { seasonGames });
+    const where = `players[${i}]`;
+    errors.push(...result.errors.map((msg) => `${where}.${msg}`));
+    warnings.push(...result.warnings.map((msg) => `${where}.${msg}`));
+    return result.player;
+  });
+  return { players: cleaned, errors, warnings };
+}
+
+/** Validates a single player; messages start with the field name. */
+export function validatePlayer(input, { seasonGames = DEFAULT_SEASON_GAMES } = {}) {
+  const errors = [];
+  const warnings = [];
+  const player = { ...input };
+
+  if (typeof player.name !== 'string' || !player.name.trim()) {
+    errors.push('name: must be a non-empty string');
+  }
+
+  for (const field of REQUIRED_PLAYER_FIELDS) {
+    if (field !== 'name' && (player[field] === undefined || player[field] === null)) {
+      errors.push(`${field}: required`);
+    }
+  }
+
+  for (const [field, { type }] of Object.entries(PLAYER_PROPERTIES)) {
+    const value = player[field];
+    if (value === undefined || value === null) continue;
+
+    if (type === 'string') {
+      if (typeof value !== 'string') {
+        errors.push(`${field}: must be a string`);
+      } else if (field === 'injury_status' && !INJURY_STATUSES.includes(value)) {
+        errors.push(`${field}: must be one of ${INJURY_STATUSES.join(', ')}, got ${JSON.stringify(value)}`);
+      } else if (field === 'return_date' && (!ISO_DATE.test(value) || Number.isNaN(Date.parse(value)))) {
+        errors.push(`${field}: must be a YYYY-MM-DD date, got ${JSON.stringify(value)}`);
+      }
+      continue;
+    }
+    if (field === 'game_log') {
+      errors.push(...validateGameLog(value));
+      continue;
+    }
+    // Season lines are checked on their own where they are used (career
+    // views, projections)
+    if (field === 'seasons' || field === 'prior_season') continue;
+
+    let n = value;
+    if (typeof n === 'string' && n.trim() !== '' && Number.isFinite(Number(n))) {
+      n = Number(n);
+      warnings.push(`${field}: converted string "${value}" to a number`);
+    }
+    if (typeof n !== 'number' || !Number.isFinite(n)) {
+      errors.push(`${field}: must be a finite number, got ${JSON.stringify(value)}`);
+      continue;
+    }
+    if (n < 0) {
+      errors.push(`${field}: must not be negative, got ${n}`);
+      continue;
+    }
+
+    if (PERCENT_FIELDS.includes(field)) {
+      if (n > 0 && n <= 1) {
+        const rescaled = Math.round(n * 1000) / 10;
+        warnings.push(`${field}: ${n} looks like a 0–1 fraction, rescaled to ${rescaled}`);
+        n = rescaled;
+      } else if (n > 100) {
+        errors.push(`${field}: must be between 0 and 100, got ${n}`);
+        continue;
+      }
+    } else if (field === 'gp' || field === 'dd') {
+      if (!Number.isInteger(n)) {
+        errors.push(`${field}: must be a whole number of games, got ${n}`);
+        continue;
+      }
+      if (n > seasonGames) {
+        errors.push(`${field}: ${n} exceeds the ${seasonGames} games in the season`);
+        continue;
+      }
+    } else if (STAT_RANGES[field] && n > STAT_RANGES[field][1]) {
+      errors.push(`${field}: ${n} is above the plausible maximum of ${STAT_RANGES[field][1]}`);
+      continue;
+    }
+
+    player[field] = n;
+  }
+
+  errors.push(...consistencyErrors(player));
+  warnings.push(...consistencyWarnings(player));
+  return { player, errors, warnings };
+}
+
+// ─── Cross-field checks ───────────────────────────────────────────────────────
+
+function isNum(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
+
+function consistencyErrors(p) {
+  const errors = [];
+  if (isNum(p.fgm) && isNum(p.fga) && p.fgm > p.fga) {
+    errors.push(`fgm: ${p.fgm} made is more than ${p.fga} attempted`);
+  }
+  if (isNum(p.ftm) && isNum(p.fta) && p.ftm > p.fta) {
+    errors.push(`ftm: ${p.ftm} made is more than ${p.fta} attempted`);
+  }
+  if (isNum(p.three_pm) && isNum(p.three_pa) && p.three_pm > p.three_pa) {
+    errors.push(`three_pm: ${p.three_pm} made is more than ${p.three_pa} attempted`);
+  }
+  if (isNum(p.orb) && isNum(p.rpg) && p.orb > p.rpg) {
+    errors.push(`orb: ${p.orb} offensive rebounds is more than ${p.rpg} total`);
+  }
+  if (isNum(p.dd) && isNum(p.gp) && p.dd > p.gp) {
+    errors.push(`dd: ${p.dd} double-doubles in ${p.gp} games`);
+  }
+  return errors;
+}
+
+function consistencyWarnings(p) {
+  const warnings = [];
+  if (isNum(p.three_pm) && isNum(p.ppg) && p.three_pm * 3 > p.ppg + 0.1) {
+    warnings.push(`three_pm: ${p.three_pm} threes per game is more than ${p.ppg} points allow`);
+  }
+  for (const [pct, made, att] of [['fg_pct', 'fgm', 'fga'], ['ft_pct', 'ftm', 'fta']]) {
+    if (isNum(p[pct]) && isNum(p[made]) && isNum(p[att]) && p[att] > 0) {
+      const actual = (p[made] / p[att]) * 100;
+      if (Math.abs(actual - p[pct]) > PERCENT_TOLERANCE) {
+        warnings.push(`${pct}: ${p[pct]} does not match ${made}/${att} (${actual.toFixed(1)})`);
+      }
+    }
+  }
+  return warnings;
+}
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DAY_TO_DAY_MISSED, expectedDates, expectedGames } from '../src/availability.js';
+
+const dates = ['2024-02-05', '2024-02-07', '2024-02-09', '2024-02-11'];
+
+describe('expectedDates', () => {
+  it('keeps every game for a healthy player', () => {
+    assert.deepEqual(expectedDates({ injury_status: 'healthy' }, dates), dates);
+    assert.deepEqual(expectedDates({}, dates), dates);
+  });
+
+  it('drops the first games a day-to-day player is expected to miss', () => {
+    assert.deepEqual(expectedDates({ injury_status: 'day_to_day' }, dates), dates.slice(DAY_TO_DAY_MISSED));
+  });
+
+  it('counts an out player from their return date', () => {
+    const player = { injury_status: 'out', return_date: '2024-02-08' };
+    assert.deepEqual(expectedDates(player, dates), ['2024-02-09', '2024-02-11']);
+    assert.deepEqual(expectedDates({ injury_status: 'out' }, dates), []);
+  });
+});
+
+describe('expectedGames', () => {
+  it('agrees with the scheduled dates for every status', () => {
+    for (const status of ['healthy', 'day_to_day', 'out']) {
+      const player = { injury_status: status };
+      for (const week of [dates, dates.slice(0, 1), []]) {
+        assert.equal(expectedGames(player, week.length), expectedDates(player, week).length, `${status}, ${week.length} games`);
+      }
+    }
+  });
+});
@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  categoryWinner,
+  compareCategory,
+  fantasyScore,
+  headToHead,
+  normalizeStats,
+  roundScore,
+  scoreWinner,
+} from '../src/comparison.js';
+
+const jokic = { ppg: 26.4, rpg: 12.4, apg: 9, spg: 1.4, bpg: 0.9, three_pm: 1.1, tov: 3, gp: 79, dd: 64 };
+const embiid = { ppg: 34.7, rpg: 11, apg: 5.6, spg: 1.2, bpg: 1.7, three_pm: 1.4, tov: 3.8, gp: 39, dd: 30 };
+
+describe('normalizeStats', () => {
+  it('scales the best player to 100 ÷ 1.2 and keeps raw values', () => {
+    const [points] = normalizeStats([jokic, embiid], ['ppg']);
+    assert.equal(points.category, 'PPG');
+    assert.equal(points.p1, 100 / 1.2);
+    assert.equal(points.p0, (26.4 / (34.7 * 1.2)) * 100);
+    assert.equal(points.p0Raw, 26.4);
+    assert.equal(points.p1Raw, 34.7);
+  });
+
+  it('scales a stat nobody has above zero to 0 instead of dividing by zero', () => {
+    const [row] = normalizeStats([{ bpg: 0 }, { bpg: 0 }], ['bpg']);
+    assert.deepEqual(row, { category: 'BPG', p0: 0, p0Raw: 0, p1: 0, p1Raw: 0 });
+  });
+
+  it('treats a missing stat as 0 on the chart', () => {
+    const [row] = normalizeStats([{ three_pm: 2 }, {}], ['three_pm']);
+    assert.equal(row.category, 'THREE PM');
+    assert.equal(row.p1, 0);
+    assert.equal(row.p1Raw, undefined);
+  });
+
+  it('defaults to the radar stats', () => {
+    assert.deepEqual(
+      normalizeStats([jokic, embiid]).map((r) => r.category),
+      ['PPG', 'RPG', 'APG', 'SPG', 'BPG', 'THREE PM'],
+    );
+  });
+});
+
+describe('fantasyScore', () => {
+  it('sums weighted stats, with negative weights subtracting', () => {
+    assert.equal(fantasyScore({ ppg: 20, rpg: 10, tov: 2 }, { ppg: 1, rpg: 1.2, tov: -1 }), 30);
+  });
+
+  it('scores double-doubles per game', () => {
+    assert.equal(fantasyScore({ dd: 40, gp: 80 }, { dd: 2 }), 1);
+  });
+
+  it('scores double-doubles as 0 without games played', () => {
+    assert.equal(fantasyScore({ dd: 5, gp: 0 }, { dd: 1 }), 0);
+  });
+
+  it('scores an all-zero line as 0', () => {
+    assert.equal(fantasyScore({ ppg: 0, rpg: 0 }, { ppg: 1, rpg: 1.2 }), 0);
+  });
+});
+
+describe('roundScore', () => {
+  it('rounds to one decimal', () => {
+    assert.equal(roundScore(42.449), 42.4);
+    assert.equal(roundScore(42.45), 42.5);
+    assert.equal(roundScore(-3.26), -3.3);
+  });
+
+  it('absorbs floating-point noise', () => {
+    assert.equal(roundScore(0.1 + 0.2), 0.3);
+  });
+});
+
+describe('compareCategory', () => {
+  it('returns the single leader', () => {
+    assert.deepEqual(compareCategory('ppg', [jokic, embiid]), [1]);
+  });
+
+  it('lets the fewest turnovers lead', () => {
+    assert.deepEqual(compareCategory('tov', [jokic, embiid]), [0]);
+  });
+
+  it('returns every player sharing the lead', () => {
+    assert.deepEqual(compareCategory('spg', [{ spg: 1 }, { spg: 2 }, { spg: 2 }]), [1, 2]);
+  });
+
+  it('never lets a missing value lead', () => {
+    assert.deepEqual(compareCategory('bpg', [{}, { bpg: 0 }]), [1]);
+    assert.deepEqual(compareCategory('tov', [{ tov: null }, { tov: 4 }]), [1]);
+    assert.deepEqual(compareCategory('ppg', [{}, { ppg: NaN }]), []);
+  });
+});
+
+describe('categoryWinner', () => {
+  it('returns the leader when they lead alone', () => {
+    assert.equal(categoryWinner('rpg', [jokic, embiid]), 0);
+  });
+
+  it('returns null on a tie, including 0 against 0', () => {
+    assert.equal(categoryWinner('apg', [{ apg: 5 }, { apg: 5 }]), null);
+    assert.equal(categoryWinner('bpg', [{ bpg: 0 }, { bpg: 0 }]), null);
+  });
+
+  it('returns null when nobody has the stat', () => {
+    assert.equal(categoryWinner('ft_pct', [{}, {}]), null);
+  });
+});
+
+describe('headToHead', () => {
+  it('counts wins, losses and ties from the first player\'s side', () => {
+    const stats = ['ppg', 'rpg', 'apg', 'spg', 'bpg', 'three_pm', 'tov'];
+    assert.deepEqual(headToHead(jokic, embiid, stats), [4, 3, 0]);
+    assert.deepEqual(headToHead(embiid, jokic, stats), [3, 4, 0]);
+  });
+
+  it('counts level and missing categories as ties', () => {
+    assert.deepEqual(headToHead({ ppg: 20, rpg: 8 }, { ppg: 20 }, ['ppg', 'rpg', 'apg']), [1, 0, 2]);
+  });
+});
+
+describe('scoreWinner', () => {
+  it('returns the best score', () => {
+    assert.equal(scoreWinner([40.2, 44.9, 31]), 1);
+  });
+
+  it('calls scores level at one decimal a tie', () => {
+    assert.equal(scoreWinner([40.21, 40.24]), null);
+  });
+
+  it('separates scores that differ once rounded', () => {
+    assert.equal(scoreWinner([40.24, 40.26]), 1);
+  });
+
+  it('returns null with no finite score', () => {
+    assert.equal(scoreWinner([NaN, NaN]), null);
+  });
+});
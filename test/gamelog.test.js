@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { computeSplits, missingGameFields, splitLine } from '../src/gamelog.js';
+import { SCORING_PRESETS } from '../src/scoring.js';
+
+const game = (date, extra = {}) => ({ date, pts: 20, reb: 10, ast: 5, stl: 1, blk: 1, fg3m: 2, tov: 3, ...extra });
+
+describe('missingGameFields', () => {
+  it('finds the shooting volume ESPN scoring needs', () => {
+    const log = [game('2024-03-01'), game('2024-03-03', { fgm: 8, fga: 16, ftm: 2, fta: 2 })];
+    assert.deepEqual(
+      missingGameFields(log, Object.keys(SCORING_PRESETS.espn.weights)),
+      { fields: ['fgm', 'fga', 'ftm', 'fta'], games: 1 },
+    );
+  });
+
+  it('maps percentages to makes and attempts', () => {
+    const log = [game('2024-03-01', { fgm: 8, fga: 16 })];
+    assert.deepEqual(missingGameFields(log, ['fg_pct', 'ft_pct']), { fields: ['ftm', 'fta'], games: 1 });
+  });
+
+  it('passes a log with every needed field', () => {
+    const log = [game('2024-03-01')];
+    assert.deepEqual(missingGameFields(log, Object.keys(SCORING_PRESETS.default.weights)), { fields: [], games: 0 });
+  });
+});
+
+describe('splitLine', () => {
+  const season = { name: 'Nikola Jokic', team: 'DEN', pace: 99, gp: 79, ppg: 26.4, fga: 17.9, fg_pct: 58.3, mpg: 34.6 };
+
+  it('replaces what the log supplies and keeps the rest of the player', () => {
+    const line = splitLine(season, computeSplits([game('2024-03-01')], '2024-03-01').last_7);
+    assert.equal(line.ppg, 20);
+    assert.equal(line.gp, 1);
+    assert.equal(line.team, 'DEN');
+    assert.equal(line.pace, 99);
+  });
+
+  it('never falls back to the season for stats the log lacks', () => {
+    const line = splitLine(season, computeSplits([game('2024-03-01')], '2024-03-01').last_7);
+    assert.equal(line.fga, undefined);
+    assert.equal(line.fg_pct, undefined);
+    assert.equal(line.mpg, undefined);
+  });
+});
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+// The history directory is read when the module loads
+const dir = await mkdtemp(path.join(tmpdir(), 'nba-history-'));
+process.env.NBA_HISTORY_DIR = dir;
+const { findComparison, recordComparison, updatePlayers } = await import('../src/history.js');
+
+const result = {
+  season: '2023-24',
+  format: 'points',
+  basis: 'per_game',
+  scoring: { label: 'Default', weights: { ppg: 1 } },
+  players: [{ name: 'Nikola Jokic' }, { name: 'Joel Embiid' }],
+};
+
+describe('findComparison', () => {
+  before(() => recordComparison({ inputs: { players: [{ name: 'Jokic' }, { name: 'Embiid' }] }, result }));
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('finds a comparison by id', async () => {
+    const entry = await findComparison(1);
+    assert.equal(entry.title, 'Nikola Jokic vs Joel Embiid');
+  });
+
+  it('reads an id given as text', async () => {
+    assert.equal((await findComparison('1')).id, 1);
+  });
+
+  it('rejects an id that is not a positive whole number', async () => {
+    await assert.rejects(findComparison('one'), /must be a positive whole number, got "one"/);
+    await assert.rejects(findComparison(0), /must be a positive whole number/);
+  });
+
+  it('says when there is no such comparison', async () => {
+    await assert.rejects(findComparison('2'), /No saved comparison with id 2/);
+  });
+});
+
+describe('updatePlayers', () => {
+  const entry = {
+    id: 3,
+    inputs: { players: [{ name: 'Jokic' }, { name: 'Embiid' }, { name: 'Luka Doncic', ppg: 33.9 }] },
+    result: { players: [{ name: 'Nikola Jokic' }, { name: 'Joel Embiid' }, { name: 'Luka Dončić' }] },
+  };
+
+  it('replaces only the player it names and keeps the rest', () => {
+    const update = { name: 'Embiid', ppg: 30 };
+    assert.deepEqual(updatePlayers(entry, [update]), [{ name: 'Jokic' }, update, entry.inputs.players[2]]);
+  });
+
+  it('matches the name the comparison resolved, ignoring case and accents', () => {
+    const update = { name: 'nikola jokić', ppg: 27 };
+    assert.equal(updatePlayers(entry, [update])[0], update);
+  });
+
+  it('reads players saved as player1 and player2', () => {
+    const legacy = { id: 1, inputs: { player1: { name: 'Jokic' }, player2: { name: 'Embiid' } }, result };
+    const update = { name: 'Joel Embiid', ppg: 30 };
+    assert.deepEqual(updatePlayers(legacy, [update]), [{ name: 'Jokic' }, update]);
+  });
+
+  it('rejects a player who is not in the comparison', () => {
+    assert.throws(
+      () => updatePlayers(entry, [{ name: 'Stephen Curry' }]),
+      /players\[0\]\.name: Stephen Curry is not in comparison 3 \(expected one of Nikola Jokic, Joel Embiid, Luka Dončić\)/,
+    );
+  });
+});
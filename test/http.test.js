@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { startHttpServer } from '../src/http.js';
+
+const createServer = () => new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+const compare = async (args) => ({
+  content: [{ type: 'text', text: `compared ${args.players.length}` }, { type: 'text', text: 'Saved as comparison #1' }],
+});
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+};
+
+async function start(options) {
+  const server = await startHttpServer({
+    port: 0, host: '127.0.0.1', token: 'secret', maxBody: 1024, createServer, compare, ...options,
+  });
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+function post(url, body, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: {
+      Authorization: 'Bearer secret',
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...headers,
+    },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+}
+
+async function openSession(url) {
+  const res = await post(`${url}/mcp`, initialize);
+  await res.text();
+  return res;
+}
+
+const health = async (url) => (await fetch(`${url}/health`)).json();
+
+describe('startHttpServer', () => {
+  let server;
+  let url;
+  before(async () => ({ server, url } = await start()));
+  after(() => server.close());
+
+  it('answers /health without a token', async () => {
+    const res = await fetch(`${url}/health`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { status: 'ok', sessions: 0 });
+  });
+
+  it('rejects a request without a bearer token', async () => {
+    const res = await post(`${url}/compare`, { players: [] }, { Authorization: '' });
+    assert.equal(res.status, 401);
+    assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+  });
+
+  it('rejects a wrong bearer token', async () => {
+    const res = await post(`${url}/mcp`, initialize, { Authorization: 'Bearer guess' });
+    assert.equal(res.status, 401);
+    assert.deepEqual(await res.json(), { error: 'Missing or invalid bearer token' });
+  });
+
+  it('rejects a body over the limit with a 413', async () => {
+    const res = await post(`${url}/compare`, { players: [], padding: 'x'.repeat(2048) });
+    assert.equal(res.status, 413);
+    assert.deepEqual(await res.json(), { error: 'Request body is larger than 1024 bytes' });
+  });
+
+  it('serves compare_nba_players as REST', async () => {
+    const res = await post(`${url}/compare`, { players: [{ name: 'Jokic' }, { name: 'Embiid' }], output: 'text' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { output: 'text', result: 'compared 2', notes: ['Saved as comparison #1'] });
+  });
+
+  it('rejects a Host that is not loopback', async () => {
+    const status = await new Promise((resolve, reject) => {
+      request(`${url}/health`, { headers: { Host: 'attacker.example' } }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject).end();
+    });
+    assert.equal(status, 403);
+  });
+});
+
+describe('startHttpServer sessions', () => {
+  it('opens a session on initialize', async () => {
+    const { server, url } = await start();
+    try {
+      const res = await openSession(url);
+      assert.equal(res.status, 200);
+      assert.ok(res.headers.get('mcp-session-id'));
+      assert.equal((await health(url)).sessions, 1);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('refuses sessions past the cap with a 503', async () => {
+    const { server, url } = await start({ maxSessions: 2 });
+    try {
+      assert.equal((await openSession(url)).status, 200);
+      assert.equal((await openSession(url)).status, 200);
+      const res = await post(`${url}/mcp`, initialize);
+      assert.equal(res.status, 503);
+      assert.match((await res.json()).error, /Too many open sessions \(2\)/);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('closes idle sessions', async () => {
+    const { server, url } = await start({ sessionIdleMs: 50 });
+    try {
+      const sessionId = (await openSession(url)).headers.get('mcp-session-id');
+      await sleep(200);
+      assert.equal((await health(url)).sessions, 0);
+      const res = await fetch(`${url}/mcp`, {
+        method: 'DELETE',
+        headers: { Authorization: 'Bearer secret', 'mcp-session-id': sessionId },
+      });
+      assert.equal(res.status, 404);
+    } finally {
+      server.close();
+    }
+  });
+});
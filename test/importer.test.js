@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import { detectSource, importStats } from '../src/importer.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('importStats: basketball-reference', () => {
+  const imported = importStats(fixture('bbref-per-game.csv'));
+  const byName = (name) => imported.players.filter((p) => p.name === name);
+
+  it('detects the source', () => {
+    assert.equal(imported.source, 'basketball-reference');
+  });
+
+  it('keeps only the combined row for a traded player', () => {
+    const siakam = byName('Pascal Siakam');
+    assert.equal(siakam.length, 1);
+    assert.equal(siakam[0].team, '2TM');
+    assert.equal(siakam[0].gp, 80);
+    assert.equal(siakam[0].ppg, 21.3);
+  });
+
+  it('rescales 0–1 percentages to 0–100', () => {
+    const [jokic] = byName('Nikola Jokić');
+    assert.equal(jokic.fg_pct, 58.3);
+    assert.equal(jokic.ft_pct, 81.7);
+  });
+
+  it('maps the age column', () => {
+    assert.equal(byName('Nikola Jokić')[0].age, 28);
+    assert.ok(!imported.ignoredColumns.includes('Age'));
+  });
+
+  it('skips repeated headers and the league average', () => {
+    assert.deepEqual(imported.players.map((p) => p.name), ['Nikola Jokić', 'Pascal Siakam']);
+  });
+
+  it('reports rows missing required fields', () => {
+    assert.deepEqual(imported.skipped, [{ row: 5, name: 'Jaylen Martin', reason: 'missing ft_pct' }]);
+  });
+
+  it('lists the columns it does not map', () => {
+    assert.deepEqual(imported.ignoredColumns, ['Rk', 'GS', '3P%', '2P', '2PA', '2P%', 'eFG%', 'DRB', 'Awards']);
+  });
+});
+
+describe('importStats: nba.com', () => {
+  const text = fixture('nba-com-totals.json');
+
+  it('detects the source', () => {
+    assert.equal(detectSource(text), 'nba.com');
+  });
+
+  it('divides totals by games played and rescales percentages', () => {
+    const { players } = importStats(text, { perMode: 'totals' });
+    const [jokic, embiid] = players;
+    assert.equal(jokic.ppg, 26.4);
+    assert.equal(jokic.rpg, 12.4);
+    assert.equal(jokic.fg_pct, 58.3);
+    assert.equal(embiid.ft_pct, 88.3);
+    assert.equal(embiid.mpg, 34);
+    assert.equal(embiid.age, 30);
+  });
+
+  it('keeps double-doubles as a season total', () => {
+    const { players } = importStats(text, { perMode: 'totals' });
+    assert.equal(players[0].dd, 68);
+  });
+
+  it('rejects an unknown per_mode', () => {
+    assert.throws(() => importStats(text, { perMode: 'per_48' }), /Unknown per_mode: per_48/);
+  });
+});
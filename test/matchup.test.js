@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CATEGORY_FORMATS } from '../src/categories.js';
+import { playerModel, simulateMatchup } from '../src/matchup.js';
+import { SCORING_PRESETS } from '../src/scoring.js';
+
+const line = (stats) => ({
+  ppg: 20, rpg: 6, apg: 4, spg: 1, bpg: 0.5, three_pm: 2, tov: 2,
+  fga: 15, fta: 4, fg_pct: 47, ft_pct: 80, gp: 60, dd: 6, ...stats,
+});
+
+const teamA = [
+  { model: playerModel(line({ ppg: 26.4, rpg: 12.4, apg: 9 })), games: 3 },
+  { model: playerModel(line({ three_pm: 4.8, ft_pct: 92 })), games: 4 },
+];
+const teamB = [
+  { model: playerModel(line({ ppg: 34.7, rpg: 11, bpg: 1.7 })), games: 2 },
+  { model: playerModel(line({ spg: 2.1, apg: 7 })), games: 4 },
+];
+
+const categories = { categories: CATEGORY_FORMATS['9cat'], iterations: 2000 };
+const points = { weights: SCORING_PRESETS.sleeper.weights, iterations: 2000 };
+
+describe('simulateMatchup', () => {
+  it('gives the same category result for the same seed', () => {
+    assert.deepEqual(
+      simulateMatchup(teamA, teamB, { ...categories, seed: 42 }),
+      simulateMatchup(teamA, teamB, { ...categories, seed: 42 }),
+    );
+  });
+
+  it('gives the same points result for the same seed', () => {
+    assert.deepEqual(
+      simulateMatchup(teamA, teamB, { ...points, seed: 7 }),
+      simulateMatchup(teamA, teamB, { ...points, seed: 7 }),
+    );
+  });
+
+  it('draws differently under another seed', () => {
+    assert.notDeepEqual(
+      simulateMatchup(teamA, teamB, { ...categories, seed: 1 }),
+      simulateMatchup(teamA, teamB, { ...categories, seed: 2 }),
+    );
+  });
+
+  it('returns probabilities that add up', () => {
+    const result = simulateMatchup(teamA, teamB, { ...categories, seed: 42 });
+    const { a, b, tie } = result.overall;
+    assert.ok(Math.abs(a + b + tie - 1) < 1e-3);
+    for (const row of result.categories) assert.ok(Math.abs(row.a + row.b + row.tie - 1) < 1e-3);
+  });
+});
+
+describe('playerModel', () => {
+  it('takes the spread from a game log with enough games', () => {
+    const game_log = [18, 22, 30, 14, 26].map((pts, i) => ({
+      date: `2024-03-0${i + 1}`, pts, reb: 6, ast: 4, stl: 1, blk: 0, fg3m: 2, tov: 2,
+    }));
+    const model = playerModel(line({ game_log }));
+    assert.equal(model.spread.ppg, 'game_log');
+    assert.equal(model.sds.ppg, Math.sqrt(40));
+    assert.equal(model.spread.fga, 'default');
+  });
+});
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const game = (date) => ({ date, pts: 30, reb: 10, ast: 8, stl: 1, blk: 1, fg3m: 1, tov: 3 });
+
+const line = (name, stats) => ({
+  name, ppg: 25, rpg: 8, apg: 5, spg: 1, bpg: 0.5, fg_pct: 50, ft_pct: 80, three_pm: 2, tov: 2.5, gp: 60, ...stats,
+});
+
+describe('compare_nba_players', () => {
+  let dir;
+  let client;
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'nba-server-'));
+    client = new Client({ name: 'test', version: '1.0.0' });
+    await client.connect(new StdioClientTransport({
+      command: process.execPath,
+      args: [new URL('../src/index.js', import.meta.url).pathname],
+      env: { ...process.env, NBA_HISTORY_DIR: dir },
+    }));
+  });
+  after(async () => {
+    await client.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('rejects an as_of that is not YYYY-MM-DD before projecting', async () => {
+    const result = await client.callTool({
+      name: 'compare_nba_players',
+      arguments: {
+        players: [
+          // A prior season that cannot be found fails the projection step
+          line('Nikola Jokic', { game_log: [game('2024-03-01')], prior_season: { season: '1990-91' } }),
+          line('Joel Embiid', { ppg: 34.7 }),
+        ],
+        use_projections: true,
+        as_of: '10/19/2026',
+      },
+    });
+    assert.equal(result.isError, true);
+    assert.equal(result.content[0].text, 'as_of must be a YYYY-MM-DD date, got "10/19/2026"');
+  });
+
+  it('rejects an as_of that is not a real date', async () => {
+    const result = await client.callTool({
+      name: 'compare_nba_players',
+      arguments: { players: [line('Nikola Jokic'), line('Joel Embiid')], as_of: '2024-13-45' },
+    });
+    assert.equal(result.content[0].text, 'as_of must be a YYYY-MM-DD date, got "2024-13-45"');
+  });
+});
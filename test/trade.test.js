@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { REPLACEMENT_LINE, analyzeTrade } from '../src/trade.js';
+
+const value = (p) => p.ppg;
+const options = { value, seasonGames: 80, replacementValue: 10 };
+
+describe('analyzeTrade', () => {
+  // Two half-season players for one full-season player
+  const star = { name: 'Star', ppg: 40, gp: 80 };
+  const pair = [{ name: 'Guard', ppg: 25, gp: 40 }, { name: 'Wing', ppg: 25, gp: 40 }];
+
+  it('credits an open roster spot at full value per game', () => {
+    const { a } = analyzeTrade(pair, [star], options);
+    assert.equal(a.openSpots, 1);
+    assert.equal(a.rosterValue, 10);
+    assert.equal(a.perGameNet, 40 - 50 + 10);
+  });
+
+  it('weights an open roster spot by the replacement line\'s games, like the players', () => {
+    const { a, b, verdict } = analyzeTrade(pair, [star], options);
+    const spot = 10 * (REPLACEMENT_LINE.gp / 80);
+    assert.equal(a.weightedRosterValue, spot);
+    assert.equal(a.net, 40 - 25 + spot);
+    assert.equal(b.net, 25 - 40);
+    assert.equal(verdict.margin, (a.net - b.net) / 2);
+  });
+
+  it('takes the replacement games when given', () => {
+    const { a } = analyzeTrade(pair, [star], { ...options, replacementGames: 20 });
+    assert.equal(a.weightedRosterValue, 2.5);
+    assert.equal(a.net, 40 - 25 + 2.5);
+  });
+
+  it('caps games played at the season length', () => {
+    const { a } = analyzeTrade(pair, [star], { ...options, replacementGames: 100 });
+    assert.equal(a.weightedRosterValue, 10);
+  });
+});